@@ -15,6 +15,16 @@ CREATE TABLE users (
     last_name VARCHAR(100),
     role VARCHAR(50) DEFAULT 'user' CHECK (role IN ('admin', 'manager', 'user')),
     is_active BOOLEAN DEFAULT true,
+    pin_hash VARCHAR(255),
+    pin_failed_attempts INTEGER DEFAULT 0,
+    pin_locked_until TIMESTAMP WITH TIME ZONE,
+    failed_login_attempts INTEGER DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    email_verified_at TIMESTAMP WITH TIME ZONE,
+    totp_secret VARCHAR(64),
+    totp_enabled_at TIMESTAMP WITH TIME ZONE,
+    totp_last_used_step INTEGER,
+    totp_recovery_codes TEXT[] DEFAULT '{}',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -37,6 +47,20 @@ CREATE TABLE customers (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Vendors that stock is bought from
+CREATE TABLE suppliers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    contact_name VARCHAR(255),
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    address TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Products table
 CREATE TABLE products (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -45,6 +69,7 @@ CREATE TABLE products (
     sku VARCHAR(100) UNIQUE,
     barcode VARCHAR(100) UNIQUE,
     category_id UUID REFERENCES categories(id),
+    supplier_id UUID REFERENCES suppliers(id),
     price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
     cost DECIMAL(10,2) DEFAULT 0 CHECK (cost >= 0),
     tax_rate DECIMAL(5,2) DEFAULT 0,
@@ -58,11 +83,13 @@ CREATE TABLE inventory (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
     quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0),
     min_quantity INTEGER DEFAULT 0,
     max_quantity INTEGER,
-    location VARCHAR(100),
+    store_id UUID NOT NULL REFERENCES stores(id),
+    location VARCHAR(100) NOT NULL DEFAULT 'default', -- area within the store (shop floor, back room...)
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(product_id, location)
+    UNIQUE(product_id, store_id, location)
 );
 
 -- Sales table
@@ -70,17 +97,41 @@ CREATE TABLE sales (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     customer_id UUID REFERENCES customers(id),
     user_id UUID NOT NULL REFERENCES users(id),
+    store_id UUID NOT NULL REFERENCES stores(id),
+    subtotal DECIMAL(10,2) DEFAULT 0,
     total_amount DECIMAL(10,2) NOT NULL CHECK (total_amount >= 0),
     tax_amount DECIMAL(10,2) DEFAULT 0,
     discount_amount DECIMAL(10,2) DEFAULT 0,
+    amount_paid DECIMAL(10,2) DEFAULT 0,
     payment_method_id UUID REFERENCES payment_methods(id),
     payment_status_id UUID REFERENCES payment_statuses(id),
     sale_status_id UUID REFERENCES sale_statuses(id),
+    terminal_id UUID REFERENCES terminals(id) ON DELETE SET NULL,
+    shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    receipt_prints INTEGER NOT NULL DEFAULT 0,
+    receipt_printed_at TIMESTAMP WITH TIME ZONE,
+    synced_at TIMESTAMP WITH TIME ZONE, -- set when the sale was rung up offline and pushed later
     notes TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Sale items table (location records where the stock was taken from)
+CREATE TABLE sale_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sale_id UUID NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL,
+    discount DECIMAL(10,2) DEFAULT 0,
+    tax_rate DECIMAL(5,2) DEFAULT 0,
+    tax_amount DECIMAL(10,2) DEFAULT 0,
+    total_price DECIMAL(10,2) NOT NULL,
+    location VARCHAR(100),
+    returned_quantity INTEGER NOT NULL DEFAULT 0 CHECK (returned_quantity >= 0 AND returned_quantity <= quantity),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Categories table for product categorization
 CREATE TABLE categories (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -96,6 +147,7 @@ CREATE TABLE roles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(100) NOT NULL UNIQUE,
     description TEXT,
+    requires_two_factor BOOLEAN DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -124,10 +176,399 @@ CREATE TABLE role_permissions (
     PRIMARY KEY (role_id, permission_id)
 );
 
+-- Single-use tokens for password reset and email verification
+CREATE TABLE user_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(50) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stored responses for requests sent with an Idempotency-Key header
+CREATE TABLE idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(255) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, key)
+);
+
+-- Hard-deleted rows reported to syncing terminals
+CREATE TABLE deleted_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entity VARCHAR(50) NOT NULL,
+    record_id UUID NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Registered POS terminals (registers) allowed to use PIN login
+CREATE TABLE terminals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    store_id UUID NOT NULL REFERENCES stores(id),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    is_active BOOLEAN DEFAULT true,
+    last_seen_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Token families group every refresh token rotated from a single login
+CREATE TABLE token_families (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    terminal_id UUID REFERENCES terminals(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens (stored as SHA-256 hashes, single use)
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    family_id UUID NOT NULL REFERENCES token_families(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login audit trail (kept when the user or terminal is deleted)
+CREATE TABLE login_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    terminal_id UUID REFERENCES terminals(id) ON DELETE SET NULL,
+    method VARCHAR(20) NOT NULL,
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payments (tenders) towards a sale; a sale can be split across several
+CREATE TABLE sale_payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sale_id UUID NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+    payment_method_id UUID NOT NULL REFERENCES payment_methods(id),
+    user_id UUID NOT NULL REFERENCES users(id),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    tendered DECIMAL(10,2) NOT NULL,
+    change_due DECIMAL(10,2) DEFAULT 0,
+    reference VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'captured' CHECK (status IN ('pending', 'captured', 'failed', 'voided', 'refunded')),
+    provider_transaction_id VARCHAR(255) UNIQUE,
+    refunded_amount DECIMAL(10,2) DEFAULT 0,
+    shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL, -- the drawer session that took it
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Automatic discount rules applied while sales are priced
+CREATE TABLE promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('percent_off', 'amount_off', 'buy_x_get_y', 'bundle_price')),
+    value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+    buy_quantity INTEGER CHECK (buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity > 0),
+    product_ids TEXT[] NOT NULL DEFAULT '{}',
+    category_ids TEXT[] NOT NULL DEFAULT '{}',
+    min_subtotal DECIMAL(10,2),
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    days_of_week INTEGER[] NOT NULL DEFAULT '{}', -- 0 = Sunday; empty means every day
+    start_time VARCHAR(5), -- HH:MM, server time zone
+    end_time VARCHAR(5),
+    priority INTEGER NOT NULL DEFAULT 0,
+    stackable BOOLEAN NOT NULL DEFAULT false,
+    coupon_only BOOLEAN NOT NULL DEFAULT false, -- applied only when a coupon for it is redeemed
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Promotion discounts applied to each sale line
+CREATE TABLE sale_item_promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sale_item_id UUID NOT NULL REFERENCES sale_items(id) ON DELETE CASCADE,
+    promotion_id UUID NOT NULL REFERENCES promotions(id),
+    amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Redeemable codes: discount coupons (unlocking a coupon-only promotion) and vouchers with a balance
+CREATE TABLE coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL UNIQUE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('discount', 'voucher')),
+    promotion_id UUID REFERENCES promotions(id),
+    initial_balance DECIMAL(10,2),
+    balance DECIMAL(10,2) CHECK (balance >= 0),
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    per_customer_limit INTEGER CHECK (per_customer_limit > 0),
+    redemption_count INTEGER NOT NULL DEFAULT 0,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((type = 'discount' AND promotion_id IS NOT NULL) OR (type = 'voucher' AND balance IS NOT NULL))
+);
+
+-- Coupon uses per sale; reversed when the sale is cancelled
+CREATE TABLE coupon_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    coupon_id UUID NOT NULL REFERENCES coupons(id),
+    sale_id UUID NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+    customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    reversed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sale returns (refunds against a completed sale)
+CREATE TABLE sale_returns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sale_id UUID NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    customer_id UUID REFERENCES customers(id),
+    refund_method_id UUID REFERENCES payment_methods(id),
+    refund_amount DECIMAL(10,2) NOT NULL CHECK (refund_amount >= 0),
+    tax_amount DECIMAL(10,2) DEFAULT 0,
+    shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Returned lines with reason code and restock location
+CREATE TABLE sale_return_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    return_id UUID NOT NULL REFERENCES sale_returns(id) ON DELETE CASCADE,
+    sale_item_id UUID NOT NULL REFERENCES sale_items(id),
+    product_id UUID NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason_code VARCHAR(50) NOT NULL,
+    restocked BOOLEAN DEFAULT true,
+    location VARCHAR(100),
+    refund_amount DECIMAL(10,2) NOT NULL,
+    tax_amount DECIMAL(10,2) DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sale status transitions recorded by the sale state machine
+CREATE TABLE sale_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sale_id UUID NOT NULL REFERENCES sales(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Manager-approved sale voids (one per sale)
+CREATE TABLE sale_voids (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sale_id UUID NOT NULL UNIQUE REFERENCES sales(id) ON DELETE CASCADE,
+    requested_by_id UUID NOT NULL REFERENCES users(id),
+    approved_by_id UUID NOT NULL REFERENCES users(id),
+    terminal_id UUID REFERENCES terminals(id) ON DELETE SET NULL,
+    reason_code VARCHAR(50) NOT NULL,
+    approval_method VARCHAR(20) NOT NULL CHECK (approval_method IN ('password', 'pin')),
+    notes TEXT,
+    refund_due DECIMAL(10,2) DEFAULT 0,
+    shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shops on this deployment
+CREATE TABLE stores (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    address TEXT,
+    city VARCHAR(100),
+    phone VARCHAR(20),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stores each user may work in (head office holds stores:all instead)
+CREATE TABLE user_stores (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, store_id)
+);
+
+-- Per-store price overrides
+CREATE TABLE store_prices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    price DECIMAL(10,2) NOT NULL CHECK (price >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (store_id, product_id)
+);
+
+-- Stock moved between two store locations; goods are in transit between dispatch and receipt
+CREATE TABLE stock_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    from_store_id UUID NOT NULL REFERENCES stores(id),
+    from_location VARCHAR(100) NOT NULL DEFAULT 'default',
+    to_store_id UUID NOT NULL REFERENCES stores(id),
+    to_location VARCHAR(100) NOT NULL DEFAULT 'default',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'in_transit', 'received', 'cancelled')),
+    notes TEXT,
+    created_by_id UUID NOT NULL REFERENCES users(id),
+    dispatched_by_id UUID REFERENCES users(id),
+    dispatched_at TIMESTAMP WITH TIME ZONE,
+    received_by_id UUID REFERENCES users(id),
+    received_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by_id UUID REFERENCES users(id),
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (from_store_id <> to_store_id OR from_location <> to_location)
+);
+
+CREATE TABLE stock_transfer_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transfer_id UUID NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    quantity_received INTEGER CHECK (quantity_received >= 0),
+    quantity_damaged INTEGER CHECK (quantity_damaged >= 0),
+    notes TEXT,
+    UNIQUE (transfer_id, product_id)
+);
+
+-- Every change to an inventory row's quantity, with the document that caused it. Rows are never
+-- updated or deleted (see prevent_stock_movement_change below); inventory quantities are reconciled
+-- against the sum of their movements.
+CREATE TABLE stock_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id),
+    store_id UUID NOT NULL REFERENCES stores(id),
+    location VARCHAR(100) NOT NULL DEFAULT 'default',
+    type VARCHAR(30) NOT NULL CHECK (type IN ('sale', 'sale_void', 'return', 'adjustment', 'count', 'transfer_out', 'transfer_in', 'transfer_return', 'receipt', 'opening')),
+    quantity INTEGER NOT NULL,
+    quantity_before INTEGER NOT NULL,
+    quantity_after INTEGER NOT NULL CHECK (quantity_after = quantity_before + quantity),
+    reference_type VARCHAR(30),
+    reference_id UUID,
+    user_id UUID REFERENCES users(id),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stock ordered from a supplier for one store location
+CREATE TABLE purchase_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_number SERIAL UNIQUE,
+    supplier_id UUID NOT NULL REFERENCES suppliers(id),
+    store_id UUID NOT NULL REFERENCES stores(id),
+    location VARCHAR(100) NOT NULL DEFAULT 'default',
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'partially_received', 'closed', 'cancelled')),
+    notes TEXT,
+    expected_at TIMESTAMP WITH TIME ZONE,
+    created_by_id UUID NOT NULL REFERENCES users(id),
+    sent_by_id UUID REFERENCES users(id),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    closed_by_id UUID REFERENCES users(id),
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE purchase_order_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    unit_cost DECIMAL(10,2) NOT NULL CHECK (unit_cost >= 0),
+    UNIQUE (purchase_order_id, product_id)
+);
+
+-- Deliveries booked in against purchase orders
+CREATE TABLE goods_receipts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id),
+    received_by_id UUID NOT NULL REFERENCES users(id),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE goods_receipt_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    receipt_id UUID NOT NULL REFERENCES goods_receipts(id) ON DELETE CASCADE,
+    purchase_order_item_id UUID NOT NULL REFERENCES purchase_order_items(id),
+    product_id UUID NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_cost DECIMAL(10,2) NOT NULL CHECK (unit_cost >= 0)
+);
+
+-- Cash drawer sessions: opening float, closing count and the variance against what was expected
+CREATE TABLE shifts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id),
+    store_id UUID NOT NULL REFERENCES stores(id),
+    terminal_id UUID REFERENCES terminals(id) ON DELETE SET NULL,
+    opening_float DECIMAL(10,2) NOT NULL CHECK (opening_float >= 0),
+    expected_cash DECIMAL(10,2),
+    counted_cash DECIMAL(10,2) CHECK (counted_cash >= 0),
+    cash_variance DECIMAL(10,2),
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    closed_by_id UUID REFERENCES users(id),
+    notes TEXT
+);
+
+-- Paid-ins, paid-outs and no-sale drawer opens during a shift
+CREATE TABLE shift_cash_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id),
+    type VARCHAR(20) NOT NULL CHECK (type IN ('paid_in', 'paid_out', 'no_sale')),
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (amount >= 0),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Expected and counted takings per payment method at shift close
+CREATE TABLE shift_counts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    payment_method_id UUID NOT NULL REFERENCES payment_methods(id),
+    expected DECIMAL(10,2) NOT NULL,
+    counted DECIMAL(10,2),
+    variance DECIMAL(10,2),
+    UNIQUE (shift_id, payment_method_id)
+);
+
 -- Payment methods table
 CREATE TABLE payment_methods (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(50) NOT NULL UNIQUE,
+    provider VARCHAR(50), -- payment gateway adapter, NULL for tenders handled at the counter
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -154,13 +595,22 @@ CREATE INDEX idx_customers_email ON customers(email);
 CREATE INDEX idx_products_sku ON products(sku);
 CREATE INDEX idx_products_barcode ON products(barcode);
 CREATE INDEX idx_products_category_id ON products(category_id);
+CREATE INDEX idx_products_supplier_id ON products(supplier_id);
 CREATE INDEX idx_inventory_product_id ON inventory(product_id);
+CREATE INDEX idx_inventory_last_updated ON inventory(last_updated);
+CREATE INDEX idx_inventory_store_id ON inventory(store_id);
+CREATE INDEX idx_products_updated_at ON products(updated_at);
+CREATE INDEX idx_categories_updated_at ON categories(updated_at);
+CREATE INDEX idx_customers_updated_at ON customers(updated_at);
 CREATE INDEX idx_sales_customer_id ON sales(customer_id);
 CREATE INDEX idx_sales_user_id ON sales(user_id);
 CREATE INDEX idx_sales_created_at ON sales(created_at);
 CREATE INDEX idx_sales_sale_status_id ON sales(sale_status_id);
 CREATE INDEX idx_sales_payment_method_id ON sales(payment_method_id);
 CREATE INDEX idx_sales_payment_status_id ON sales(payment_status_id);
+CREATE INDEX idx_sales_terminal_id ON sales(terminal_id);
+CREATE INDEX idx_sales_shift_id ON sales(shift_id);
+CREATE INDEX idx_sales_store_id ON sales(store_id);
 CREATE INDEX idx_sale_items_sale_id ON sale_items(sale_id);
 CREATE INDEX idx_sale_items_product_id ON sale_items(product_id);
 CREATE INDEX idx_categories_name ON categories(name);
@@ -171,6 +621,42 @@ CREATE INDEX idx_user_roles_user_id ON user_roles(user_id);
 CREATE INDEX idx_user_roles_role_id ON user_roles(role_id);
 CREATE INDEX idx_role_permissions_role_id ON role_permissions(role_id);
 CREATE INDEX idx_role_permissions_permission_id ON role_permissions(permission_id);
+CREATE INDEX idx_user_tokens_user_id_purpose ON user_tokens(user_id, purpose);
+CREATE INDEX idx_deleted_records_deleted_at ON deleted_records(deleted_at);
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE INDEX idx_token_families_user_id ON token_families(user_id);
+CREATE INDEX idx_token_families_terminal_id ON token_families(terminal_id);
+CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX idx_login_events_user_id_created_at ON login_events(user_id, created_at);
+CREATE INDEX idx_login_events_terminal_id_created_at ON login_events(terminal_id, created_at);
+CREATE INDEX idx_sale_payments_sale_id ON sale_payments(sale_id);
+CREATE INDEX idx_sale_payments_shift_id ON sale_payments(shift_id);
+CREATE INDEX idx_sale_returns_sale_id ON sale_returns(sale_id);
+CREATE INDEX idx_sale_returns_shift_id ON sale_returns(shift_id);
+CREATE INDEX idx_sale_return_items_return_id ON sale_return_items(return_id);
+CREATE INDEX idx_promotions_updated_at ON promotions(updated_at);
+CREATE INDEX idx_sale_item_promotions_sale_item_id ON sale_item_promotions(sale_item_id);
+CREATE INDEX idx_sale_item_promotions_promotion_id ON sale_item_promotions(promotion_id);
+CREATE INDEX idx_coupon_redemptions_coupon_id_customer_id ON coupon_redemptions(coupon_id, customer_id);
+CREATE INDEX idx_coupon_redemptions_sale_id ON coupon_redemptions(sale_id);
+CREATE INDEX idx_sale_status_history_sale_id ON sale_status_history(sale_id, created_at);
+CREATE INDEX idx_sale_voids_approved_by_id ON sale_voids(approved_by_id, created_at);
+CREATE INDEX idx_sale_voids_shift_id ON sale_voids(shift_id);
+CREATE INDEX idx_shifts_user_id_closed_at ON shifts(user_id, closed_at);
+CREATE INDEX idx_shifts_opened_at ON shifts(opened_at);
+CREATE INDEX idx_shifts_store_id_opened_at ON shifts(store_id, opened_at);
+CREATE INDEX idx_user_stores_store_id ON user_stores(store_id);
+CREATE INDEX idx_store_prices_updated_at ON store_prices(updated_at);
+CREATE INDEX idx_stock_transfers_from_store_id_status ON stock_transfers(from_store_id, status);
+CREATE INDEX idx_stock_transfers_to_store_id_status ON stock_transfers(to_store_id, status);
+CREATE INDEX idx_stock_movements_product_id_store_id ON stock_movements(product_id, store_id, created_at);
+CREATE INDEX idx_stock_movements_reference ON stock_movements(reference_type, reference_id);
+CREATE INDEX idx_purchase_orders_store_id_status ON purchase_orders(store_id, status);
+CREATE INDEX idx_purchase_orders_supplier_id_status ON purchase_orders(supplier_id, status);
+CREATE INDEX idx_goods_receipts_purchase_order_id ON goods_receipts(purchase_order_id);
+-- A cashier has at most one open shift
+CREATE UNIQUE INDEX idx_shifts_open_user_id ON shifts(user_id) WHERE closed_at IS NULL;
+CREATE INDEX idx_shift_cash_movements_shift_id ON shift_cash_movements(shift_id);
 
 -- Triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -187,86 +673,24 @@ CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products FOR EACH ROW
 CREATE TRIGGER update_sales_updated_at BEFORE UPDATE ON sales FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
--- Function to update inventory after sale
-CREATE OR REPLACE FUNCTION update_inventory_after_sale()
+CREATE TRIGGER update_terminals_updated_at BEFORE UPDATE ON terminals FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_stores_updated_at BEFORE UPDATE ON stores FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_store_prices_updated_at BEFORE UPDATE ON store_prices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_stock_transfers_updated_at BEFORE UPDATE ON stock_transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_coupons_updated_at BEFORE UPDATE ON coupons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_suppliers_updated_at BEFORE UPDATE ON suppliers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_purchase_orders_updated_at BEFORE UPDATE ON purchase_orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The stock ledger is append-only: corrections are new movements, never edits
+CREATE OR REPLACE FUNCTION prevent_stock_movement_change()
 RETURNS TRIGGER AS $$
-DECLARE
-    old_status_name VARCHAR(50);
-    new_status_name VARCHAR(50);
 BEGIN
-    -- Get status names
-    SELECT name INTO old_status_name FROM sale_statuses WHERE id = OLD.sale_status_id;
-    SELECT name INTO new_status_name FROM sale_statuses WHERE id = NEW.sale_status_id;
-
-    -- Decrease inventory when sale is completed
-    IF new_status_name = 'completed' AND (old_status_name IS NULL OR old_status_name != 'completed') THEN
-        UPDATE inventory
-        SET quantity = quantity - (
-            SELECT SUM(quantity)
-            FROM sale_items
-            WHERE sale_id = NEW.id
-            AND product_id = inventory.product_id
-        )
-        WHERE product_id IN (
-            SELECT product_id FROM sale_items WHERE sale_id = NEW.id
-        );
-    END IF;
-
-    -- Restore inventory when sale is cancelled
-    IF new_status_name = 'cancelled' AND old_status_name = 'completed' THEN
-        UPDATE inventory
-        SET quantity = quantity + (
-            SELECT SUM(quantity)
-            FROM sale_items
-            WHERE sale_id = NEW.id
-            AND product_id = inventory.product_id
-        )
-        WHERE product_id IN (
-            SELECT product_id FROM sale_items WHERE sale_id = NEW.id
-        );
-    END IF;
-
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
-
-CREATE TRIGGER trigger_update_inventory_after_sale
-    AFTER UPDATE ON sales
-    FOR EACH ROW
-    EXECUTE FUNCTION update_inventory_after_sale();
-
--- Function to update customer total purchases
-CREATE OR REPLACE FUNCTION update_customer_total_purchases()
-RETURNS TRIGGER AS $$
-DECLARE
-    old_status_name VARCHAR(50);
-    new_status_name VARCHAR(50);
-BEGIN
-    -- Get status names
-    SELECT name INTO old_status_name FROM sale_statuses WHERE id = OLD.sale_status_id;
-    SELECT name INTO new_status_name FROM sale_statuses WHERE id = NEW.sale_status_id;
-
-    IF new_status_name = 'completed' AND (old_status_name IS NULL OR old_status_name != 'completed') THEN
-        UPDATE customers
-        SET total_purchases = total_purchases + NEW.total_amount
-        WHERE id = NEW.customer_id;
-    END IF;
-
-    IF new_status_name = 'cancelled' AND old_status_name = 'completed' THEN
-        UPDATE customers
-        SET total_purchases = GREATEST(total_purchases - NEW.total_amount, 0)
-        WHERE id = NEW.customer_id;
-    END IF;
-
-    RETURN NEW;
+    RAISE EXCEPTION 'stock_movements is append-only';
 END;
-$$ LANGUAGE plpgsql;
+$$ language 'plpgsql';
 
-CREATE TRIGGER trigger_update_customer_total_purchases
-    AFTER UPDATE ON sales
-    FOR EACH ROW
-    EXECUTE FUNCTION update_customer_total_purchases();
+CREATE TRIGGER prevent_stock_movements_update BEFORE UPDATE OR DELETE ON stock_movements FOR EACH ROW EXECUTE FUNCTION prevent_stock_movement_change();
 
 -- Seed data for roles
 INSERT INTO roles (name, description) VALUES
@@ -299,6 +723,8 @@ INSERT INTO permissions (name, resource, action) VALUES
 ('sales:read', 'sales', 'read'),
 ('sales:update', 'sales', 'update'),
 ('sales:delete', 'sales', 'delete'),
+('sales:void', 'sales', 'void'),
+('sales:price_override', 'sales', 'price_override'),
 -- Sale items permissions
 ('sale_items:create', 'sale_items', 'create'),
 ('sale_items:read', 'sale_items', 'read'),
@@ -318,25 +744,81 @@ INSERT INTO permissions (name, resource, action) VALUES
 ('permissions:create', 'permissions', 'create'),
 ('permissions:read', 'permissions', 'read'),
 ('permissions:update', 'permissions', 'update'),
-('permissions:delete', 'permissions', 'delete');
+('permissions:delete', 'permissions', 'delete'),
+-- Terminals permissions
+('terminals:create', 'terminals', 'create'),
+('terminals:read', 'terminals', 'read'),
+('terminals:update', 'terminals', 'update'),
+('terminals:delete', 'terminals', 'delete'),
+-- Returns permissions
+('returns:create', 'returns', 'create'),
+('returns:read', 'returns', 'read'),
+-- Payment methods permissions
+('payment_methods:read', 'payment_methods', 'read'),
+('payment_methods:update', 'payment_methods', 'update'),
+-- Promotions permissions
+('promotions:create', 'promotions', 'create'),
+('promotions:read', 'promotions', 'read'),
+('promotions:update', 'promotions', 'update'),
+('promotions:delete', 'promotions', 'delete'),
+-- Coupons permissions
+('coupons:create', 'coupons', 'create'),
+('coupons:read', 'coupons', 'read'),
+('coupons:update', 'coupons', 'update'),
+('coupons:delete', 'coupons', 'delete'),
+-- Shifts permissions
+('shifts:create', 'shifts', 'create'),
+('shifts:read', 'shifts', 'read'),
+('shifts:update', 'shifts', 'update'),
+-- Stores permissions (stores:all grants access to every store, for head office)
+('stores:create', 'stores', 'create'),
+('stores:read', 'stores', 'read'),
+('stores:update', 'stores', 'update'),
+('stores:delete', 'stores', 'delete'),
+('stores:all', 'stores', 'all'),
+-- Stock transfer permissions (update covers dispatch, receipt and cancellation)
+('transfers:create', 'transfers', 'create'),
+('transfers:read', 'transfers', 'read'),
+('transfers:update', 'transfers', 'update'),
+-- Supplier permissions
+('suppliers:create', 'suppliers', 'create'),
+('suppliers:read', 'suppliers', 'read'),
+('suppliers:update', 'suppliers', 'update'),
+('suppliers:delete', 'suppliers', 'delete'),
+-- Purchase order permissions (update covers sending, closing and cancelling; receive books deliveries in)
+('purchase_orders:create', 'purchase_orders', 'create'),
+('purchase_orders:read', 'purchase_orders', 'read'),
+('purchase_orders:update', 'purchase_orders', 'update'),
+('purchase_orders:receive', 'purchase_orders', 'receive');
+
+-- Seed data for stores
+INSERT INTO stores (code, name) VALUES
+('MAIN', 'Main Store');
 
 -- Seed data for payment methods
 INSERT INTO payment_methods (name) VALUES
 ('cash'),
 ('card'),
 ('check'),
+('voucher'),
 ('other');
 
 -- Seed data for payment statuses
 INSERT INTO payment_statuses (name) VALUES
 ('pending'),
+('unpaid'),
+('partial'),
 ('paid'),
+('partially_refunded'),
 ('refunded'),
 ('cancelled');
 
 -- Seed data for sale statuses
 INSERT INTO sale_statuses (name) VALUES
+('draft'),
 ('pending'),
+('held'),
+('layaway'),
 ('completed'),
 ('cancelled'),
 ('refunded');
@@ -360,6 +842,36 @@ COMMENT ON TABLE roles IS 'User roles for access control';
 COMMENT ON TABLE permissions IS 'Permissions for fine-grained access control';
 COMMENT ON TABLE user_roles IS 'Junction table linking users to roles';
 COMMENT ON TABLE role_permissions IS 'Junction table linking roles to permissions';
+COMMENT ON TABLE user_tokens IS 'Single-use password reset and email verification tokens';
+COMMENT ON TABLE deleted_records IS 'Tombstones for hard-deleted rows, reported by the sync pull';
+COMMENT ON TABLE idempotency_keys IS 'First responses to idempotent requests, replayed on retry';
+COMMENT ON TABLE terminals IS 'Registered POS terminals allowed to use PIN login';
+COMMENT ON TABLE token_families IS 'Login sessions grouping rotated refresh tokens';
+COMMENT ON TABLE refresh_tokens IS 'Hashed single-use refresh tokens';
+COMMENT ON TABLE login_events IS 'Audit trail of successful and failed login attempts';
+COMMENT ON TABLE sale_payments IS 'Individual tenders (split payments) recorded against sales';
+COMMENT ON TABLE promotions IS 'Discount rules evaluated automatically during sale pricing';
+COMMENT ON TABLE sale_item_promotions IS 'Promotion discounts applied to sale lines';
+COMMENT ON TABLE coupons IS 'Discount coupons and balance vouchers redeemed by code';
+COMMENT ON TABLE coupon_redemptions IS 'Coupon and voucher uses per sale and customer';
+COMMENT ON TABLE sale_returns IS 'Refunds issued against sales';
+COMMENT ON TABLE sale_return_items IS 'Returned sale lines with reason codes and restock details';
+COMMENT ON TABLE sale_status_history IS 'Sale status transitions with user and reason';
+COMMENT ON TABLE sale_voids IS 'Voided sales with reason code and approving manager';
+COMMENT ON TABLE stores IS 'Shops sharing this deployment';
+COMMENT ON TABLE user_stores IS 'Stores each user is assigned to';
+COMMENT ON TABLE store_prices IS 'Per-store product price overrides';
+COMMENT ON TABLE stock_transfers IS 'Stock transfers between store locations';
+COMMENT ON TABLE stock_transfer_items IS 'Transfer lines with the quantities sent, received and damaged';
+COMMENT ON TABLE stock_movements IS 'Append-only ledger of inventory quantity changes';
+COMMENT ON TABLE suppliers IS 'Vendors that stock is bought from';
+COMMENT ON TABLE purchase_orders IS 'Stock ordered from suppliers for a store location';
+COMMENT ON TABLE purchase_order_items IS 'Purchase order lines with the quantities ordered and received';
+COMMENT ON TABLE goods_receipts IS 'Deliveries received against purchase orders';
+COMMENT ON TABLE goods_receipt_items IS 'Units received per order line, at the cost invoiced';
+COMMENT ON TABLE shifts IS 'Cash drawer shifts with opening float and closing count';
+COMMENT ON TABLE shift_cash_movements IS 'Paid-ins, paid-outs and no-sale drawer opens per shift';
+COMMENT ON TABLE shift_counts IS 'Expected versus counted takings per payment method at shift close';
 COMMENT ON TABLE payment_methods IS 'Available payment methods';
 COMMENT ON TABLE payment_statuses IS 'Payment status options';
 COMMENT ON TABLE sale_statuses IS 'Sale status options';
\ No newline at end of file
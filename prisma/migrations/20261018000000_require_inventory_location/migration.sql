@@ -0,0 +1,23 @@
+-- Upgrades a database created while inventory.location was optional; a no-op on one created from
+-- the current initialdb.sql.
+-- NULLs never collide in the unique index, so a product could hold several rows without a location
+-- in one store: fold them into its 'default' row, move their ledger entries there, then require it.
+WITH unplaced AS (
+    DELETE FROM inventory WHERE location IS NULL
+    RETURNING product_id, store_id, quantity, reserved_quantity, min_quantity, max_quantity
+)
+INSERT INTO inventory (product_id, store_id, location, quantity, reserved_quantity, min_quantity, max_quantity)
+SELECT product_id, store_id, 'default', SUM(quantity), SUM(reserved_quantity), MAX(min_quantity), MAX(max_quantity)
+FROM unplaced
+GROUP BY product_id, store_id
+ON CONFLICT (product_id, store_id, location) DO UPDATE SET
+    quantity = inventory.quantity + EXCLUDED.quantity,
+    reserved_quantity = inventory.reserved_quantity + EXCLUDED.reserved_quantity,
+    last_updated = CURRENT_TIMESTAMP;
+
+ALTER TABLE stock_movements DISABLE TRIGGER prevent_stock_movements_update;
+UPDATE stock_movements SET location = 'default' WHERE location IS NULL;
+ALTER TABLE stock_movements ENABLE TRIGGER prevent_stock_movements_update;
+
+ALTER TABLE inventory ALTER COLUMN location SET DEFAULT 'default', ALTER COLUMN location SET NOT NULL;
+ALTER TABLE stock_movements ALTER COLUMN location SET DEFAULT 'default', ALTER COLUMN location SET NOT NULL;
@@ -13,7 +13,13 @@ const prisma = new PrismaClient();
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhooks can verify provider signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -27,9 +33,23 @@ app.use('/api/', limiter);
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
+app.use('/api/sales/:saleId/returns', require('./routes/returns'));
 app.use('/api/sales', require('./routes/sales'));
 app.use('/api/customers', require('./routes/customers'));
 app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/terminals', require('./routes/terminals'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/shifts', require('./routes/shifts'));
+app.use('/api/sync', require('./routes/sync'));
+app.use('/api/stores', require('./routes/stores'));
+app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrders'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -1,4 +1,9 @@
 const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { getUserAccess } = require('../services/access');
+const { isTokenFamilyActive } = require('../services/tokens');
+
+const prisma = new PrismaClient();
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -8,28 +13,90 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, payload) => {
+    // Challenge tokens (e.g. the 2FA step) carry a purpose and are not access tokens
+    if (err || payload.purpose) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
 
-    req.user = user;
-    next();
+    try {
+      // Tokens stay valid only while the account is active and the login has not been revoked
+      const [user, familyActive] = await Promise.all([
+        prisma.user.findUnique({
+          where: { id: payload.userId },
+          select: { id: true, role: true, isActive: true }
+        }),
+        isTokenFamilyActive(payload.familyId)
+      ]);
+
+      if (!user || !user.isActive) {
+        return res.status(401).json({ error: 'Account is inactive' });
+      }
+
+      if (!familyActive) {
+        return res.status(401).json({ error: 'Token has been revoked' });
+      }
+
+      req.user = { ...payload, role: user.role };
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   });
 };
 
+// Load roles and permissions for the authenticated user, cached on the request
+const loadAccess = async (req) => {
+  if (!req.access) {
+    req.access = await getUserAccess(req.user.userId, { scope: req.user.scope });
+  }
+
+  return req.access;
+};
+
+// Allow any of the given roles assigned through user_roles. Terminal-scoped tokens carry no roles.
 const authorizeRoles = (...allowedRoles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    try {
+      const { roles } = await loadAccess(req);
+
+      if (!allowedRoles.some(role => roles.has(role))) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
+// Require every listed permission (e.g. 'sales:create')
+const authorizePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
     }
 
-    next();
+    try {
+      const { permissions } = await loadAccess(req);
+
+      if (!requiredPermissions.every(permission => permissions.has(permission))) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   };
 };
 
-module.exports = { authenticateToken, authorizeRoles };
\ No newline at end of file
+module.exports = { authenticateToken, authorizeRoles, authorizePermission, loadAccess };
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const KEY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+// How long a key's response is replayed for
+const IDEMPOTENCY_KEY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A request still unfinished after this long is assumed lost (e.g. the server restarted mid-request)
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Conflicts and rate limits describe the moment, not the request, so they are not replayed
+const UNSTORED_STATUSES = [409, 429];
+
+// JSON with object keys sorted, so the same body always hashes the same way
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+// Claim the key for this request; returns the existing record when someone already holds it
+const claimKey = async ({ userId, key, method, path, requestHash }) => {
+  const now = new Date();
+
+  // An expired key, or one whose request was lost, may be used again
+  await prisma.idempotencyKey.deleteMany({
+    where: {
+      userId,
+      key,
+      OR: [
+        { expiresAt: { lt: now } },
+        { completedAt: null, createdAt: { lt: new Date(now.getTime() - IN_PROGRESS_TIMEOUT_MS) } }
+      ]
+    }
+  });
+
+  try {
+    const record = await prisma.idempotencyKey.create({
+      data: {
+        userId,
+        key,
+        method,
+        path,
+        requestHash,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+      }
+    });
+
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+
+    const record = await prisma.idempotencyKey.findUnique({
+      where: { userId_key: { userId, key } }
+    });
+
+    return { record, claimed: false };
+  }
+};
+
+/**
+ * Make a mutating route safe to retry. A request carrying an Idempotency-Key header runs once per
+ * user and key; retries with the same method, path and body get the stored response back with
+ * Idempotent-Replayed: true, and reusing the key for a different request is rejected with 422.
+ * Requests without the header are not affected. Mount after authenticateToken.
+ */
+const idempotent = () => {
+  return async (req, res, next) => {
+    const key = req.get(KEY_HEADER);
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const userId = req.user.userId;
+    const requestHash = hashRequest(req);
+
+    let claim;
+    try {
+      claim = await claimKey({ userId, key, method: req.method, path: `${req.baseUrl}${req.path}`, requestHash });
+    } catch (error) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    const { record, claimed } = claim;
+
+    if (!claimed) {
+      // The other request finished and released the key between our insert and lookup
+      if (!record) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key was just retried; try again' });
+      }
+
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({ error: 'Idempotency-Key has already been used for a different request' });
+      }
+
+      if (!record.completedAt) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    let settled = false;
+
+    // Give the key back so the client can retry after an error or a response we cannot replay
+    const release = () => {
+      settled = true;
+      prisma.idempotencyKey.delete({ where: { id: record.id } })
+        .catch(error => console.error('Idempotency key release error:', error));
+    };
+
+    // Store the response before it is sent, so a retry arriving straight after it sees the result
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (settled) return json(body);
+
+      if (res.statusCode >= 500 || UNSTORED_STATUSES.includes(res.statusCode)) {
+        release();
+        return json(body);
+      }
+
+      settled = true;
+      prisma.idempotencyKey.update({
+        where: { id: record.id },
+        data: {
+          responseStatus: res.statusCode,
+          // Round-trip through JSON so Decimals and Dates are stored as they were sent
+          responseBody: JSON.parse(JSON.stringify(body === undefined ? null : body)),
+          completedAt: new Date()
+        }
+      })
+        .catch(error => console.error('Idempotency key store error:', error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    // Responses sent some other way are not stored. A client that disconnects mid-request still
+    // gets its response stored when the route finishes, which is what makes its retry safe.
+    res.on('finish', () => {
+      if (!settled) release();
+    });
+
+    next();
+  };
+};
+
+module.exports = { idempotent };
@@ -11,10 +11,12 @@ const apiLimiter = rateLimit({
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
 
-// Stricter limiter for authentication routes
+// Stricter limiter for authentication routes; only failed attempts count so a shared
+// store IP does not lock out cashiers who log in correctly
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // limit each IP to 5 requests per windowMs
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 5, // limit each IP to 5 failed attempts per windowMs
+  skipSuccessfulRequests: true,
   message: {
     error: 'Too many authentication attempts, please try again later.'
   },
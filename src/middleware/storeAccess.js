@@ -0,0 +1,121 @@
+const { PrismaClient } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { loadAccess } = require('./auth');
+
+const prisma = new PrismaClient();
+
+// Head office: may work in and report on every store
+const ALL_STORES_PERMISSION = 'stores:all';
+
+/**
+ * Stores the caller may work in, cached on the request: null for every store, otherwise a list
+ * of store IDs. A terminal token is bound to its register's store whoever signed in on it.
+ */
+const allowedStoreIds = async (req) => {
+  if (req.storeIds !== undefined) {
+    return req.storeIds;
+  }
+
+  if (req.user.terminalId) {
+    const terminal = await prisma.terminal.findUnique({
+      where: { id: req.user.terminalId },
+      select: { storeId: true }
+    });
+    req.storeIds = terminal ? [terminal.storeId] : [];
+    return req.storeIds;
+  }
+
+  const { permissions } = await loadAccess(req);
+
+  if (permissions.has(ALL_STORES_PERMISSION)) {
+    req.storeIds = null;
+    return req.storeIds;
+  }
+
+  const assignments = await prisma.userStore.findMany({
+    where: { userId: req.user.userId },
+    select: { storeId: true }
+  });
+  req.storeIds = assignments.map(assignment => assignment.storeId);
+  return req.storeIds;
+};
+
+const canAccessStore = async (req, storeId) => {
+  const allowed = await allowedStoreIds(req);
+  return allowed === null || allowed.includes(storeId);
+};
+
+/**
+ * The store a write happens in: `requested` when given and allowed, otherwise the caller's only
+ * store (always the case on a terminal). Callers with several stores must say which.
+ */
+const resolveStoreId = async (req, requested) => {
+  const allowed = await allowedStoreIds(req);
+  const storeId = requested || (allowed && allowed.length === 1 ? allowed[0] : null);
+
+  if (!storeId) {
+    throw httpError(400, 'storeId is required');
+  }
+
+  if (allowed !== null && !allowed.includes(storeId)) {
+    throw httpError(403, 'You do not have access to this store');
+  }
+
+  const store = await prisma.store.findUnique({ where: { id: storeId } });
+
+  if (!store || !store.isActive) {
+    throw httpError(400, 'Store not found');
+  }
+
+  return storeId;
+};
+
+/**
+ * `where.storeId` for a list endpoint: the requested store if the caller may see it, otherwise
+ * every store they may see (no condition at all for head office).
+ */
+const storeFilter = async (req, requested) => {
+  const allowed = await allowedStoreIds(req);
+
+  if (requested) {
+    if (allowed !== null && !allowed.includes(requested)) {
+      throw httpError(403, 'You do not have access to this store');
+    }
+    return requested;
+  }
+
+  return allowed === null ? undefined : { in: allowed };
+};
+
+/**
+ * Route guard for endpoints addressing a sale by ID (`param`): a sale in a store the caller cannot
+ * see is reported as not found. Missing sales are left to the handler.
+ */
+const authorizeSaleStore = (param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const sale = await prisma.sale.findUnique({
+        where: { id: req.params[param] },
+        select: { storeId: true }
+      });
+
+      if (sale && !await canAccessStore(req, sale.storeId)) {
+        return res.status(404).json({ error: 'Sale not found' });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Store authorization error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
+module.exports = {
+  ALL_STORES_PERMISSION,
+  allowedStoreIds,
+  canAccessStore,
+  resolveStoreId,
+  storeFilter,
+  authorizeSaleStore
+};
@@ -1,11 +1,114 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const { ALL_STORES_PERMISSION } = require('../middleware/storeAccess');
+const { authLimiter } = require('../middleware/rateLimit');
+const { getUserAccess } = require('../services/access');
+const { TERMINAL_SCOPE } = require('../services/access');
+const { sendMail } = require('../services/mailer');
+const {
+  isAccountLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+  isPinLocked,
+  registerFailedPin,
+  clearFailedPins,
+  recordLoginEvent
+} = require('../services/loginAudit');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../services/totp');
+const {
+  SETUP_CHALLENGE_PURPOSE,
+  CHALLENGE_PURPOSE,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactor');
+const {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  createUserToken,
+  consumeUserToken
+} = require('../services/userTokens');
+const {
+  hashToken,
+  issueTokens,
+  issueTerminalToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllTokenFamilies
+} = require('../services/tokens');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const PIN_PATTERN = /^\d{4,8}$/;
+
+const requestMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+const MIN_PASSWORD_LENGTH = 8;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CPOS';
+
+const accountLockedResponse = (res, lockedUntil) => res.status(423).json({
+  error: 'Account locked after too many failed login attempts',
+  lockedUntil
+});
+
+const userSummary = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName
+});
+
+// Enrollment accepts a normal access token or the setup challenge issued at login
+const authenticateEnrollment = (req, res, next) => {
+  if (req.body.challengeToken) {
+    try {
+      const { userId } = verifyChallengeToken(req.body.challengeToken, SETUP_CHALLENGE_PURPOSE);
+      req.user = { userId, setupChallenge: true };
+      return next();
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+  }
+
+  authenticateToken(req, res, () => {
+    if (req.user.scope === TERMINAL_SCOPE) {
+      return res.status(403).json({ error: 'Two-factor settings cannot be changed from a terminal session' });
+    }
+    next();
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user.id, EMAIL_VERIFICATION);
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your CPOS email address',
+    text: `Confirm your email address by opening ${link}\n\nVerification token: ${token}`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user.id, PASSWORD_RESET);
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your CPOS password',
+    text: `Reset your password by opening ${link}\n\nReset token: ${token}\n\nIf you did not request this, you can ignore this email.`
+  });
+};
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -26,6 +129,16 @@ const prisma = new PrismaClient();
  *               properties:
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Names of roles assigned through user_roles
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Effective permissions granted by those roles
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -68,22 +181,22 @@ router.post('/register', async (req, res) => {
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // A mail failure should not fail registration; the user can request a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Issue access + refresh tokens
+    const tokens = await issueTokens(user, requestMeta(req));
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName
-      }
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      user: userSummary(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -92,9 +205,11 @@ router.post('/register', async (req, res) => {
 });
 
 // Login user
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const meta = requestMeta(req);
+    const audit = { method: 'password', ...meta };
 
     // Find user
     const user = await prisma.user.findUnique({
@@ -102,31 +217,62 @@ router.post('/login', async (req, res) => {
     });
 
     if (!user) {
+      await recordLoginEvent({ ...audit, email, success: false, failureReason: 'unknown_user' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (isAccountLocked(user)) {
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'locked' });
+      return accountLockedResponse(res, user.lockedUntil);
+    }
+
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.passwordHash);
     if (!isValidPassword) {
+      const lockedUntil = await registerFailedLogin(user);
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'invalid_password' });
+
+      if (lockedUntil) {
+        return accountLockedResponse(res, lockedUntil);
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    if (!user.isActive) {
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'inactive' });
+      return res.status(403).json({ error: 'Account is deactivated' });
+    }
+
+    // Enrolled users must pass the second step; users whose role enforces 2FA must enroll first
+    if (user.totpEnabledAt) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, CHALLENGE_PURPOSE)
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        message: 'Two-factor enrollment required',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, SETUP_CHALLENGE_PURPOSE)
+      });
+    }
+
+    // Failed attempts are only cleared once the whole login succeeds, so 2FA guesses count too
+    await clearFailedLogins(user);
+    await recordLoginEvent({ ...audit, user, success: true });
+
+    // Issue access + refresh tokens
+    const tokens = await issueTokens(user, meta);
 
     res.json({
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName
-      }
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      user: userSummary(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -134,8 +280,905 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Complete login with a TOTP or recovery code
+ *     description: Second login step for accounts with two-factor authentication enabled. Takes the challenge token returned by /api/auth/login.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the single-use recovery codes
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       423:
+ *         description: Account locked after too many failed attempts
+ */
+router.post('/2fa/verify', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const meta = requestMeta(req);
+    const audit = { method: 'two_factor', ...meta };
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'code or recoveryCode is required' });
+    }
+
+    const { userId } = verifyChallengeToken(challengeToken, CHALLENGE_PURPOSE);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user || !user.isActive || !user.totpEnabledAt) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'locked' });
+      return accountLockedResponse(res, user.lockedUntil);
+    }
+
+    try {
+      await verifySecondFactor(user, { code, recoveryCode });
+    } catch (error) {
+      if (error.status === 401) {
+        const lockedUntil = await registerFailedLogin(user);
+        await recordLoginEvent({ ...audit, user, success: false, failureReason: 'invalid_code' });
+
+        if (lockedUntil) {
+          return accountLockedResponse(res, lockedUntil);
+        }
+      }
+      throw error;
+    }
+
+    await clearFailedLogins(user);
+    await recordLoginEvent({ ...audit, user, success: true });
+
+    const tokens = await issueTokens(user, meta);
+
+    res.json({
+      message: 'Login successful',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      user: userSummary(user)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Start TOTP enrollment
+ *     description: Generates a new secret and otpauth URI to load into an authenticator app. Authenticate with a bearer token, or with the setup challenge token returned by login when a role enforces 2FA.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/2fa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: secret }
+    });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Confirm TOTP enrollment
+ *     description: Verifies a code from the authenticator app and returns single-use recovery codes. When called with a setup challenge token the login is completed and tokens are returned.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       423:
+ *         description: Account locked after too many failed attempts (setup challenge only)
+ */
+router.post('/2fa/enable', authenticateEnrollment, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totpSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    // Enrolling from a setup challenge is still a login, so codes count towards the lockout as at /2fa/verify
+    const audit = { method: 'two_factor', ...requestMeta(req) };
+
+    if (req.user.setupChallenge && isAccountLocked(user)) {
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'locked' });
+      return accountLockedResponse(res, user.lockedUntil);
+    }
+
+    const step = verifyCode(user.totpSecret, code);
+    if (step === null) {
+      if (req.user.setupChallenge) {
+        const lockedUntil = await registerFailedLogin(user);
+        await recordLoginEvent({ ...audit, user, success: false, failureReason: 'invalid_code' });
+
+        if (lockedUntil) {
+          return accountLockedResponse(res, lockedUntil);
+        }
+      }
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpEnabledAt: new Date(),
+        totpLastUsedStep: step,
+        totpRecoveryCodes: hashes
+      }
+    });
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    };
+
+    if (req.user.setupChallenge) {
+      await clearFailedLogins(user);
+      await recordLoginEvent({ ...audit, user, success: true });
+
+      const tokens = await issueTokens(user, requestMeta(req));
+      Object.assign(response, {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        user: userSummary(user)
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all existing recovery codes. Requires a current authenticator code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.scope === TERMINAL_SCOPE) {
+      return res.status(403).json({ error: 'Two-factor settings cannot be changed from a terminal session' });
+    }
+
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    await verifySecondFactor(user, { code });
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpRecoveryCodes: hashes }
+    });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Disable two-factor authentication
+ *     description: Requires the password and a current code. Not allowed while one of the user's roles enforces 2FA.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.scope === TERMINAL_SCOPE) {
+      return res.status(403).json({ error: 'Two-factor settings cannot be changed from a terminal session' });
+    }
+
+    const { password, code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const isValidPassword = password && await bcrypt.compare(password, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    await verifySecondFactor(user, { code });
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpSecret: null,
+        totpEnabledAt: null,
+        totpLastUsedStep: null,
+        totpRecoveryCodes: []
+      }
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Rotate a refresh token
+ *     description: Exchanges a refresh token for a new access token and refresh token. Each refresh token is single use; presenting one twice revokes the whole login.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken);
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Log out the current session
+ *     description: Revokes the refresh token family of the presented access token
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeTokenFamily(req.user.familyId);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Log out all devices
+ *     description: Revokes every refresh token family belonging to the current user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await revokeAllTokenFamilies(req.user.userId);
+
+    res.json({ message: 'Logged out of all devices', revokedSessions: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/pin:
+ *   put:
+ *     tags:
+ *       - Authentication
+ *     summary: Set or change the current user's PIN
+ *     description: The PIN (4-8 digits) is used for quick login at registered terminals. Requires the account password.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *               - password
+ *             properties:
+ *               pin:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PIN updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/pin', authenticateToken, async (req, res) => {
+  try {
+    const { pin, password } = req.body;
+
+    if (req.user.scope === TERMINAL_SCOPE) {
+      return res.status(403).json({ error: 'PIN cannot be changed from a terminal session' });
+    }
+
+    if (!PIN_PATTERN.test(pin || '')) {
+      return res.status(400).json({ error: 'PIN must be 4 to 8 digits' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    const isValidPassword = password && await bcrypt.compare(password, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const pinHash = await bcrypt.hash(pin, salt);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        pinHash,
+        pinFailedAttempts: 0,
+        pinLockedUntil: null
+      }
+    });
+
+    res.json({ message: 'PIN updated successfully' });
+  } catch (error) {
+    console.error('Set PIN error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/pin-login:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Cashier PIN login at a registered terminal
+ *     description: Only valid with a registered terminal token in the X-Terminal-Token header. Issues a terminal-scoped access token limited to register operations. Repeated bad PINs lock the PIN temporarily.
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Terminal-Token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - pin
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               pin:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Terminal session started
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: The cashier is not assigned to the terminal's store
+ *       423:
+ *         description: PIN temporarily locked after repeated failures
+ *       429:
+ *         description: Too many failed attempts from this IP
+ */
+router.post('/pin-login', authLimiter, async (req, res) => {
+  try {
+    const terminalToken = req.headers['x-terminal-token'];
+    const { userId, pin } = req.body;
+    const meta = requestMeta(req);
+
+    if (!terminalToken) {
+      return res.status(401).json({ error: 'Terminal token required' });
+    }
+
+    const terminal = await prisma.terminal.findUnique({
+      where: { tokenHash: hashToken(terminalToken) }
+    });
+
+    if (!terminal || !terminal.isActive) {
+      await recordLoginEvent({ method: 'pin', success: false, failureReason: 'unregistered_terminal', ...meta });
+      return res.status(401).json({ error: 'Unregistered terminal' });
+    }
+
+    const audit = { method: 'pin', terminal, ...meta };
+
+    if (!userId || !pin) {
+      return res.status(400).json({ error: 'userId and pin are required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user || !user.isActive || !user.pinHash) {
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'invalid_credentials' });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (isPinLocked(user)) {
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'locked' });
+      return res.status(423).json({
+        error: 'PIN locked after too many failed attempts',
+        lockedUntil: user.pinLockedUntil
+      });
+    }
+
+    const isValidPin = await bcrypt.compare(String(pin), user.pinHash);
+    if (!isValidPin) {
+      await registerFailedPin(user);
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'invalid_pin' });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Cashiers sign in only at registers in their own stores; head office anywhere
+    const [assignment, access] = await Promise.all([
+      prisma.userStore.findUnique({
+        where: { userId_storeId: { userId: user.id, storeId: terminal.storeId } }
+      }),
+      getUserAccess(user.id)
+    ]);
+
+    if (!assignment && !access.permissions.has(ALL_STORES_PERMISSION)) {
+      await recordLoginEvent({ ...audit, user, success: false, failureReason: 'wrong_store' });
+      return res.status(403).json({ error: 'You are not assigned to this terminal\'s store' });
+    }
+
+    await Promise.all([
+      clearFailedPins(user),
+      prisma.terminal.update({
+        where: { id: terminal.id },
+        data: { lastSeenAt: new Date() }
+      })
+    ]);
+
+    await recordLoginEvent({ ...audit, user, success: true });
+
+    const tokens = await issueTerminalToken(user, terminal, meta);
+
+    res.json({
+      message: 'Login successful',
+      token: tokens.accessToken,
+      expiresIn: tokens.expiresIn,
+      terminal: {
+        id: terminal.id,
+        name: terminal.name
+      },
+      user: userSummary(user)
+    });
+  } catch (error) {
+    console.error('PIN login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Request a password reset email
+ *     description: Always responds with success so that registered emails cannot be discovered
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({ message: 'If that account exists, a password reset email has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Reset a password with an emailed token
+ *     description: Tokens are single use and expire. All existing sessions are revoked.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const userId = await consumeUserToken(token, PASSWORD_RESET);
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    // Receiving the reset email also proves ownership of the address
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        passwordHash,
+        emailVerifiedAt: user.emailVerifiedAt || new Date(),
+        failedLoginAttempts: 0,
+        lockedUntil: null
+      }
+    });
+
+    await revokeAllTokenFamilies(userId);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Verify an email address with an emailed token
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await consumeUserToken(token, EMAIL_VERIFICATION);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Resend the verification email
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId }
+    });
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get current user profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -148,6 +1191,8 @@ router.get('/profile', async (req, res) => {
         lastName: true,
         role: true,
         isActive: true,
+        emailVerifiedAt: true,
+        totpEnabledAt: true,
         createdAt: true,
         userRoles: {
           include: {
@@ -169,7 +1214,13 @@ router.get('/profile', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user });
+    const { roles, permissions } = await getUserAccess(userId);
+
+    res.json({
+      user,
+      roles: [...roles].sort(),
+      permissions: [...permissions].sort()
+    });
   } catch (error) {
     console.error('Profile error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -177,7 +1228,7 @@ router.get('/profile', async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', async (req, res) => {
+router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
     const { firstName, lastName } = req.body;
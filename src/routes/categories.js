@@ -1,5 +1,6 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -46,7 +47,7 @@ const prisma = new PrismaClient();
  */
 
 // Get all categories
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, authorizePermission('categories:read'), async (req, res) => {
   try {
     const categories = await prisma.category.findMany({
       where: { isActive: true },
@@ -66,7 +67,7 @@ router.get('/', async (req, res) => {
 });
 
 // Get single category
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('categories:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -97,7 +98,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create category
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('categories:create'), async (req, res) => {
   try {
     const { name, description } = req.body;
 
@@ -123,7 +124,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update category
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('categories:update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description, isActive } = req.body;
@@ -154,7 +155,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete category (soft delete)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('categories:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -0,0 +1,409 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { COUPON_TYPES, normalizeCode, buildCouponData } = require('../services/coupons');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const couponInclude = {
+  promotion: { select: { id: true, name: true, type: true, value: true } },
+  customer: { select: { id: true, firstName: true, lastName: true, email: true } }
+};
+
+// Checks a discount coupon's promotion exists and is kept for coupon holders
+const checkPromotion = async (promotionId) => {
+  if (!promotionId) return null;
+
+  const promotion = await prisma.promotion.findUnique({ where: { id: promotionId } });
+
+  if (!promotion) return 'Promotion not found';
+  if (!promotion.couponOnly) return 'The promotion must be coupon-only; it would otherwise apply to every sale';
+  return null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CouponInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Letters, digits and dashes, stored uppercase; generated when left out. Cannot be changed.
+ *         type:
+ *           type: string
+ *           enum: [discount, voucher]
+ *           description: Cannot be changed
+ *         promotionId:
+ *           type: string
+ *           description: Coupon-only promotion a discount coupon unlocks
+ *         balance:
+ *           type: number
+ *           description: Starting value of a voucher. Cannot be changed.
+ *         customerId:
+ *           type: string
+ *           description: Only this customer may redeem the coupon
+ *         maxRedemptions:
+ *           type: integer
+ *           description: Total uses allowed, 1 for a single-use code; unlimited when left out
+ *         perCustomerLimit:
+ *           type: integer
+ *           description: Uses allowed per customer; sales redeeming it then need a customer
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons and vouchers
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [discount, voucher]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of a code
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupons, newest first
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('coupons:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, type, search, active } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {};
+
+    if (COUPON_TYPES.includes(type)) {
+      where.type = type;
+    }
+
+    if (search) {
+      where.code = { contains: normalizeCode(search) };
+    }
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const [coupons, total] = await Promise.all([
+      prisma.coupon.findMany({
+        where,
+        include: couponInclude,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.coupon.count({ where })
+    ]);
+
+    res.json({
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/code/{code}:
+ *   get:
+ *     summary: Look up a coupon by its code
+ *     description: For checking a voucher's balance or a coupon's validity at the counter
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/code/:code', authenticateToken, authorizePermission('coupons:read'), async (req, res) => {
+  try {
+    const coupon = await prisma.coupon.findUnique({
+      where: { code: normalizeCode(req.params.code) },
+      include: couponInclude
+    });
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ coupon });
+  } catch (error) {
+    console.error('Get coupon by code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon with its redemptions
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon and every sale it was redeemed on, newest first
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('coupons:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id },
+      include: {
+        ...couponInclude,
+        redemptions: {
+          include: {
+            customer: { select: { id: true, firstName: true, lastName: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ coupon });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   post:
+ *     summary: Issue a coupon or voucher
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CouponInput'
+ *               - required: [type]
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/', authenticateToken, authorizePermission('coupons:create'), async (req, res) => {
+  try {
+    const data = buildCouponData(req.body);
+
+    const promotionError = await checkPromotion(data.promotionId);
+    if (promotionError) {
+      return res.status(400).json({ error: promotionError });
+    }
+
+    const coupon = await prisma.coupon.create({
+      data,
+      include: couponInclude
+    });
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create coupon error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Coupon code already exists' });
+    } else if (error.code === 'P2003') {
+      res.status(400).json({ error: 'Customer not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   put:
+ *     summary: Update a coupon's limits, dates or customer
+ *     description: Fields left out keep their current values. The code, type and voucher balance cannot be changed.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', authenticateToken, authorizePermission('coupons:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.coupon.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const data = buildCouponData(req.body, existing);
+
+    if (data.promotionId !== existing.promotionId) {
+      const promotionError = await checkPromotion(data.promotionId);
+      if (promotionError) {
+        return res.status(400).json({ error: promotionError });
+      }
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id },
+      data,
+      include: couponInclude
+    });
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update coupon error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Coupon not found' });
+    } else if (error.code === 'P2003') {
+      res.status(400).json({ error: 'Customer not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   delete:
+ *     summary: Withdraw a coupon
+ *     description: Deactivates the coupon so it can no longer be redeemed; past redemptions are kept
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coupon ID
+ *     responses:
+ *       200:
+ *         description: Coupon deactivated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, authorizePermission('coupons:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.coupon.update({
+      where: { id },
+      data: { isActive: false }
+    });
+
+    res.json({ message: 'Coupon deactivated successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Coupon not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { storeFilter } = require('../middleware/storeAccess');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -64,7 +66,7 @@ const prisma = new PrismaClient();
  */
 
 // Get all customers
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, authorizePermission('customers:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, search } = req.query;
 
@@ -113,14 +115,16 @@ router.get('/', async (req, res) => {
 });
 
 // Get single customer
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('customers:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const customer = await prisma.customer.findUnique({
       where: { id },
       include: {
+        // Customers are shared across the chain; their recent sales only from the caller's stores
         sales: {
+          where: { storeId: await storeFilter(req) },
           include: {
             saleItems: {
               include: {
@@ -149,7 +153,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create customer
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('customers:create'), async (req, res) => {
   try {
     const {
       firstName,
@@ -192,7 +196,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update customer
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('customers:update'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -239,13 +243,19 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete customer
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('customers:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    await prisma.customer.delete({
-      where: { id }
-    });
+    // The tombstone tells syncing terminals to drop their copy
+    await prisma.$transaction([
+      prisma.customer.delete({
+        where: { id }
+      }),
+      prisma.deletedRecord.create({
+        data: { entity: 'customer', recordId: id }
+      })
+    ]);
 
     res.json({ message: 'Customer deleted successfully' });
   } catch (error) {
@@ -259,7 +269,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get customer statistics
-router.get('/:id/stats', async (req, res) => {
+router.get('/:id/stats', authenticateToken, authorizePermission('customers:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1,6 +1,10 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { resolveStoreId, storeFilter } = require('../middleware/storeAccess');
+const { MOVEMENT_TYPES, adjustStock } = require('../services/stock');
+const { findDrift, reconcileInventory } = require('../services/stockLedger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -10,6 +14,7 @@ const prisma = new PrismaClient();
  * /api/inventory:
  *   get:
  *     summary: Get all inventory items
+ *     description: Stock rows per product, store and location, limited to the stores the caller works in
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
@@ -32,6 +37,11 @@ const prisma = new PrismaClient();
  *         schema:
  *           type: boolean
  *         description: Filter for low stock items only
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
  *     responses:
  *       200:
  *         description: List of inventory items
@@ -51,29 +61,31 @@ const prisma = new PrismaClient();
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.get('/', authenticateToken, authorizePermission('inventory:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, lowStock = false } = req.query;
+    const { page = 1, limit = 10, lowStock = false, storeId } = req.query;
     const skip = (page - 1) * limit;
 
-    const where = lowStock === 'true' ? {
-      quantity: {
-        lte: prisma.product.fields.lowStockThreshold
-      }
-    } : {};
+    const where = {
+      storeId: await storeFilter(req, storeId)
+    };
+
+    if (lowStock === 'true') {
+      where.quantity = { lte: prisma.inventory.fields.minQuantity };
+    }
 
     const [inventory, total] = await Promise.all([
-      prisma.product.findMany({
+      prisma.inventory.findMany({
         where,
         include: {
-          category: true,
-          supplier: true
+          product: { include: { category: true, supplier: true } },
+          store: true
         },
         skip: parseInt(skip),
         take: parseInt(limit),
-        orderBy: { updatedAt: 'desc' }
+        orderBy: { lastUpdated: 'desc' }
       }),
-      prisma.product.count({ where })
+      prisma.inventory.count({ where })
     ]);
 
     res.json({
@@ -86,16 +98,271 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), async (re
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error fetching inventory:', error);
     res.status(500).json({ error: 'Failed to fetch inventory' });
   }
 });
 
+const movementInclude = {
+  product: { select: { id: true, name: true, sku: true } },
+  store: { select: { id: true, code: true, name: true } },
+  user: { select: { id: true, firstName: true, lastName: true, email: true } }
+};
+
+// Paginated ledger rows matching `where`, newest first
+const listMovements = async (where, { page = 1, limit = 50 }) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [movements, total] = await Promise.all([
+    prisma.stockMovement.findMany({
+      where,
+      include: movementInclude,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' }
+    }),
+    prisma.stockMovement.count({ where })
+  ]);
+
+  return {
+    data: movements,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /api/inventory/movements:
+ *   get:
+ *     summary: Search the stock ledger
+ *     description: Every change to stock on hand, newest first, in the stores the caller works in. Filter by document (e.g. `referenceType=sale&referenceId=...`) to see what one sale, return or transfer moved, or by user and dates when investigating shrinkage.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, sale_void, return, adjustment, count, transfer_out, transfer_in, transfer_return, receipt, opening]
+ *       - in: query
+ *         name: referenceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: referenceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Stock movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/movements', authenticateToken, authorizePermission('inventory:read'), async (req, res) => {
+  try {
+    const { productId, storeId, location, type, referenceType, referenceId, userId, startDate, endDate } = req.query;
+
+    if (type && !MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${MOVEMENT_TYPES.join(', ')}` });
+    }
+
+    const where = {
+      storeId: await storeFilter(req, storeId),
+      productId,
+      location,
+      type,
+      referenceType,
+      referenceId,
+      userId
+    };
+
+    if (startDate || endDate) {
+      where.createdAt = {
+        gte: startDate ? new Date(startDate) : undefined,
+        lte: endDate ? new Date(endDate) : undefined
+      };
+    }
+
+    res.json(await listMovements(where, req.query));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ error: 'Failed to fetch stock movements' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/reconciliation:
+ *   get:
+ *     summary: Find stock that disagrees with the ledger
+ *     description: Inventory rows whose quantity differs from their ledger balance. `opening` is stock a row held before the ledger existed that no `opening` movement records yet; it counts towards the ledger balance.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rows out of line with the ledger, with their ledger quantity and the difference
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/reconciliation', authenticateToken, authorizePermission('inventory:read'), async (req, res) => {
+  try {
+    const drift = await findDrift({
+      storeId: await storeFilter(req, req.query.storeId),
+      productId: req.query.productId
+    });
+
+    res.json({ data: drift });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error checking stock reconciliation:', error);
+    res.status(500).json({ error: 'Failed to check stock reconciliation' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/reconciliation:
+ *   post:
+ *     summary: Reconcile stock with the ledger
+ *     description: Stock held before the ledger existed is recorded as an `opening` movement, taken from the `quantityBefore` of each row's first movement. A row that still differs is reset to its ledger balance, since the ledger is the record of what happened. Rows that change while being reconciled are skipped and reported.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               storeId:
+ *                 type: string
+ *                 description: Defaults to every store the caller works in
+ *               productId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rows reconciled and rows skipped
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/reconciliation', authenticateToken, authorizePermission('inventory:update'), idempotent(), async (req, res) => {
+  try {
+    const { storeId, productId, reason } = req.body;
+
+    const result = await reconcileInventory({
+      storeId: await storeFilter(req, storeId),
+      productId
+    }, {
+      userId: req.user.userId,
+      reason
+    });
+
+    res.json({
+      message: 'Inventory reconciled with the stock ledger',
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error reconciling stock:', error);
+    res.status(500).json({ error: 'Failed to reconcile stock' });
+  }
+});
+
 /**
  * @swagger
  * /api/inventory/{id}:
  *   get:
  *     summary: Get inventory item by ID
+ *     description: A product with its stock rows in the stores the caller works in
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
@@ -120,16 +387,22 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), async (re
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('inventory:read'), async (req, res) => {
   try {
     const { id } = req.params;
+    const stores = await storeFilter(req);
 
     const product = await prisma.product.findUnique({
       where: { id },
       include: {
         category: true,
         supplier: true,
+        inventories: {
+          where: { storeId: stores },
+          include: { store: true }
+        },
         saleItems: {
+          where: { sale: { storeId: stores } },
           include: {
             sale: true
           },
@@ -145,20 +418,80 @@ router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), async
 
     res.json(product);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error fetching inventory item:', error);
     res.status(500).json({ error: 'Failed to fetch inventory item' });
   }
 });
 
+/**
+ * @swagger
+ * /api/inventory/low-stock:
+ *   get:
+ *     summary: Get low stock alerts
+ *     description: Stock rows at or below their minimum quantity, in the stores the caller works in
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *     responses:
+ *       200:
+ *         description: List of low stock items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/InventoryItem'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/alerts/low-stock', authenticateToken, authorizePermission('inventory:read'), async (req, res) => {
+  try {
+    const lowStockItems = await prisma.inventory.findMany({
+      where: {
+        storeId: await storeFilter(req, req.query.storeId),
+        quantity: {
+          lte: prisma.inventory.fields.minQuantity
+        }
+      },
+      include: {
+        product: { include: { category: true } },
+        store: true
+      },
+      orderBy: { quantity: 'asc' }
+    });
+
+    res.json(lowStockItems);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching low stock alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch low stock alerts' });
+  }
+});
+
 /**
  * @swagger
  * /api/inventory/{id}/stock:
  *   put:
  *     summary: Update product stock
+ *     description: Adds, removes or counts stock at a store location by hand. Recorded in the stock ledger as an `adjustment` (add, subtract) or a `count` (set).
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -176,9 +509,9 @@ router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), async
  *               - operation
  *             properties:
  *               quantity:
- *                 type: number
+ *                 type: integer
  *                 minimum: 0
- *                 description: Quantity to add/subtract
+ *                 description: Quantity to add/subtract, or the counted quantity
  *               operation:
  *                 type: string
  *                 enum: [add, subtract, set]
@@ -186,6 +519,12 @@ router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), async
  *               reason:
  *                 type: string
  *                 description: Reason for stock change
+ *               storeId:
+ *                 type: string
+ *                 description: Store holding the stock; required when the caller works in several stores
+ *               location:
+ *                 type: string
+ *                 description: Inventory location within the store (defaults to 'default')
  *     responses:
  *       200:
  *         description: Stock updated successfully
@@ -201,13 +540,17 @@ router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), async
  *         $ref: '#/components/responses/UnauthorizedError'
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: The stock changed while it was being adjusted
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
  */
-router.put('/:id/stock', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.put('/:id/stock', authenticateToken, authorizePermission('inventory:update'), idempotent(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity, operation, reason } = req.body;
+    const { quantity, operation, reason, location } = req.body;
 
-    if (!quantity || quantity < 0) {
+    if (!Number.isInteger(quantity) || quantity < 0) {
       return res.status(400).json({ error: 'Valid quantity is required' });
     }
 
@@ -215,45 +558,29 @@ router.put('/:id/stock', authenticateToken, authorizeRoles('admin', 'manager'),
       return res.status(400).json({ error: 'Valid operation is required (add, subtract, set)' });
     }
 
+    const storeId = await resolveStoreId(req, req.body.storeId);
+
     const product = await prisma.product.findUnique({ where: { id } });
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    let newQuantity;
-    switch (operation) {
-      case 'add':
-        newQuantity = product.quantity + quantity;
-        break;
-      case 'subtract':
-        newQuantity = Math.max(0, product.quantity - quantity);
-        break;
-      case 'set':
-        newQuantity = quantity;
-        break;
-    }
-
-    const updatedProduct = await prisma.product.update({
-      where: { id },
-      data: { quantity: newQuantity },
-      include: { category: true, supplier: true }
-    });
-
-    // Log inventory change
-    await prisma.inventoryLog.create({
-      data: {
-        productId: id,
-        operation,
-        quantity,
-        previousQuantity: product.quantity,
-        newQuantity,
-        reason: reason || 'Manual stock update',
-        userId: req.user.id
-      }
-    });
+    const inventory = await prisma.$transaction(tx => adjustStock(tx, {
+      storeId,
+      productId: id,
+      location: location || 'default',
+      operation,
+      quantity,
+      type: operation === 'set' ? 'count' : 'adjustment',
+      userId: req.user.userId,
+      reason: reason || 'Manual stock update'
+    }));
 
-    res.json(updatedProduct);
+    res.json(inventory);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error updating stock:', error);
     res.status(500).json({ error: 'Failed to update stock' });
   }
@@ -261,53 +588,10 @@ router.put('/:id/stock', authenticateToken, authorizeRoles('admin', 'manager'),
 
 /**
  * @swagger
- * /api/inventory/low-stock:
- *   get:
- *     summary: Get low stock alerts
- *     tags: [Inventory]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: List of low stock items
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/InventoryItem'
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
- *       403:
- *         $ref: '#/components/responses/ForbiddenError'
- */
-router.get('/alerts/low-stock', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
-  try {
-    const lowStockItems = await prisma.product.findMany({
-      where: {
-        quantity: {
-          lte: prisma.product.fields.lowStockThreshold
-        }
-      },
-      include: {
-        category: true,
-        supplier: true
-      },
-      orderBy: { quantity: 'asc' }
-    });
-
-    res.json(lowStockItems);
-  } catch (error) {
-    console.error('Error fetching low stock alerts:', error);
-    res.status(500).json({ error: 'Failed to fetch low stock alerts' });
-  }
-});
-
-/**
- * @swagger
- * /api/inventory/{id}/logs:
+ * /api/inventory/{id}/movements:
  *   get:
- *     summary: Get inventory change logs for a product
+ *     summary: Get the stock ledger for a product
+ *     description: Every change to the product's stock in the stores the caller works in, newest first
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
@@ -319,6 +603,11 @@ router.get('/alerts/low-stock', authenticateToken, authorizeRoles('admin', 'mana
  *           type: string
  *         description: Product ID
  *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -333,7 +622,7 @@ router.get('/alerts/low-stock', authenticateToken, authorizeRoles('admin', 'mana
  *         description: Number of items per page
  *     responses:
  *       200:
- *         description: Inventory change logs
+ *         description: Stock movements
  *         content:
  *           application/json:
  *             schema:
@@ -342,7 +631,7 @@ router.get('/alerts/low-stock', authenticateToken, authorizeRoles('admin', 'mana
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/InventoryLog'
+ *                     $ref: '#/components/schemas/StockMovement'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
  *       401:
@@ -350,39 +639,20 @@ router.get('/alerts/low-stock', authenticateToken, authorizeRoles('admin', 'mana
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/:id/logs', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+router.get('/:id/movements', authenticateToken, authorizePermission('inventory:read'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const where = {
+      productId: req.params.id,
+      storeId: await storeFilter(req, req.query.storeId)
+    };
 
-    const [logs, total] = await Promise.all([
-      prisma.inventoryLog.findMany({
-        where: { productId: id },
-        include: {
-          user: {
-            select: { id: true, username: true, email: true }
-          }
-        },
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        orderBy: { createdAt: 'desc' }
-      }),
-      prisma.inventoryLog.count({ where: { productId: id } })
-    ]);
-
-    res.json({
-      data: logs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+    res.json(await listMovements(where, req.query));
   } catch (error) {
-    console.error('Error fetching inventory logs:', error);
-    res.status(500).json({ error: 'Failed to fetch inventory logs' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ error: 'Failed to fetch stock movements' });
   }
 });
 
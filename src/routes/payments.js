@@ -0,0 +1,163 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { getProvider, listProviders } = require('../services/paymentProviders');
+const { applyProviderEvent } = require('../services/payments');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/payments/methods:
+ *   get:
+ *     summary: List payment methods and available providers
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payment methods with their configured provider
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/methods', authenticateToken, authorizePermission('payment_methods:read'), async (req, res) => {
+  try {
+    const methods = await prisma.paymentMethod.findMany({
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      methods,
+      providers: listProviders()
+    });
+  } catch (error) {
+    console.error('Get payment methods error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/methods/{id}:
+ *   put:
+ *     summary: Configure a payment method
+ *     description: Attach a payment provider (gateway adapter) to a method, or set provider to null for tenders handled at the counter
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment method ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 nullable: true
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Payment method updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/methods/:id', authenticateToken, authorizePermission('payment_methods:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { provider, isActive } = req.body;
+
+    if (provider && !getProvider(provider)) {
+      return res.status(400).json({ error: `Unknown payment provider: ${provider}` });
+    }
+
+    const method = await prisma.paymentMethod.update({
+      where: { id },
+      data: {
+        provider,
+        isActive
+      }
+    });
+
+    res.json({
+      message: 'Payment method updated successfully',
+      method
+    });
+  } catch (error) {
+    console.error('Update payment method error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Payment method not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Payment provider webhook
+ *     description: Receives asynchronous payment status changes. The provider adapter verifies the signature against the raw request body.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event applied
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const event = await provider.verifyWebhook({ rawBody: req.rawBody, headers: req.headers });
+
+    if (!event) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const payment = await applyProviderEvent(req.params.provider, event);
+
+    res.json({
+      received: true,
+      paymentId: payment.id,
+      status: payment.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
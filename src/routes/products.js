@@ -1,5 +1,8 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { resolveStoreId, storeFilter } = require('../middleware/storeAccess');
+const { adjustStock } = require('../services/stock');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,7 +14,7 @@ const prisma = new PrismaClient();
  *     tags:
  *       - Products
  *     summary: Update product inventory
- *     description: Update or create inventory record for a product
+ *     description: Update or create inventory record for a product. A changed quantity is recorded in the stock ledger as a count.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -39,9 +42,12 @@ const prisma = new PrismaClient();
  *               maxQuantity:
  *                 type: integer
  *                 description: Maximum stock level threshold
+ *               storeId:
+ *                 type: string
+ *                 description: Store holding the stock; required when the caller works in several stores
  *               location:
  *                 type: string
- *                 description: Inventory location (defaults to 'default')
+ *                 description: Inventory location within the store (defaults to 'default')
  *     responses:
  *       200:
  *         description: Inventory updated successfully
@@ -54,6 +60,10 @@ const prisma = new PrismaClient();
  *                   type: string
  *                 inventory:
  *                   $ref: '#/components/schemas/Inventory'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       409:
+ *         description: The stock changed while it was being updated
  *       500:
  *         description: Internal server error
  *         content:
@@ -63,9 +73,9 @@ const prisma = new PrismaClient();
  */
 
 // Get all products
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, authorizePermission('products:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, categoryId } = req.query;
+    const { page = 1, limit = 10, search, categoryId, storeId } = req.query;
 
     const skip = (page - 1) * limit;
     const take = parseInt(limit);
@@ -86,12 +96,16 @@ router.get('/', async (req, res) => {
       where.categoryId = categoryId;
     }
 
+    // Stock and store prices only for the stores the caller works in
+    const stores = { storeId: await storeFilter(req, storeId) };
+
     const [products, total] = await Promise.all([
       prisma.product.findMany({
         where,
         include: {
           category: true,
-          inventories: true
+          inventories: { where: stores },
+          storePrices: { where: stores }
         },
         skip,
         take,
@@ -110,21 +124,27 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get products error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Get single product
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('products:read'), async (req, res) => {
   try {
     const { id } = req.params;
+    const stores = { storeId: await storeFilter(req, req.query.storeId) };
 
     const product = await prisma.product.findUnique({
       where: { id },
       include: {
         category: true,
-        inventories: true
+        supplier: true,
+        inventories: { where: stores },
+        storePrices: { where: stores }
       }
     });
 
@@ -134,13 +154,16 @@ router.get('/:id', async (req, res) => {
 
     res.json({ product });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get product error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Create product
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('products:create'), async (req, res) => {
   try {
     const {
       name,
@@ -148,6 +171,7 @@ router.post('/', async (req, res) => {
       sku,
       barcode,
       categoryId,
+      supplierId,
       price,
       cost,
       taxRate
@@ -160,12 +184,14 @@ router.post('/', async (req, res) => {
         sku,
         barcode,
         categoryId,
+        supplierId,
         price: parseFloat(price),
         cost: parseFloat(cost || 0),
         taxRate: parseFloat(taxRate || 0)
       },
       include: {
-        category: true
+        category: true,
+        supplier: true
       }
     });
 
@@ -184,7 +210,7 @@ router.post('/', async (req, res) => {
 });
 
 // Update product
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, authorizePermission('products:update'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -193,6 +219,7 @@ router.put('/:id', async (req, res) => {
       sku,
       barcode,
       categoryId,
+      supplierId,
       price,
       cost,
       taxRate,
@@ -207,13 +234,16 @@ router.put('/:id', async (req, res) => {
         sku,
         barcode,
         categoryId,
+        supplierId,
         price: parseFloat(price),
-        cost: parseFloat(cost || 0),
+        // Receiving purchase orders keeps cost current, so it is only overwritten when given
+        cost: cost === undefined ? undefined : parseFloat(cost || 0),
         taxRate: parseFloat(taxRate || 0),
         isActive
       },
       include: {
-        category: true
+        category: true,
+        supplier: true
       }
     });
 
@@ -234,7 +264,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete product (soft delete)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticateToken, authorizePermission('products:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -255,31 +285,36 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Update inventory
-router.put('/:id/inventory', async (req, res) => {
+router.put('/:id/inventory', authenticateToken, authorizePermission('inventory:update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { quantity, minQuantity, maxQuantity, location } = req.body;
+    const storeId = await resolveStoreId(req, req.body.storeId);
+    const counted = parseInt(quantity);
 
-    const inventory = await prisma.inventory.upsert({
-      where: {
-        productId_location: {
-          productId: id,
-          location: location || 'default'
-        }
-      },
-      update: {
-        quantity: parseInt(quantity),
-        minQuantity: parseInt(minQuantity || 0),
-        maxQuantity: parseInt(maxQuantity || 0),
-        lastUpdated: new Date()
-      },
-      create: {
+    if (Number.isNaN(counted) || counted < 0) {
+      return res.status(400).json({ error: 'Valid quantity is required' });
+    }
+
+    const inventory = await prisma.$transaction(async (tx) => {
+      const row = await adjustStock(tx, {
+        storeId,
         productId: id,
-        quantity: parseInt(quantity),
-        minQuantity: parseInt(minQuantity || 0),
-        maxQuantity: parseInt(maxQuantity || 0),
-        location: location || 'default'
-      }
+        location: location || 'default',
+        operation: 'set',
+        quantity: counted,
+        type: 'count',
+        userId: req.user.userId,
+        reason: 'Inventory update'
+      });
+
+      return tx.inventory.update({
+        where: { id: row.id },
+        data: {
+          minQuantity: parseInt(minQuantity || 0),
+          maxQuantity: parseInt(maxQuantity || 0)
+        }
+      });
     });
 
     res.json({
@@ -287,6 +322,9 @@ router.put('/:id/inventory', async (req, res) => {
       inventory
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update inventory error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
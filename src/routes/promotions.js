@@ -0,0 +1,315 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { isRunning, buildPromotionData } = require('../services/promotions');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromotionInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percent_off, amount_off, buy_x_get_y, bundle_price]
+ *         value:
+ *           type: number
+ *           description: Percent off (percent_off, and buy_x_get_y where 100 makes the items free), amount off per unit or per order (amount_off), or the bundle price (bundle_price)
+ *         buyQuantity:
+ *           type: integer
+ *           description: Units to buy (buy_x_get_y) or units in a bundle (bundle_price)
+ *         getQuantity:
+ *           type: integer
+ *           description: Discounted units per group (buy_x_get_y)
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: With productIds, the lines the promotion applies to; leave both empty for the whole order
+ *         minSubtotal:
+ *           type: number
+ *           description: Cart subtotal needed before the promotion applies
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: Days the promotion runs, 0 being Sunday; empty for every day
+ *         startTime:
+ *           type: string
+ *           example: '17:00'
+ *         endTime:
+ *           type: string
+ *           example: '19:00'
+ *         priority:
+ *           type: integer
+ *           description: Higher priorities are applied first
+ *         stackable:
+ *           type: boolean
+ *           description: Whether the promotion combines with other stackable promotions on the same line
+ *         couponOnly:
+ *           type: boolean
+ *           description: Apply only to sales that redeem a discount coupon for this promotion
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promotions
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: running
+ *         schema:
+ *           type: boolean
+ *         description: Only promotions that apply right now
+ *     responses:
+ *       200:
+ *         description: Promotions, highest priority first
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('promotions:read'), async (req, res) => {
+  try {
+    const { running } = req.query;
+
+    const promotions = await prisma.promotion.findMany({
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    const now = new Date();
+
+    res.json({
+      promotions: running === 'true'
+        ? promotions.filter(promotion => isRunning(promotion, now))
+        : promotions
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get a promotion with its usage
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     responses:
+ *       200:
+ *         description: Promotion, the sale lines it was applied to and the total discount given
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('promotions:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promotion = await prisma.promotion.findUnique({ where: { id } });
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const usage = await prisma.saleItemPromotion.aggregate({
+      where: { promotionId: id },
+      _count: true,
+      _sum: { amount: true }
+    });
+
+    res.json({
+      promotion,
+      usage: {
+        saleLines: usage._count,
+        totalDiscount: usage._sum.amount || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promotion
+ *     description: The promotion is applied automatically to every sale priced while it runs, unless it is coupon-only
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PromotionInput'
+ *               - required: [name, type]
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/', authenticateToken, authorizePermission('promotions:create'), async (req, res) => {
+  try {
+    const promotion = await prisma.promotion.create({
+      data: buildPromotionData(req.body)
+    });
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create promotion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update a promotion
+ *     description: Fields left out keep their current values. Sales already made keep the discount they were given.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       200:
+ *         description: Promotion updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', authenticateToken, authorizePermission('promotions:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.promotion.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const promotion = await prisma.promotion.update({
+      where: { id },
+      data: buildPromotionData(req.body, existing)
+    });
+
+    res.json({
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update promotion error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Promotion not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   delete:
+ *     summary: End a promotion
+ *     description: Deactivates the promotion; sales it was applied to keep their discounts
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     responses:
+ *       200:
+ *         description: Promotion deactivated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, authorizePermission('promotions:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.promotion.update({
+      where: { id },
+      data: { isActive: false }
+    });
+
+    res.json({ message: 'Promotion deactivated successfully' });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Promotion not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+module.exports = router;
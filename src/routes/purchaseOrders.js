@@ -0,0 +1,569 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { canAccessStore, resolveStoreId, storeFilter } = require('../middleware/storeAccess');
+const {
+  PURCHASE_ORDER_STATUSES,
+  purchaseOrderInclude,
+  findPurchaseOrder,
+  orderDiscrepancies,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder
+} = require('../services/purchaseOrders');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const withDiscrepancies = order => ({ ...order, discrepancies: orderDiscrepancies(order) });
+
+// Load the order in `req.params.id`; orders for stores the caller does not work in are reported as not found
+const loadOrder = async (req, res) => {
+  const order = await findPurchaseOrder(prisma, req.params.id);
+
+  if (!order || !await canAccessStore(req, order.storeId)) {
+    res.status(404).json({ error: 'Purchase order not found' });
+    return null;
+  }
+
+  return order;
+};
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: List purchase orders
+ *     description: Orders for the stores the caller works in, newest first
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, partially_received, closed, cancelled]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *     responses:
+ *       200:
+ *         description: Purchase orders with their lines
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('purchase_orders:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, supplierId, storeId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {
+      storeId: await storeFilter(req, storeId),
+      supplierId
+    };
+
+    if (PURCHASE_ORDER_STATUSES.includes(status)) {
+      where.status = status;
+    }
+
+    const [orders, total] = await Promise.all([
+      prisma.purchaseOrder.findMany({
+        where,
+        include: purchaseOrderInclude,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.purchaseOrder.count({ where })
+    ]);
+
+    res.json({
+      purchaseOrders: orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order
+ *     description: Includes its deliveries, the stock movements they made, and any over or short deliveries
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: Purchase order
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('purchase_orders:read'), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const receipts = await prisma.goodsReceipt.findMany({
+      where: { purchaseOrderId: order.id },
+      include: {
+        items: true,
+        receivedBy: { select: { id: true, firstName: true, lastName: true, email: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const movements = await prisma.stockMovement.findMany({
+      where: { referenceType: 'goods_receipt', referenceId: { in: receipts.map(receipt => receipt.id) } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      purchaseOrder: withDiscrepancies(order),
+      receipts,
+      movements
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Raise a purchase order
+ *     description: Created as a draft. Goods are received into `location` (default 'default') of the order's store.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierId
+ *               - items
+ *             properties:
+ *               supplierId:
+ *                 type: string
+ *               storeId:
+ *                 type: string
+ *                 description: Receiving store; required when the caller works in several stores
+ *               location:
+ *                 type: string
+ *               expectedAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     unitCost:
+ *                       type: number
+ *                       description: Defaults to the product's current cost
+ *     responses:
+ *       201:
+ *         description: Purchase order created as a draft
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/', authenticateToken, authorizePermission('purchase_orders:create'), idempotent(), async (req, res) => {
+  try {
+    const { supplierId, location, expectedAt, notes, items } = req.body;
+
+    const order = await createPurchaseOrder({
+      userId: req.user.userId,
+      supplierId,
+      storeId: await resolveStoreId(req, req.body.storeId),
+      location,
+      expectedAt,
+      notes,
+      items
+    });
+
+    res.status(201).json({
+      message: 'Purchase order created successfully',
+      purchaseOrder: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   put:
+ *     summary: Change a draft purchase order
+ *     description: Fields left out keep their current values. `items`, when given, replaces every line.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               location:
+ *                 type: string
+ *               expectedAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Purchase order updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The purchase order was changed concurrently
+ */
+router.put('/:id', authenticateToken, authorizePermission('purchase_orders:update'), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const { location, expectedAt, notes, items } = req.body;
+    const updated = await updatePurchaseOrder(order, { location, expectedAt, notes, items });
+
+    res.json({
+      message: 'Purchase order updated successfully',
+      purchaseOrder: updated
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/send:
+ *   post:
+ *     summary: Send a purchase order
+ *     description: Marks a draft as placed with the supplier. Its lines can no longer change.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     responses:
+ *       200:
+ *         description: Purchase order sent
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The purchase order was changed concurrently
+ */
+router.post('/:id/send', authenticateToken, authorizePermission('purchase_orders:update'), idempotent(), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const sent = await sendPurchaseOrder(order, { userId: req.user.userId });
+
+    res.json({
+      message: 'Purchase order sent successfully',
+      purchaseOrder: sent
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Send purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receive:
+ *   post:
+ *     summary: Receive a delivery
+ *     description: Books the units that arrived into the order's store location and updates each product's cost. Units beyond what was ordered are accepted and reported as over-delivered. The order closes once every line is received in full.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     unitCost:
+ *                       type: number
+ *                       description: Invoiced cost per unit; defaults to the ordered cost
+ *     responses:
+ *       200:
+ *         description: Delivery received, with the order's discrepancies
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The purchase order was changed concurrently
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/:id/receive', authenticateToken, authorizePermission('purchase_orders:receive'), idempotent(), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const { order: received, receipt } = await receivePurchaseOrder(order, {
+      userId: req.user.userId,
+      items: req.body.items,
+      notes: req.body.notes
+    });
+
+    res.json({
+      message: 'Delivery received successfully',
+      purchaseOrder: withDiscrepancies(received),
+      receipt
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/close:
+ *   post:
+ *     summary: Close a partly received purchase order
+ *     description: Stops waiting for the rest of the order. Units never received are reported as short.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order closed, with its discrepancies
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The purchase order was changed concurrently
+ */
+router.post('/:id/close', authenticateToken, authorizePermission('purchase_orders:update'), idempotent(), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const closed = await closePurchaseOrder(order, {
+      userId: req.user.userId,
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Purchase order closed successfully',
+      purchaseOrder: withDiscrepancies(closed)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Close purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel a purchase order
+ *     description: Only drafts and sent orders with nothing received can be cancelled
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Purchase order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The purchase order was changed concurrently
+ */
+router.post('/:id/cancel', authenticateToken, authorizePermission('purchase_orders:update'), idempotent(), async (req, res) => {
+  try {
+    const order = await loadOrder(req, res);
+    if (!order) return;
+
+    const cancelled = await cancelPurchaseOrder(order, {
+      userId: req.user.userId,
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Purchase order cancelled successfully',
+      purchaseOrder: cancelled
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel purchase order error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { authorizeSaleStore } = require('../middleware/storeAccess');
+const {
+  returnInclude,
+  createSaleReturn,
+  buildReturnReceipt
+} = require('../services/returns');
+
+// Mounted under /api/sales/:saleId/returns
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/returns:
+ *   get:
+ *     summary: List returns recorded against a sale
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Returns for the sale, newest first
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/', authenticateToken, authorizePermission('returns:read'), authorizeSaleStore('saleId'), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+
+    const sale = await prisma.sale.findUnique({
+      where: { id: saleId },
+      select: { id: true }
+    });
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    const returns = await prisma.saleReturn.findMany({
+      where: { saleId },
+      include: returnInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ returns });
+  } catch (error) {
+    console.error('Get sale returns error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/returns:
+ *   post:
+ *     summary: Return items from a sale
+ *     description: Refunds part or all of a sale. Returned units go back to the inventory location they were sold from unless the reason is damaged/defective or restock is false. The customer's total purchases and loyalty points are reduced by the refund.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - saleItemId
+ *                     - quantity
+ *                     - reasonCode
+ *                   properties:
+ *                     saleItemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reasonCode:
+ *                       type: string
+ *                       enum: [defective, damaged, wrong_item, not_as_described, changed_mind, other]
+ *                     restock:
+ *                       type: boolean
+ *                       description: Override whether the units go back into stock
+ *               refundMethodId:
+ *                 type: string
+ *                 description: Payment method for the refund. Defaults to the sale's payment method; required when the sale was paid with a voucher or more than one tender.
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return recorded, with a printable receipt
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The same units were returned concurrently
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/', authenticateToken, authorizePermission('returns:create'), authorizeSaleStore('saleId'), idempotent(), async (req, res) => {
+  try {
+    const { saleId } = req.params;
+    const { items, refundMethodId, notes } = req.body;
+
+    const saleReturn = await createSaleReturn({
+      saleId,
+      userId: req.user.userId,
+      items,
+      refundMethodId,
+      notes
+    });
+
+    res.status(201).json({
+      message: 'Return recorded successfully',
+      return: saleReturn,
+      receipt: buildReturnReceipt(saleReturn)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create sale return error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/returns/{returnId}:
+ *   get:
+ *     summary: Get a return
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return details
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:returnId', authenticateToken, authorizePermission('returns:read'), authorizeSaleStore('saleId'), async (req, res) => {
+  try {
+    const { saleId, returnId } = req.params;
+
+    const saleReturn = await prisma.saleReturn.findFirst({
+      where: { id: returnId, saleId },
+      include: returnInclude
+    });
+
+    if (!saleReturn) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    res.json({ return: saleReturn });
+  } catch (error) {
+    console.error('Get sale return error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/returns/{returnId}/receipt:
+ *   get:
+ *     summary: Plain-text return receipt
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Receipt text
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:returnId/receipt', authenticateToken, authorizePermission('returns:read'), authorizeSaleStore('saleId'), async (req, res) => {
+  try {
+    const { saleId, returnId } = req.params;
+
+    const saleReturn = await prisma.saleReturn.findFirst({
+      where: { id: returnId, saleId },
+      include: returnInclude
+    });
+
+    if (!saleReturn) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    res.type('text/plain').send(buildReturnReceipt(saleReturn));
+  } catch (error) {
+    console.error('Get return receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
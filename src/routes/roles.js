@@ -0,0 +1,504 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const SUPERADMIN_ROLE = 'superadmin';
+
+const roleInclude = {
+  rolePermissions: {
+    include: {
+      permission: true
+    }
+  },
+  _count: {
+    select: { userRoles: true }
+  }
+};
+
+// Flatten the role_permissions join into a list of permission names
+const formatRole = (role) => {
+  const { rolePermissions, _count, ...rest } = role;
+  return {
+    ...rest,
+    permissions: rolePermissions.map(rp => rp.permission.name).sort(),
+    userCount: _count.userRoles
+  };
+};
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles with their permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with permission names and assigned user counts
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const roles = await prisma.role.findMany({
+      include: roleInclude,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ roles: roles.map(formatRole) });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List all available permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalog grouped by resource
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/permissions', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const permissions = await prisma.permission.findMany({
+      orderBy: [{ resource: 'asc' }, { action: 'asc' }]
+    });
+
+    res.json({ permissions });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get a role with its permissions and users
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const role = await prisma.role.findUnique({
+      where: { id },
+      include: {
+        ...roleInclude,
+        userRoles: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { userRoles, ...rest } = role;
+
+    res.json({
+      role: {
+        ...formatRole(rest),
+        users: userRoles.map(ur => ({ ...ur.user, assignedAt: ur.assignedAt }))
+      }
+    });
+  } catch (error) {
+    console.error('Get role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               requiresTwoFactor:
+ *                 type: boolean
+ *                 description: Members must enroll in and use TOTP two-factor login
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Permission names to grant, e.g. sales:create
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { name, description, requiresTwoFactor, permissions = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Role name is required' });
+    }
+
+    const permissionRecords = await prisma.permission.findMany({
+      where: { name: { in: permissions } }
+    });
+
+    if (permissionRecords.length !== new Set(permissions).size) {
+      const known = permissionRecords.map(p => p.name);
+      return res.status(400).json({
+        error: 'Unknown permissions',
+        permissions: permissions.filter(p => !known.includes(p))
+      });
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        name,
+        description,
+        requiresTwoFactor,
+        rolePermissions: {
+          create: permissionRecords.map(p => ({ permissionId: p.id }))
+        }
+      },
+      include: roleInclude
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: formatRole(role)
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Role name already exists' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               requiresTwoFactor:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, requiresTwoFactor } = req.body;
+
+    const existing = await prisma.role.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (existing.name === SUPERADMIN_ROLE && name && name !== SUPERADMIN_ROLE) {
+      return res.status(400).json({ error: 'The superadmin role cannot be renamed' });
+    }
+
+    const role = await prisma.role.update({
+      where: { id },
+      data: {
+        name,
+        description,
+        requiresTwoFactor
+      },
+      include: roleInclude
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role: formatRole(role)
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Role name already exists' });
+    } else if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Role not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const role = await prisma.role.findUnique({ where: { id } });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.name === SUPERADMIN_ROLE) {
+      return res.status(400).json({ error: 'The superadmin role cannot be deleted' });
+    }
+
+    await prisma.role.delete({ where: { id } });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Role not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions:
+ *   post:
+ *     summary: Grant permissions to a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Permissions granted
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/permissions', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({ error: 'At least one permission is required' });
+    }
+
+    const role = await prisma.role.findUnique({ where: { id } });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const permissionRecords = await prisma.permission.findMany({
+      where: { name: { in: permissions } }
+    });
+
+    if (permissionRecords.length !== new Set(permissions).size) {
+      const known = permissionRecords.map(p => p.name);
+      return res.status(400).json({
+        error: 'Unknown permissions',
+        permissions: permissions.filter(p => !known.includes(p))
+      });
+    }
+
+    await prisma.rolePermission.createMany({
+      data: permissionRecords.map(p => ({ roleId: id, permissionId: p.id })),
+      skipDuplicates: true
+    });
+
+    const updated = await prisma.role.findUnique({
+      where: { id },
+      include: roleInclude
+    });
+
+    res.json({
+      message: 'Permissions granted successfully',
+      role: formatRole(updated)
+    });
+  } catch (error) {
+    console.error('Grant permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/roles/{id}/permissions/{permission}:
+ *   delete:
+ *     summary: Revoke a permission from a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *       - in: path
+ *         name: permission
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Permission name, e.g. customers:delete
+ *     responses:
+ *       200:
+ *         description: Permission revoked
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/permissions/:permission', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id, permission } = req.params;
+
+    const role = await prisma.role.findUnique({ where: { id } });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    if (role.name === SUPERADMIN_ROLE) {
+      return res.status(400).json({ error: 'Permissions cannot be revoked from the superadmin role' });
+    }
+
+    const { count } = await prisma.rolePermission.deleteMany({
+      where: {
+        roleId: id,
+        permission: { name: permission }
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Permission not granted to this role' });
+    }
+
+    const updated = await prisma.role.findUnique({
+      where: { id },
+      include: roleInclude
+    });
+
+    res.json({
+      message: 'Permission revoked successfully',
+      role: formatRole(updated)
+    });
+  } catch (error) {
+    console.error('Revoke permission error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,38 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { resolveStoreId, storeFilter, authorizeSaleStore } = require('../middleware/storeAccess');
+const {
+  paymentStatusName,
+  planPayments,
+  planVoucherPayments,
+  chargeTenders,
+  voidCharges,
+  toPaymentRow,
+  addPayments
+} = require('../services/payments');
+const { findStatusId } = require('../services/statuses');
+const { DRAFT, HELD, LAYAWAY, COMPLETED, saleInclude, saleItemRows } = require('../services/sales');
+const { TRANSITIONS, LEGACY_STATUS, findTransition, transitionSale } = require('../services/saleStateMachine');
+const {
+  holdSale,
+  resumeHeldSale,
+  completeHeldSale,
+  discardHeldSale,
+  createLayaway,
+  cancelLayaway
+} = require('../services/heldSales');
+const { voidSale } = require('../services/voids');
+const { RECEIPT_FORMATS, buildReceipt, renderReceipt } = require('../services/receipts');
+const { priceWithCoupons, redeemCoupons } = require('../services/coupons');
+const { currentShiftId } = require('../services/openShifts');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const INITIAL_STATUSES = ['pending', COMPLETED];
+
 /**
  * @swagger
  * /api/sales/stats/overview:
@@ -27,6 +56,11 @@ const prisma = new PrismaClient();
  *           type: string
  *           format: date
  *         description: End date for filtering statistics (YYYY-MM-DD)
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
  *     responses:
  *       200:
  *         description: Sales statistics retrieved successfully
@@ -58,14 +92,16 @@ const prisma = new PrismaClient();
  */
 
 // Get all sales
-router.get('/', async (req, res) => {
+router.get('/', authenticateToken, authorizePermission('sales:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, customerId, paymentStatusId, saleStatusId } = req.query;
+    const { page = 1, limit = 10, customerId, paymentStatusId, saleStatusId, storeId } = req.query;
 
     const skip = (page - 1) * limit;
     const take = parseInt(limit);
 
-    const where = {};
+    const where = {
+      storeId: await storeFilter(req, storeId)
+    };
 
     if (customerId) where.customerId = customerId;
     if (paymentStatusId) where.paymentStatusId = paymentStatusId;
@@ -110,13 +146,590 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get sales error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Held carts belong to the register they were parked on; back-office users may name one
+const requestTerminalId = (req) => req.user.terminalId || req.body.terminalId;
+
+/**
+ * @swagger
+ * /api/sales/held:
+ *   get:
+ *     tags:
+ *       - Sales
+ *     summary: List held (parked) carts
+ *     description: Defaults to the carts parked on the caller's terminal when signed in at a register
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: terminalId
+ *         schema:
+ *           type: string
+ *         description: Only carts parked on this terminal
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *     responses:
+ *       200:
+ *         description: Held carts, oldest first
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/held', authenticateToken, authorizePermission('sales:read'), async (req, res) => {
+  try {
+    const terminalId = req.query.terminalId || req.user.terminalId;
+
+    const sales = await prisma.sale.findMany({
+      where: {
+        saleStatus: { name: HELD },
+        storeId: await storeFilter(req, req.query.storeId),
+        terminalId
+      },
+      include: {
+        ...saleInclude,
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ sales });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get held sales error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/held:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Hold (park) a cart
+ *     description: Prices the cart and saves it with the held status. No stock is taken and no payment is recorded until the cart is completed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               storeId:
+ *                 type: string
+ *                 description: Store the sale is made in; defaults to the register's store
+ *               customerId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     location:
+ *                       type: string
+ *                     discount:
+ *                       type: number
+ *                     discountPercent:
+ *                       type: number
+ *               discountAmount:
+ *                 type: number
+ *               discountPercent:
+ *                 type: number
+ *               terminalId:
+ *                 type: string
+ *                 description: Terminal to park the cart on; ignored for terminal sessions, which always use their own
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cart held
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/held', authenticateToken, authorizePermission('sales:create'), idempotent(), async (req, res) => {
+  try {
+    const { customerId, items, discountAmount, discountPercent, notes } = req.body;
+
+    const sale = await holdSale({
+      userId: req.user.userId,
+      storeId: await resolveStoreId(req, req.body.storeId),
+      terminalId: requestTerminalId(req),
+      customerId,
+      items,
+      discountAmount,
+      discountPercent,
+      notes
+    });
+
+    res.status(201).json({
+      message: 'Sale held successfully',
+      sale
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Hold sale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/held/{id}/resume:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Resume a held cart
+ *     description: Moves the cart to the caller (and their terminal). Sending items replaces the cart and re-prices it at current catalog prices; otherwise the held prices are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               discountAmount:
+ *                 type: number
+ *               discountPercent:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cart resumed
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The cart was completed or discarded concurrently
+ */
+router.post('/held/:id/resume', authenticateToken, authorizePermission('sales:create'), authorizeSaleStore(), async (req, res) => {
+  try {
+    const { customerId, items, discountAmount, discountPercent, notes } = req.body;
+
+    const sale = await resumeHeldSale(req.params.id, {
+      userId: req.user.userId,
+      terminalId: requestTerminalId(req),
+      customerId,
+      items,
+      discountAmount,
+      discountPercent,
+      notes
+    });
+
+    res.json({
+      message: 'Sale resumed successfully',
+      sale
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Resume held sale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/held/{id}/complete:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Complete a held cart
+ *     description: Finalizes the cart at its held prices, takes the stock, records the tenders and credits the customer's loyalty points.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentMethodId:
+ *                 type: string
+ *               payments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     paymentMethodId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     reference:
+ *                       type: string
+ *                     token:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Sale completed
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       402:
+ *         description: Payment declined by the provider
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The cart was completed or discarded concurrently
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/held/:id/complete', authenticateToken, authorizePermission('sales:create'), authorizeSaleStore(), idempotent(), async (req, res) => {
+  try {
+    const { payments, paymentMethodId } = req.body;
+
+    const result = await completeHeldSale(req.params.id, {
+      userId: req.user.userId,
+      payments,
+      paymentMethodId
+    });
+
+    res.json({
+      message: 'Sale completed successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Complete held sale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/held/{id}:
+ *   delete:
+ *     tags:
+ *       - Sales
+ *     summary: Discard a held cart
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart discarded (the sale is kept as cancelled)
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.delete('/held/:id', authenticateToken, authorizePermission('sales:create'), authorizeSaleStore(), idempotent(), async (req, res) => {
+  try {
+    const sale = await discardHeldSale(req.params.id, { userId: req.user.userId });
+
+    res.json({
+      message: 'Held sale discarded successfully',
+      sale
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Discard held sale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/layaways:
+ *   get:
+ *     tags:
+ *       - Sales
+ *     summary: List open layaways
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *     responses:
+ *       200:
+ *         description: Open layaways with their balance due
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/layaways', authenticateToken, authorizePermission('sales:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, customerId, storeId } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = {
+      saleStatus: { name: LAYAWAY },
+      storeId: await storeFilter(req, storeId)
+    };
+    if (customerId) where.customerId = customerId;
+
+    const [sales, total] = await Promise.all([
+      prisma.sale.findMany({
+        where,
+        include: saleInclude,
+        skip,
+        take,
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.sale.count({ where })
+    ]);
+
+    res.json({
+      sales: sales.map(sale => ({
+        ...sale,
+        balanceDue: sale.totalAmount.minus(sale.amountPaid)
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get layaways error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/layaways:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Open a layaway
+ *     description: Reserves the items at current prices against a deposit (at least LAYAWAY_MIN_DEPOSIT_PERCENT of the total). Further deposits are added with POST /api/sales/{id}/payments; the layaway completes and the goods leave stock when the balance reaches zero.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerId
+ *               - items
+ *               - payments
+ *             properties:
+ *               storeId:
+ *                 type: string
+ *                 description: Store the sale is made in; defaults to the register's store
+ *               customerId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     location:
+ *                       type: string
+ *               discountAmount:
+ *                 type: number
+ *               discountPercent:
+ *                 type: number
+ *               payments:
+ *                 type: array
+ *                 description: Deposit tenders
+ *                 items:
+ *                   type: object
+ *               paymentMethodId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Layaway opened
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       402:
+ *         description: Deposit declined by the provider
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/layaways', authenticateToken, authorizePermission('sales:create'), idempotent(), async (req, res) => {
+  try {
+    const { customerId, items, discountAmount, discountPercent, payments, paymentMethodId, notes } = req.body;
+
+    const result = await createLayaway({
+      userId: req.user.userId,
+      storeId: await resolveStoreId(req, req.body.storeId),
+      terminalId: requestTerminalId(req),
+      customerId,
+      items,
+      discountAmount,
+      discountPercent,
+      payments,
+      paymentMethodId,
+      notes
+    });
+
+    res.status(201).json({
+      message: 'Layaway created successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create layaway error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/layaways/{id}/cancel:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Cancel a layaway
+ *     description: Releases the reserved stock. Gateway deposits are refunded through their provider; refundDue is the amount to hand back at the counter.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the sale's status history
+ *     responses:
+ *       200:
+ *         description: Layaway cancelled
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/layaways/:id/cancel', authenticateToken, authorizePermission('sales:update'), authorizeSaleStore(), idempotent(), async (req, res) => {
+  try {
+    const result = await cancelLayaway(req.params.id, {
+      userId: req.user.userId,
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Layaway cancelled successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel layaway error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get single sale
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateToken, authorizePermission('sales:read'), authorizeSaleStore(), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -137,7 +750,41 @@ router.get('/:id', async (req, res) => {
         saleStatus: true,
         saleItems: {
           include: {
-            product: true
+            product: true,
+            promotions: {
+              include: {
+                promotion: { select: { id: true, name: true } }
+              }
+            }
+          }
+        },
+        saleReturns: {
+          select: {
+            id: true,
+            refundAmount: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        payments: {
+          include: { paymentMethod: true },
+          orderBy: { createdAt: 'asc' }
+        },
+        saleVoid: {
+          include: {
+            approvedBy: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true
+              }
+            }
+          }
+        },
+        redemptions: {
+          include: {
+            coupon: { select: { id: true, code: true, type: true } }
           }
         }
       }
@@ -147,7 +794,12 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Sale not found' });
     }
 
-    res.json({ sale });
+    res.json({
+      sale: {
+        ...sale,
+        balanceDue: sale.totalAmount.minus(sale.amountPaid)
+      }
+    });
   } catch (error) {
     console.error('Get sale error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -155,158 +807,702 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create sale
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, authorizePermission('sales:create'), idempotent(), async (req, res) => {
   try {
     const {
       customerId,
       items,
       paymentMethodId,
-      paymentStatusId,
       saleStatusId,
-      discountAmount = 0,
+      discountAmount,
+      discountPercent,
+      couponCodes,
+      payments,
       notes
     } = req.body;
 
-    const userId = req.user.userId;
+    if (req.body.paymentStatusId) {
+      return res.status(400).json({ error: 'Payment status is derived from the sale\'s payments' });
+    }
 
-    // Calculate totals
-    let subtotal = 0;
-    let taxAmount = 0;
+    const userId = req.user.userId;
+    const storeId = await resolveStoreId(req, req.body.storeId);
 
-    for (const item of items) {
-      const product = await prisma.product.findUnique({
-        where: { id: item.productId }
-      });
+    // A new sale starts out completed, or pending when the client asks for it
+    const initialStatus = saleStatusId
+      ? await prisma.saleStatus.findUnique({ where: { id: saleStatusId } })
+      : { name: COMPLETED };
 
-      if (!product) {
-        return res.status(400).json({ error: `Product ${item.productId} not found` });
-      }
+    if (!initialStatus || !INITIAL_STATUSES.includes(initialStatus.name)) {
+      return res.status(400).json({ error: `A new sale must be ${INITIAL_STATUSES.join(' or ')}` });
+    }
 
-      const itemTotal = product.price * item.quantity;
-      const itemTax = itemTotal * (product.taxRate / 100);
+    // Prices and tax always come from the catalog (or the store's price); client-sent unit prices are ignored
+    const { pricing, discounts, vouchers } = await priceWithCoupons({ storeId, items, discountAmount, discountPercent, couponCodes, customerId });
+    const { totalAmount } = pricing;
 
-      subtotal += itemTotal;
-      taxAmount += itemTax;
-    }
+    // Vouchers are spent first; other tenders cover what they leave
+    const voucherPlan = await planVoucherPayments(prisma, vouchers, totalAmount);
+    const balanceDue = totalAmount.minus(voucherPlan.amountApplied);
 
-    const totalAmount = subtotal + taxAmount - discountAmount;
+    // Tenders are optional at creation; the rest can be added with POST /:id/payments.
+    // Gateway tenders are charged before the sale is written and voided if the write fails.
+    const paymentPlan = payments
+      ? await chargeTenders(await planPayments(prisma, payments, balanceDue))
+      : null;
+    const amountPaid = voucherPlan.amountApplied.plus(paymentPlan ? paymentPlan.amountPaid : 0);
+    const amountPending = paymentPlan ? paymentPlan.amountPending : 0;
+    const salePayments = [...voucherPlan.payments, ...(paymentPlan ? paymentPlan.payments : [])];
+    const tenderMethods = [...new Set(salePayments.map(p => p.paymentMethodId))];
 
     // Create sale in transaction
     const result = await prisma.$transaction(async (prisma) => {
+      const shiftId = await currentShiftId(prisma, userId, storeId);
+
       const sale = await prisma.sale.create({
         data: {
           customerId,
           userId,
+          storeId,
+          subtotal: pricing.subtotal,
           totalAmount,
-          taxAmount,
-          discountAmount,
-          paymentMethodId,
-          paymentStatusId,
-          saleStatusId,
+          taxAmount: pricing.taxAmount,
+          discountAmount: pricing.discountAmount,
+          amountPaid,
+          paymentMethodId: paymentMethodId || (tenderMethods.length === 1 ? tenderMethods[0] : undefined),
+          paymentStatusId: await findStatusId(prisma, 'paymentStatus', paymentStatusName(totalAmount, amountPaid, amountPending)),
+          saleStatusId: await findStatusId(prisma, 'saleStatus', DRAFT),
+          terminalId: req.user.terminalId,
+          shiftId,
           notes,
           saleItems: {
-            create: items.map(item => ({
-              productId: item.productId,
-              quantity: item.quantity,
-              unitPrice: item.unitPrice,
-              discount: item.discount || 0,
-              taxAmount: (item.unitPrice * item.quantity * item.taxRate) / 100,
-              totalPrice: (item.unitPrice * item.quantity) - (item.discount || 0)
-            }))
-          }
-        },
-        include: {
-          customer: true,
-          paymentMethod: true,
-          paymentStatus: true,
-          saleStatus: true,
-          saleItems: {
-            include: {
-              product: true
-            }
+            create: saleItemRows(pricing)
+          },
+          payments: {
+            create: salePayments.map(payment => ({ ...toPaymentRow(payment), userId, shiftId }))
           }
         }
       });
 
-      // Update inventory
-      for (const item of items) {
-        await prisma.inventory.updateMany({
-          where: { productId: item.productId },
-          data: {
-            quantity: {
-              decrement: item.quantity
-            },
-            lastUpdated: new Date()
-          }
-        });
-      }
+      await redeemCoupons(prisma, sale.id, customerId, [
+        ...discounts,
+        ...voucherPlan.payments.map(payment => ({ coupon: payment.coupon, amount: payment.amount }))
+      ]);
 
-      // Update customer loyalty points and total purchases
-      if (customerId) {
-        await prisma.customer.update({
-          where: { id: customerId },
-          data: {
-            totalPurchases: {
-              increment: totalAmount
-            },
-            loyaltyPoints: {
-              increment: Math.floor(totalAmount / 10) // 1 point per $10 spent
-            }
-          }
-        });
-      }
+      // Takes the stock (recording each line's location for returns) and credits the customer
+      await transitionSale(prisma, sale.id, initialStatus.name, { userId });
 
-      return sale;
+      return prisma.sale.findUnique({ where: { id: sale.id }, include: saleInclude });
+    }).catch(async (error) => {
+      if (paymentPlan) {
+        await voidCharges(paymentPlan.payments);
+      }
+      throw error;
     });
 
     res.status(201).json({
       message: 'Sale created successfully',
-      sale: result
+      sale: result,
+      changeDue: paymentPlan ? paymentPlan.changeDue : 0
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create sale error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update sale status
-router.put('/:id/status', async (req, res) => {
+/**
+ * @swagger
+ * /api/sales/quote:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Preview sale totals
+ *     description: Prices a cart exactly as POST /api/sales would (catalog prices, running promotions, coupons, line and order discounts, per-line tax, cent rounding) without creating a sale, touching stock or using up any coupon or voucher balance
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     discount:
+ *                       type: number
+ *                       description: Line discount amount
+ *                     discountPercent:
+ *                       type: number
+ *                       description: Line discount as a percentage of the line subtotal
+ *               discountAmount:
+ *                 type: number
+ *                 description: Order discount, allocated across lines before tax
+ *               discountPercent:
+ *                 type: number
+ *                 description: Order discount as a percentage
+ *               couponCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Discount coupon and voucher codes, checked as POST /api/sales would
+ *               customerId:
+ *                 type: string
+ *                 description: Customer the coupons are redeemed for
+ *               storeId:
+ *                 type: string
+ *                 description: Store whose prices apply; defaults to the register's store
+ *     responses:
+ *       200:
+ *         description: Priced lines and totals, the coupons applied and the balance left after vouchers
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/quote', authenticateToken, authorizePermission('sales:create'), async (req, res) => {
+  try {
+    const { items, discountAmount, discountPercent, couponCodes, customerId } = req.body;
+
+    const storeId = await resolveStoreId(req, req.body.storeId);
+    const { pricing, discounts, vouchers } = await priceWithCoupons({ storeId, items, discountAmount, discountPercent, couponCodes, customerId });
+    const voucherPlan = await planVoucherPayments(prisma, vouchers, pricing.totalAmount);
+
+    res.json({
+      items: pricing.items.map(line => ({
+        productId: line.productId,
+        name: line.name,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        subtotal: line.subtotal,
+        promotions: line.promotions,
+        promotionDiscount: line.promotionDiscount,
+        lineDiscount: line.lineDiscount,
+        orderDiscount: line.orderDiscount,
+        taxRate: line.taxRate,
+        taxAmount: line.taxAmount,
+        total: line.total
+      })),
+      promotions: pricing.promotions,
+      subtotal: pricing.subtotal,
+      promotionDiscount: pricing.promotionDiscount,
+      discountAmount: pricing.discountAmount,
+      taxAmount: pricing.taxAmount,
+      totalAmount: pricing.totalAmount,
+      coupons: [
+        ...discounts.map(({ coupon, amount }) => ({ code: coupon.code, type: coupon.type, amount })),
+        ...voucherPlan.payments.map(({ coupon, amount }) => ({ code: coupon.code, type: coupon.type, amount, balance: coupon.balance }))
+      ],
+      balanceDue: pricing.totalAmount.minus(voucherPlan.amountApplied)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Quote sale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{id}/payments:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Add payments to a sale
+ *     description: Records one or more tenders against the balance due. Cash may exceed the balance and the change due is returned; other methods may not. The payment status becomes unpaid, partial or paid from the sum of payments; a payment that clears a layaway's balance completes it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - payments
+ *             properties:
+ *               payments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - paymentMethodId
+ *                     - amount
+ *                   properties:
+ *                     paymentMethodId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                       description: Amount tendered
+ *                     reference:
+ *                       type: string
+ *                       description: Card authorization, check number, etc.
+ *                     token:
+ *                       type: string
+ *                       description: Card token passed to the method's payment provider
+ *     responses:
+ *       201:
+ *         description: Payments recorded
+ *       402:
+ *         description: Payment declined by the provider
+ *       502:
+ *         description: Payment provider error
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Another payment changed the balance concurrently
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/:id/payments', authenticateToken, authorizePermission('sales:create'), authorizeSaleStore(), idempotent(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { paymentStatusId, saleStatusId } = req.body;
+    const { payments } = req.body;
 
-    const sale = await prisma.sale.update({
-      where: { id },
-      data: {
-        paymentStatusId,
-        saleStatusId
-      },
-      include: {
-        paymentStatus: true,
-        saleStatus: true
-      }
+    const result = await addPayments(id, payments, req.user.userId);
+
+    res.status(201).json({
+      message: 'Payments recorded successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Add sale payments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{id}/void:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Void a sale with manager approval
+ *     description: Cancels a pending or completed sale. A manager holding sales:void approves in the same request with their password or PIN (not the requester). Stock is put back, customer totals and loyalty points are reversed and gateway payments are refunded; refundDue is what to hand back at the counter.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reasonCode
+ *               - approval
+ *             properties:
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [cashier_error, customer_request, duplicate, price_error, payment_issue, test_transaction, other]
+ *               notes:
+ *                 type: string
+ *               approval:
+ *                 type: object
+ *                 description: Either email and password, or userId and PIN, of the approving manager
+ *                 properties:
+ *                   email:
+ *                     type: string
+ *                   password:
+ *                     type: string
+ *                   userId:
+ *                     type: string
+ *                   pin:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Sale voided
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: Invalid manager credentials, or the approver may not void sales or does not work in the sale's store
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The sale changed concurrently
+ *       423:
+ *         description: The approver's account or PIN is locked
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/:id/void', authenticateToken, authorizePermission('sales:create'), authorizeSaleStore(), idempotent(), async (req, res) => {
+  try {
+    const { reasonCode, notes, approval } = req.body;
+
+    // Cashiers may ask for a void at the register; the manager's approval is what authorizes it
+    const result = await voidSale(req.params.id, {
+      reasonCode,
+      notes,
+      approval,
+      requesterId: req.user.userId,
+      terminalId: req.user.terminalId,
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Sale voided successfully',
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Void sale error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{id}/status:
+ *   put:
+ *     tags:
+ *       - Sales
+ *     summary: Change a sale's status
+ *     description: Only transitions allowed by the sale state machine are accepted, and only those not owned by a workflow endpoint (void, returns, held sales, layaways). Payment status is derived from the sale's payments and cannot be set.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - saleStatusId
+ *             properties:
+ *               saleStatusId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Recorded in the status history
+ *     responses:
+ *       200:
+ *         description: Sale status updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The sale's status changed concurrently
+ */
+router.put('/:id/status', authenticateToken, authorizePermission('sales:update'), authorizeSaleStore(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paymentStatusId, saleStatusId, reason } = req.body;
+
+    if (paymentStatusId) {
+      return res.status(400).json({ error: 'Payment status is derived from the sale\'s payments' });
+    }
+
+    const [sale, status] = await Promise.all([
+      prisma.sale.findUnique({ where: { id }, include: { saleStatus: true } }),
+      saleStatusId ? prisma.saleStatus.findUnique({ where: { id: saleStatusId } }) : null
+    ]);
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    if (!status) {
+      return res.status(400).json({ error: 'A valid saleStatusId is required' });
+    }
+
+    const current = sale.saleStatus ? sale.saleStatus.name : LEGACY_STATUS;
+    const transition = findTransition(current, status.name);
+
+    if (!transition) {
+      return res.status(400).json({ error: `Cannot move a ${current} sale to ${status.name}` });
+    }
+
+    if (!transition.manual) {
+      return res.status(400).json({ error: `Use ${transition.via} to move a ${current} sale to ${status.name}` });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await transitionSale(tx, id, status.name, { from: current, userId: req.user.userId, reason });
+
+      return tx.sale.findUnique({
+        where: { id },
+        include: {
+          paymentStatus: true,
+          saleStatus: true
+        }
+      });
     });
 
     res.json({
       message: 'Sale status updated successfully',
-      sale
+      sale: updated
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update sale status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{id}/history:
+ *   get:
+ *     tags:
+ *       - Sales
+ *     summary: Get a sale's status history
+ *     description: Every status transition with who made it and why, oldest first, plus the transitions available from the current status
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *     responses:
+ *       200:
+ *         description: Status history
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/history', authenticateToken, authorizePermission('sales:read'), authorizeSaleStore(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sale = await prisma.sale.findUnique({
+      where: { id },
+      include: { saleStatus: true }
+    });
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    const history = await prisma.saleStatusHistory.findMany({
+      where: { saleId: id },
+      include: {
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const current = sale.saleStatus ? sale.saleStatus.name : LEGACY_STATUS;
+
+    res.json({
+      status: current,
+      history,
+      nextStatuses: TRANSITIONS
+        .filter(transition => transition.from === current)
+        .map(({ to, manual, via }) => ({ status: to, manual: Boolean(manual), via }))
+    });
+  } catch (error) {
+    console.error('Get sale history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const receiptInclude = {
+  ...saleInclude,
+  user: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true
+    }
+  }
+};
+
+const sendReceipt = (res, sale, format, printNumber) => {
+  const blocks = buildReceipt(sale, { printNumber });
+  const { contentType, body } = renderReceipt(blocks, format, { title: `Receipt ${sale.id}` });
+
+  res.set('Content-Type', contentType);
+
+  if (format === 'escpos' || format === 'pdf') {
+    res.set('Content-Disposition', `inline; filename="receipt-${sale.id}.${format === 'pdf' ? 'pdf' : 'bin'}"`);
+  }
+
+  res.send(body);
+};
+
+/**
+ * @swagger
+ * /api/sales/{id}/receipt:
+ *   get:
+ *     tags:
+ *       - Sales
+ *     summary: View a sale receipt
+ *     description: Renders the receipt as plain text, HTML, raw ESC/POS bytes for a thermal printer, or PDF, as it was last printed. Viewing does not count as a print; use POST /api/sales/{id}/receipt/print to print a copy.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [text, html, escpos, pdf]
+ *           default: text
+ *     responses:
+ *       200:
+ *         description: Receipt in the requested format
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/receipt', authenticateToken, authorizePermission('sales:read'), authorizeSaleStore(), async (req, res) => {
+  try {
+    const format = req.query.format || 'text';
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+    }
+
+    const sale = await prisma.sale.findUnique({
+      where: { id: req.params.id },
+      include: receiptInclude
+    });
+
+    if (!sale) {
+      return res.status(404).json({ error: 'Sale not found' });
+    }
+
+    sendReceipt(res, sale, format, Math.max(sale.receiptPrints, 1));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{id}/receipt/print:
+ *   post:
+ *     tags:
+ *       - Sales
+ *     summary: Print a sale receipt
+ *     description: Counts a print and renders the copy in the requested format. Store name, header, footer and width come from the RECEIPT_* settings. Copies after the first are marked as reprints and voided sales are marked VOID.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Sale ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [text, html, escpos, pdf]
+ *           default: text
+ *     responses:
+ *       200:
+ *         description: Receipt in the requested format; X-Receipt-Print holds the print number
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/receipt/print', authenticateToken, authorizePermission('sales:read'), authorizeSaleStore(), async (req, res) => {
+  try {
+    const format = req.query.format || 'text';
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+    }
+
+    // Counting the print in the same update keeps concurrent reprints numbered apart
+    const sale = await prisma.sale.update({
+      where: { id: req.params.id },
+      data: {
+        receiptPrints: { increment: 1 },
+        receiptPrintedAt: new Date()
+      },
+      include: receiptInclude
+    });
+
+    res.set('X-Receipt-Print', String(sale.receiptPrints));
+    sendReceipt(res, sale, format, sale.receiptPrints);
+  } catch (error) {
     if (error.code === 'P2025') {
-      res.status(404).json({ error: 'Sale not found' });
-    } else {
-      res.status(500).json({ error: 'Internal server error' });
+      return res.status(404).json({ error: 'Sale not found' });
     }
+    console.error('Print receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Get sales statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', authenticateToken, authorizePermission('sales:read'), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, storeId } = req.query;
 
-    const dateFilter = {};
+    const dateFilter = {
+      storeId: await storeFilter(req, storeId)
+    };
     if (startDate && endDate) {
       dateFilter.createdAt = {
         gte: new Date(startDate),
@@ -330,6 +1526,9 @@ router.get('/stats/overview', async (req, res) => {
       averageSale: totalSales > 0 ? (totalRevenue._sum.totalAmount || 0) / totalSales : 0
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get sales stats error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
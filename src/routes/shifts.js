@@ -0,0 +1,480 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission, loadAccess } = require('../middleware/auth');
+const { canAccessStore, resolveStoreId, storeFilter } = require('../middleware/storeAccess');
+const {
+  findOpenShift,
+  openShift,
+  recordCashMovement,
+  getShiftReport,
+  closeShift
+} = require('../services/shifts');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MANAGE_PERMISSION = 'shifts:update';
+
+const personSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true
+};
+
+// Cashiers work their own drawer; anyone else's needs shifts:update
+const canWorkShift = async (req, shift) => {
+  if (shift.userId === req.user.userId) return true;
+
+  const { permissions } = await loadAccess(req);
+  return permissions.has(MANAGE_PERMISSION);
+};
+
+/**
+ * @swagger
+ * /api/shifts/open:
+ *   post:
+ *     summary: Open a cash drawer shift
+ *     description: Starts a shift for the signed-in cashier with the float placed in the drawer. A cashier has at most one open shift, and sales they create in the shift's store are attached to it.
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - openingFloat
+ *             properties:
+ *               storeId:
+ *                 type: string
+ *                 description: Required when the cashier works in several stores; a register's store otherwise
+ *               openingFloat:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shift opened
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/open', authenticateToken, authorizePermission('shifts:create'), async (req, res) => {
+  try {
+    const { openingFloat, notes } = req.body;
+
+    const shift = await openShift({
+      userId: req.user.userId,
+      storeId: await resolveStoreId(req, req.body.storeId),
+      terminalId: req.user.terminalId,
+      openingFloat,
+      notes
+    });
+
+    res.status(201).json({
+      message: 'Shift opened successfully',
+      shift
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Open shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/current:
+ *   get:
+ *     summary: Get the signed-in cashier's open shift
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open shift
+ *       404:
+ *         description: No open shift
+ */
+router.get('/current', authenticateToken, authorizePermission('shifts:read'), async (req, res) => {
+  try {
+    const shift = await findOpenShift(prisma, req.user.userId);
+
+    if (!shift) {
+      return res.status(404).json({ error: 'No open shift' });
+    }
+
+    res.json({ shift });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   get:
+ *     summary: List shifts
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *       - in: query
+ *         name: open
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Shifts opened on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Shifts opened before the end of this date
+ *     responses:
+ *       200:
+ *         description: Shifts, most recently opened first
+ */
+router.get('/', authenticateToken, authorizePermission('shifts:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, userId, storeId, open, startDate, endDate } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {
+      storeId: await storeFilter(req, storeId)
+    };
+
+    if (userId) where.userId = userId;
+
+    if (open !== undefined) {
+      where.closedAt = open === 'true' ? null : { not: null };
+    }
+
+    if (startDate || endDate) {
+      where.openedAt = {};
+      if (startDate) where.openedAt.gte = new Date(startDate);
+      if (endDate) where.openedAt.lte = new Date(`${endDate}T23:59:59.999`);
+    }
+
+    const [shifts, total] = await Promise.all([
+      prisma.shift.findMany({
+        where,
+        include: {
+          user: { select: personSelect },
+          store: { select: { id: true, code: true, name: true } },
+          terminal: { select: { id: true, name: true } }
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: { openedAt: 'desc' }
+      }),
+      prisma.shift.count({ where })
+    ]);
+
+    res.json({
+      shifts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get shifts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   get:
+ *     summary: Get a shift with its cash movements
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Shift
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('shifts:read'), async (req, res) => {
+  try {
+    const shift = await prisma.shift.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: { select: personSelect },
+        closedBy: { select: personSelect },
+        terminal: { select: { id: true, name: true } },
+        cashMovements: {
+          include: { user: { select: personSelect } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!shift || !await canAccessStore(req, shift.storeId)) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    res.json({ shift });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}/report:
+ *   get:
+ *     summary: X or Z report for a shift
+ *     description: An open shift gets an X report of takings so far. A closed shift gets its Z report, with the expected and counted amounts per payment method stored at closing. Cash expected is the float, plus cash taken and paid in, less cash refunded and paid out.
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     responses:
+ *       200:
+ *         description: Report with sales, cash movements and per-method takings
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/report', authenticateToken, authorizePermission('shifts:read'), async (req, res) => {
+  try {
+    const shift = await prisma.shift.findUnique({
+      where: { id: req.params.id },
+      include: {
+        user: { select: personSelect },
+        closedBy: { select: personSelect }
+      }
+    });
+
+    if (!shift || !await canAccessStore(req, shift.storeId)) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const report = await getShiftReport(shift);
+
+    res.json({
+      shift,
+      report
+    });
+  } catch (error) {
+    console.error('Shift report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}/cash-movements:
+ *   post:
+ *     summary: Record a paid-in, paid-out or no-sale drawer open
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [paid_in, paid_out, no_sale]
+ *               amount:
+ *                 type: number
+ *                 description: Required for paid-ins and paid-outs
+ *               reason:
+ *                 type: string
+ *                 description: Required for paid-ins and paid-outs
+ *     responses:
+ *       201:
+ *         description: Movement recorded
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/cash-movements', authenticateToken, authorizePermission('shifts:create'), async (req, res) => {
+  try {
+    const { type, amount, reason } = req.body;
+
+    const shift = await prisma.shift.findUnique({ where: { id: req.params.id } });
+
+    if (!shift || !await canAccessStore(req, shift.storeId)) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    if (!await canWorkShift(req, shift)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const movement = await recordCashMovement(shift, {
+      userId: req.user.userId,
+      type,
+      amount,
+      reason
+    });
+
+    res.status(201).json({
+      message: type === 'no_sale' ? 'Drawer open recorded' : 'Cash movement recorded successfully',
+      movement
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Record cash movement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}/close:
+ *   post:
+ *     summary: Close a shift with the counted cash
+ *     description: Stores the expected and counted amounts per payment method and returns the Z report. Counts for other counter methods (checks, card slips) are optional.
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shift ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - countedCash
+ *             properties:
+ *               countedCash:
+ *                 type: number
+ *               counts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - paymentMethodId
+ *                     - amount
+ *                   properties:
+ *                     paymentMethodId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shift closed, with its Z report
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The shift was closed concurrently
+ */
+router.post('/:id/close', authenticateToken, authorizePermission('shifts:create'), async (req, res) => {
+  try {
+    const { countedCash, counts, notes } = req.body;
+
+    const shift = await prisma.shift.findUnique({ where: { id: req.params.id } });
+
+    if (!shift || !await canAccessStore(req, shift.storeId)) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    if (!await canWorkShift(req, shift)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const closed = await closeShift(shift, {
+      userId: req.user.userId,
+      countedCash,
+      counts,
+      notes
+    });
+
+    res.json({
+      message: 'Shift closed successfully',
+      shift: closed,
+      report: await getShiftReport(closed)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Close shift error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,586 @@
+const express = require('express');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { ALL_STORES_PERMISSION, canAccessStore, storeFilter } = require('../middleware/storeAccess');
+const { COMPLETED } = require('../services/sales');
+const { roundMoney } = require('../utils/money');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+// Sales that count as takings in reports; refunded sales still count, their returns are shown apart
+const REPORTED_STATUSES = [COMPLETED, 'refunded'];
+
+const STORE_FIELDS = ['code', 'name', 'address', 'city', 'phone', 'isActive'];
+
+const pickStoreFields = (body) => Object.fromEntries(
+  STORE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Stores the caller does not work in are treated as missing
+const findStore = async (req, id) => {
+  const store = await prisma.store.findUnique({ where: { id } });
+  return store && await canAccessStore(req, store.id) ? store : null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StoreInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Short unique code printed on receipts and reports
+ *         name:
+ *           type: string
+ *         address:
+ *           type: string
+ *         city:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/stores:
+ *   get:
+ *     summary: List the stores the caller works in
+ *     description: Head office (stores:all) sees every store
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Stores, by code
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('stores:read'), async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const where = {
+      id: await storeFilter(req)
+    };
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const stores = await prisma.store.findMany({
+      where,
+      orderBy: { code: 'asc' }
+    });
+
+    res.json({ stores });
+  } catch (error) {
+    console.error('Get stores error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/reports/summary:
+ *   get:
+ *     summary: Sales and returns per store
+ *     description: Completed and refunded sales with their tax and discounts, and the returns made against each store's sales, for every store the caller works in. Head office gets the whole chain.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sales and returns on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sales and returns before the end of this date
+ *     responses:
+ *       200:
+ *         description: One row per store with the chain totals
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/reports/summary', authenticateToken, authorizePermission('sales:read'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const createdAt = {};
+    if (startDate) createdAt.gte = new Date(startDate);
+    if (endDate) createdAt.lte = new Date(`${endDate}T23:59:59.999`);
+
+    const stores = await prisma.store.findMany({
+      where: { id: await storeFilter(req) },
+      orderBy: { code: 'asc' }
+    });
+    const storeIds = stores.map(store => store.id);
+
+    const [sales, returns] = await Promise.all([
+      prisma.sale.groupBy({
+        by: ['storeId'],
+        where: {
+          storeId: { in: storeIds },
+          saleStatus: { name: { in: REPORTED_STATUSES } },
+          createdAt
+        },
+        _count: true,
+        _sum: { totalAmount: true, taxAmount: true, discountAmount: true }
+      }),
+      // Returns are grouped through their sale's store
+      Promise.all(storeIds.map(storeId => prisma.saleReturn.aggregate({
+        where: { sale: { storeId }, createdAt },
+        _count: true,
+        _sum: { refundAmount: true }
+      })))
+    ]);
+
+    const salesByStore = new Map(sales.map(row => [row.storeId, row]));
+
+    const rows = stores.map((store, index) => {
+      const storeSales = salesByStore.get(store.id);
+      const storeReturns = returns[index];
+      const revenue = new Decimal((storeSales && storeSales._sum.totalAmount) || 0);
+      const refunded = new Decimal(storeReturns._sum.refundAmount || 0);
+
+      return {
+        storeId: store.id,
+        code: store.code,
+        name: store.name,
+        sales: storeSales ? storeSales._count : 0,
+        revenue,
+        taxAmount: new Decimal((storeSales && storeSales._sum.taxAmount) || 0),
+        discountAmount: new Decimal((storeSales && storeSales._sum.discountAmount) || 0),
+        returns: storeReturns._count,
+        refunded,
+        netRevenue: roundMoney(revenue.minus(refunded))
+      };
+    });
+
+    const sum = field => rows.reduce((total, row) => total.plus(row[field]), new Decimal(0));
+
+    res.json({
+      period: { startDate: startDate || null, endDate: endDate || null },
+      stores: rows,
+      totals: {
+        sales: rows.reduce((total, row) => total + row.sales, 0),
+        revenue: sum('revenue'),
+        taxAmount: sum('taxAmount'),
+        discountAmount: sum('discountAmount'),
+        returns: rows.reduce((total, row) => total + row.returns, 0),
+        refunded: sum('refunded'),
+        netRevenue: sum('netRevenue')
+      }
+    });
+  } catch (error) {
+    console.error('Store summary report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}:
+ *   get:
+ *     summary: Get a store with its registers
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Store
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('stores:read'), async (req, res) => {
+  try {
+    if (!await findStore(req, req.params.id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const store = await prisma.store.findUnique({
+      where: { id: req.params.id },
+      include: {
+        terminals: {
+          select: { id: true, name: true, isActive: true, lastSeenAt: true },
+          orderBy: { name: 'asc' }
+        },
+        _count: { select: { users: true } }
+      }
+    });
+
+    res.json({ store });
+  } catch (error) {
+    console.error('Get store error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores:
+ *   post:
+ *     summary: Open a store
+ *     description: Head office only (stores:all)
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/StoreInput'
+ *               - required: [code, name]
+ *     responses:
+ *       201:
+ *         description: Store created
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/', authenticateToken, authorizePermission('stores:create', ALL_STORES_PERMISSION), async (req, res) => {
+  try {
+    const { code, name } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({ error: 'Store code and name are required' });
+    }
+
+    const store = await prisma.store.create({
+      data: pickStoreFields(req.body)
+    });
+
+    res.status(201).json({
+      message: 'Store created successfully',
+      store
+    });
+  } catch (error) {
+    console.error('Create store error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Store code already exists' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}:
+ *   put:
+ *     summary: Update a store
+ *     description: Fields left out keep their current values. A deactivated store takes no new sales, shifts or stock.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoreInput'
+ *     responses:
+ *       200:
+ *         description: Store updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', authenticateToken, authorizePermission('stores:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findStore(req, id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const store = await prisma.store.update({
+      where: { id },
+      data: pickStoreFields(req.body)
+    });
+
+    res.json({
+      message: 'Store updated successfully',
+      store
+    });
+  } catch (error) {
+    console.error('Update store error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Store code already exists' });
+    } else if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Store not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}:
+ *   delete:
+ *     summary: Close a store
+ *     description: Head office only (stores:all). Deactivates the store; its sales, shifts and stock history are kept.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Store deactivated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, authorizePermission('stores:delete', ALL_STORES_PERMISSION), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.store.update({
+      where: { id },
+      data: { isActive: false }
+    });
+
+    res.json({ message: 'Store deactivated successfully' });
+  } catch (error) {
+    console.error('Delete store error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Store not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}/prices:
+ *   get:
+ *     summary: List a store's price overrides
+ *     description: Products without an override sell at their catalog price in this store
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Overrides with the product and its catalog price
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/prices', authenticateToken, authorizePermission('stores:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findStore(req, id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const prices = await prisma.storePrice.findMany({
+      where: { storeId: id },
+      include: {
+        product: { select: { id: true, name: true, sku: true, price: true } }
+      },
+      orderBy: { product: { name: 'asc' } }
+    });
+
+    res.json({ storeId: id, prices });
+  } catch (error) {
+    console.error('Get store prices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}/prices/{productId}:
+ *   put:
+ *     summary: Set a product's price in a store
+ *     description: The override replaces the catalog price for sales, quotes and held carts in this store. Promotions and tax apply to it as they would to the catalog price.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Store ID
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *             properties:
+ *               price:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Price override saved
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/prices/:productId', authenticateToken, authorizePermission('stores:update'), async (req, res) => {
+  try {
+    const { id, productId } = req.params;
+
+    let price;
+    try {
+      price = roundMoney(req.body.price);
+    } catch (error) {
+      return res.status(400).json({ error: 'price must be a number' });
+    }
+
+    if (!price.isFinite() || price.isNegative()) {
+      return res.status(400).json({ error: 'price must be a non-negative number' });
+    }
+
+    if (!await findStore(req, id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const product = await prisma.product.findUnique({ where: { id: productId }, select: { id: true } });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const storePrice = await prisma.storePrice.upsert({
+      where: { storeId_productId: { storeId: id, productId } },
+      update: { price },
+      create: { storeId: id, productId, price }
+    });
+
+    res.json({
+      message: 'Store price saved successfully',
+      storePrice
+    });
+  } catch (error) {
+    console.error('Set store price error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}/prices/{productId}:
+ *   delete:
+ *     summary: Remove a store's price override
+ *     description: The product goes back to its catalog price in this store
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Store ID
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override removed
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/prices/:productId', authenticateToken, authorizePermission('stores:update'), async (req, res) => {
+  try {
+    const { id, productId } = req.params;
+
+    if (!await findStore(req, id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const storePrice = await prisma.storePrice.findUnique({
+      where: { storeId_productId: { storeId: id, productId } }
+    });
+
+    if (!storePrice) {
+      return res.status(404).json({ error: 'Store price not found' });
+    }
+
+    // The tombstone tells syncing terminals to drop their copy
+    await prisma.$transaction([
+      prisma.storePrice.delete({
+        where: { id: storePrice.id }
+      }),
+      prisma.deletedRecord.create({
+        data: { entity: 'storePrice', recordId: storePrice.id }
+      })
+    ]);
+
+    res.json({ message: 'Store price removed successfully' });
+  } catch (error) {
+    console.error('Delete store price error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Store price not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+module.exports = router;
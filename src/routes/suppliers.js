@@ -0,0 +1,287 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const SUPPLIER_FIELDS = ['code', 'name', 'contactName', 'email', 'phone', 'address', 'isActive'];
+
+const pickSupplierFields = (body) => Object.fromEntries(
+  SUPPLIER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SupplierInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Short unique code used on purchase orders
+ *         name:
+ *           type: string
+ *         contactName:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         address:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: List suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches code, name or contact name
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Suppliers, by name
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('suppliers:read'), async (req, res) => {
+  try {
+    const { search, active } = req.query;
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { code: { contains: search, mode: 'insensitive' } },
+        { name: { contains: search, mode: 'insensitive' } },
+        { contactName: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const suppliers = await prisma.supplier.findMany({
+      where,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ suppliers });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get a supplier
+ *     description: Includes the products it supplies and how many of its purchase orders are open
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('suppliers:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [supplier, openOrders] = await Promise.all([
+      prisma.supplier.findUnique({
+        where: { id },
+        include: {
+          products: {
+            where: { isActive: true },
+            select: { id: true, name: true, sku: true, cost: true },
+            orderBy: { name: 'asc' }
+          }
+        }
+      }),
+      prisma.purchaseOrder.count({
+        where: { supplierId: id, status: { in: ['sent', 'partially_received'] } }
+      })
+    ]);
+
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+
+    res.json({ supplier, openOrders });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Add a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SupplierInput'
+ *               - required: [code, name]
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/', authenticateToken, authorizePermission('suppliers:create'), async (req, res) => {
+  try {
+    const { code, name } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({ error: 'Supplier code and name are required' });
+    }
+
+    const supplier = await prisma.supplier.create({
+      data: pickSupplierFields(req.body)
+    });
+
+    res.status(201).json({
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Supplier code already exists' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier
+ *     description: Fields left out keep their current values. New purchase orders cannot be raised with a deactivated supplier.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SupplierInput'
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', authenticateToken, authorizePermission('suppliers:update'), async (req, res) => {
+  try {
+    const supplier = await prisma.supplier.update({
+      where: { id: req.params.id },
+      data: pickSupplierFields(req.body)
+    });
+
+    res.json({
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Supplier code already exists' });
+    } else if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Supplier not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   delete:
+ *     summary: Deactivate a supplier
+ *     description: Its purchase orders and products are kept. Orders already placed can still be received.
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Supplier ID
+ *     responses:
+ *       200:
+ *         description: Supplier deactivated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, authorizePermission('suppliers:delete'), async (req, res) => {
+  try {
+    await prisma.supplier.update({
+      where: { id: req.params.id },
+      data: { isActive: false }
+    });
+
+    res.json({ message: 'Supplier deactivated successfully' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Supplier not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+module.exports = router;
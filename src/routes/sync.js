@@ -0,0 +1,183 @@
+const express = require('express');
+const { authenticateToken, authorizePermission, loadAccess } = require('../middleware/auth');
+const { allowedStoreIds, resolveStoreId } = require('../middleware/storeAccess');
+const { PRICE_OVERRIDE_PERMISSION, pullChanges, pushSales } = require('../services/sync');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/sync/pull:
+ *   get:
+ *     summary: Pull catalog, customer and stock changes for an offline register
+ *     description: Returns categories, products (with prices and tax rates), store price overrides, promotions, customers, inventory rows and deleted records changed since the cursor, oldest first. Store prices and inventory only cover the caller's stores, so a register gets its own store's. Omit `since` for a full download. Store the returned cursor and pull again while `hasMore` is true. Changes from the last few seconds are held back until their transactions have settled.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *         description: Cursor returned by the previous pull
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 500
+ *           maximum: 1000
+ *         description: Maximum rows per entity
+ *     responses:
+ *       200:
+ *         description: Changes with the next cursor
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/pull', authenticateToken, authorizePermission('products:read', 'categories:read', 'customers:read', 'inventory:read', 'promotions:read'), async (req, res) => {
+  try {
+    const { since, limit } = req.query;
+
+    const result = await pullChanges({
+      since,
+      limit,
+      storeIds: await allowedStoreIds(req)
+    });
+
+    res.json({
+      ...result,
+      serverTime: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Sync pull error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sync/push:
+ *   post:
+ *     summary: Push sales rung up while the register was offline
+ *     description: Records each sale as completed, in order, under its client-generated id and timestamp. Register prices stand when they are within OFFLINE_PRICE_TOLERANCE_PERCENT of the catalog price with the catalog tax rate, or when the caller holds sales:price_override. Other lines are recorded at the catalog price, and such sales, like sales of products deactivated since, are recorded as pending and reported as `held` for a manager to complete or void. Whatever stock is on hand is taken even when it does not cover the sale; units that were not there are reported as an `oversold` conflict with their `shortfall`, and stock never goes below zero. Each sale gets its own result. `created` and `held` may list conflicts (price_changed, price_rejected, product_inactive, customer_missing, oversold, clock_skew) for a manager to review. `duplicate` means the id was already synced, so pushing again is safe. `rejected` sales cannot be recorded as sent. `failed` sales should be pushed again later.
+ *     tags: [Sync]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sales
+ *             properties:
+ *               storeId:
+ *                 type: string
+ *                 description: Store the sales were made in; defaults to the register's store
+ *               sales:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - id
+ *                     - createdAt
+ *                     - items
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       format: uuid
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                     customerId:
+ *                       type: string
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         required:
+ *                           - productId
+ *                           - quantity
+ *                         properties:
+ *                           productId:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                           unitPrice:
+ *                             type: number
+ *                             description: Price charged at the register; defaults to the catalog price. Held for review when too far from it
+ *                           taxRate:
+ *                             type: number
+ *                           discount:
+ *                             type: number
+ *                           discountPercent:
+ *                             type: number
+ *                           location:
+ *                             type: string
+ *                     discountAmount:
+ *                       type: number
+ *                     discountPercent:
+ *                       type: number
+ *                     payments:
+ *                       type: array
+ *                       description: Counter tenders only; gateway payments cannot be taken offline
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           paymentMethodId:
+ *                             type: string
+ *                           amount:
+ *                             type: number
+ *                           reference:
+ *                             type: string
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Per-sale results
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/push', authenticateToken, authorizePermission('sales:create'), async (req, res) => {
+  try {
+    const { sales } = req.body;
+    const { permissions } = await loadAccess(req);
+
+    const results = await pushSales(sales, {
+      userId: req.user.userId,
+      storeId: await resolveStoreId(req, req.body.storeId),
+      terminalId: req.user.terminalId,
+      priceOverride: permissions.has(PRICE_OVERRIDE_PERMISSION)
+    });
+
+    const summary = results.reduce((counts, result) => ({
+      ...counts,
+      [result.status]: (counts[result.status] || 0) + 1
+    }), {});
+
+    res.json({
+      results,
+      summary
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Sync push error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { canAccessStore, resolveStoreId, storeFilter } = require('../middleware/storeAccess');
+const { hashToken, revokeTerminalTokenFamilies } = require('../services/tokens');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const terminalSelect = {
+  id: true,
+  name: true,
+  storeId: true,
+  isActive: true,
+  lastSeenAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// The raw terminal token is returned once; only its hash is stored
+const generateTerminalToken = () => crypto.randomBytes(32).toString('hex');
+
+// Terminals of stores the caller does not work in are treated as missing
+const findTerminal = async (req, id) => {
+  const terminal = await prisma.terminal.findUnique({ where: { id }, select: terminalSelect });
+  return terminal && await canAccessStore(req, terminal.storeId) ? terminal : null;
+};
+
+/**
+ * @swagger
+ * /api/terminals:
+ *   get:
+ *     summary: List registered terminals
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Defaults to every store the caller works in
+ *     responses:
+ *       200:
+ *         description: Registered terminals
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('terminals:read'), async (req, res) => {
+  try {
+    const terminals = await prisma.terminal.findMany({
+      where: { storeId: await storeFilter(req, req.query.storeId) },
+      select: terminalSelect,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ terminals });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get terminals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/terminals:
+ *   post:
+ *     summary: Register a terminal
+ *     description: Returns the terminal token once. Configure it on the register and send it as the X-Terminal-Token header for PIN login. A terminal belongs to one store, and its sessions work in that store only.
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               storeId:
+ *                 type: string
+ *                 description: Required when the caller works in several stores
+ *     responses:
+ *       201:
+ *         description: Terminal registered
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/', authenticateToken, authorizePermission('terminals:create'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Terminal name is required' });
+    }
+
+    const storeId = await resolveStoreId(req, req.body.storeId);
+    const terminalToken = generateTerminalToken();
+
+    const terminal = await prisma.terminal.create({
+      data: {
+        name,
+        storeId,
+        tokenHash: hashToken(terminalToken)
+      },
+      select: terminalSelect
+    });
+
+    res.status(201).json({
+      message: 'Terminal registered successfully',
+      terminal,
+      terminalToken
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create terminal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/terminals/{id}:
+ *   put:
+ *     summary: Rename or deactivate a terminal
+ *     description: Deactivating a terminal ends every PIN session opened on it
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Terminal ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Terminal updated
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id', authenticateToken, authorizePermission('terminals:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, isActive } = req.body;
+
+    if (!await findTerminal(req, id)) {
+      return res.status(404).json({ error: 'Terminal not found' });
+    }
+
+    const terminal = await prisma.terminal.update({
+      where: { id },
+      data: {
+        name,
+        isActive
+      },
+      select: terminalSelect
+    });
+
+    if (isActive === false) {
+      await revokeTerminalTokenFamilies(id);
+    }
+
+    res.json({
+      message: 'Terminal updated successfully',
+      terminal
+    });
+  } catch (error) {
+    console.error('Update terminal error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Terminal not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/terminals/{id}/token:
+ *   post:
+ *     summary: Rotate a terminal token
+ *     description: Issues a new terminal token, invalidating the old one and ending its PIN sessions
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Terminal ID
+ *     responses:
+ *       200:
+ *         description: New terminal token issued
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/token', authenticateToken, authorizePermission('terminals:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const terminalToken = generateTerminalToken();
+
+    if (!await findTerminal(req, id)) {
+      return res.status(404).json({ error: 'Terminal not found' });
+    }
+
+    const terminal = await prisma.terminal.update({
+      where: { id },
+      data: { tokenHash: hashToken(terminalToken) },
+      select: terminalSelect
+    });
+
+    await revokeTerminalTokenFamilies(id);
+
+    res.json({
+      message: 'Terminal token rotated successfully',
+      terminal,
+      terminalToken
+    });
+  } catch (error) {
+    console.error('Rotate terminal token error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Terminal not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/terminals/{id}:
+ *   delete:
+ *     summary: Delete a terminal
+ *     tags: [Terminals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Terminal ID
+ *     responses:
+ *       200:
+ *         description: Terminal deleted
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, authorizePermission('terminals:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findTerminal(req, id)) {
+      return res.status(404).json({ error: 'Terminal not found' });
+    }
+
+    await prisma.terminal.delete({ where: { id } });
+
+    res.json({ message: 'Terminal deleted successfully' });
+  } catch (error) {
+    console.error('Delete terminal error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'Terminal not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+module.exports = router;
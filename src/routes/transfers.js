@@ -0,0 +1,443 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { allowedStoreIds, canAccessStore, resolveStoreId } = require('../middleware/storeAccess');
+const {
+  TRANSFER_STATUSES,
+  transferInclude,
+  findTransfer,
+  transferDiscrepancies,
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+} = require('../services/transfers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const withDiscrepancies = transfer => ({ ...transfer, discrepancies: transferDiscrepancies(transfer) });
+
+/**
+ * Load the transfer in `req.params.id` for a caller working at `side` ('from' or 'to'). A transfer
+ * between two stores the caller does not work in is reported as not found; one they can see but
+ * not act on from that side is forbidden.
+ */
+const loadTransfer = async (req, res, side) => {
+  const transfer = await findTransfer(prisma, req.params.id);
+  const [atSource, atDestination] = transfer
+    ? await Promise.all([canAccessStore(req, transfer.fromStoreId), canAccessStore(req, transfer.toStoreId)])
+    : [false, false];
+
+  if (!atSource && !atDestination) {
+    res.status(404).json({ error: 'Transfer not found' });
+    return null;
+  }
+
+  if (side === 'from' && !atSource) {
+    res.status(403).json({ error: 'Only the sending store can do this' });
+    return null;
+  }
+
+  if (side === 'to' && !atDestination) {
+    res.status(403).json({ error: 'Only the receiving store can do this' });
+    return null;
+  }
+
+  return transfer;
+};
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: List stock transfers
+ *     description: Transfers sent from or to the stores the caller works in, newest first. Filter on `status=in_transit` for goods on the road.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_transit, received, cancelled]
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Transfers sent from or to this store
+ *     responses:
+ *       200:
+ *         description: Transfers with their lines
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('transfers:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, storeId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    if (storeId && !await canAccessStore(req, storeId)) {
+      return res.status(403).json({ error: 'You do not have access to this store' });
+    }
+
+    const allowed = await allowedStoreIds(req);
+    const stores = storeId || (allowed === null ? undefined : { in: allowed });
+
+    const where = {};
+
+    if (stores) {
+      where.OR = [{ fromStoreId: stores }, { toStoreId: stores }];
+    }
+
+    if (TRANSFER_STATUSES.includes(status)) {
+      where.status = status;
+    }
+
+    const [transfers, total] = await Promise.all([
+      prisma.stockTransfer.findMany({
+        where,
+        include: transferInclude,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.stockTransfer.count({ where })
+    ]);
+
+    res.json({
+      transfers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}:
+ *   get:
+ *     summary: Get a stock transfer
+ *     description: Includes the discrepancies found on receipt, and the stock movements the transfer made
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('transfers:read'), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res);
+    if (!transfer) return;
+
+    const movements = await prisma.stockMovement.findMany({
+      where: { referenceType: 'transfer', referenceId: transfer.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      transfer: withDiscrepancies(transfer),
+      movements
+    });
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   post:
+ *     summary: Create a stock transfer
+ *     description: Nothing moves until the transfer is dispatched. Locations default to 'default'; a transfer may move stock between two locations of the same store.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toStoreId
+ *               - items
+ *             properties:
+ *               fromStoreId:
+ *                 type: string
+ *                 description: Sending store; required when the caller works in several stores
+ *               fromLocation:
+ *                 type: string
+ *               toStoreId:
+ *                 type: string
+ *               toLocation:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       201:
+ *         description: Transfer created as pending
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ */
+router.post('/', authenticateToken, authorizePermission('transfers:create'), idempotent(), async (req, res) => {
+  try {
+    const { fromLocation, toStoreId, toLocation, items, notes } = req.body;
+
+    const transfer = await createTransfer({
+      userId: req.user.userId,
+      fromStoreId: await resolveStoreId(req, req.body.fromStoreId),
+      fromLocation,
+      toStoreId,
+      toLocation,
+      items,
+      notes
+    });
+
+    res.status(201).json({
+      message: 'Transfer created successfully',
+      transfer
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}/dispatch:
+ *   post:
+ *     summary: Dispatch a transfer
+ *     description: Takes every line out of the source location and marks the transfer in transit. Fails without moving anything if any line is short of unreserved stock.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer in transit
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The transfer was changed concurrently
+ */
+router.post('/:id/dispatch', authenticateToken, authorizePermission('transfers:update'), idempotent(), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res, 'from');
+    if (!transfer) return;
+
+    const dispatched = await dispatchTransfer(transfer, { userId: req.user.userId });
+
+    res.json({
+      message: 'Transfer dispatched successfully',
+      transfer: dispatched
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Dispatch transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}/receive:
+ *   post:
+ *     summary: Receive a transfer
+ *     description: Books the sellable units into the destination location. List only the lines that did not arrive as sent; lines left out are received in full. Short, over and damaged quantities are returned as discrepancies and kept on the transfer.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantityReceived:
+ *                       type: integer
+ *                       description: Sellable units that arrived; defaults to the quantity sent
+ *                     quantityDamaged:
+ *                       type: integer
+ *                       description: Units that arrived unsellable; not added to stock
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Transfer received, with its discrepancies
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The transfer was changed concurrently
+ */
+router.post('/:id/receive', authenticateToken, authorizePermission('transfers:update'), idempotent(), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res, 'to');
+    if (!transfer) return;
+
+    const received = await receiveTransfer(transfer, {
+      userId: req.user.userId,
+      items: req.body.items
+    });
+
+    res.json({
+      message: 'Transfer received successfully',
+      transfer: withDiscrepancies(received)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Receive transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a transfer
+ *     description: A pending transfer is withdrawn. A transfer in transit is called back and its goods are put back at the source location. Received transfers cannot be cancelled.
+ *     tags: [Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The transfer was changed concurrently
+ */
+router.post('/:id/cancel', authenticateToken, authorizePermission('transfers:update'), idempotent(), async (req, res) => {
+  try {
+    const transfer = await loadTransfer(req, res, 'from');
+    if (!transfer) return;
+
+    const cancelled = await cancelTransfer(transfer, {
+      userId: req.user.userId,
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Transfer cancelled successfully',
+      transfer: cancelled
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
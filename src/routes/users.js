@@ -0,0 +1,1012 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, authorizeRoles, authorizePermission, loadAccess } = require('../middleware/auth');
+const { ALL_STORES_PERMISSION, allowedStoreIds, storeFilter } = require('../middleware/storeAccess');
+const { revokeAllTokenFamilies } = require('../services/tokens');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const SUPERADMIN_ROLE = 'superadmin';
+const MIN_PASSWORD_LENGTH = 8;
+
+const isIdList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Never expose password hashes from the admin resource
+const userSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  isActive: true,
+  emailVerifiedAt: true,
+  totpEnabledAt: true,
+  lockedUntil: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const userRoleInclude = {
+  role: {
+    include: {
+      rolePermissions: {
+        include: {
+          permission: true
+        }
+      }
+    }
+  }
+};
+
+const formatUserRoles = (userRoles) => userRoles.map(({ role, assignedAt }) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  assignedAt,
+  permissions: role.rolePermissions.map(rp => rp.permission.name).sort()
+}));
+
+/**
+ * Route guard for endpoints addressing a user by ID: a user sharing none of the caller's stores is
+ * reported as not found, like the list leaves them out. With `manage`, the caller must also hold
+ * every role the user holds, so nobody can reset or lock out an account more powerful than theirs.
+ * Missing users are left to the handler.
+ */
+const authorizeUserTarget = ({ manage = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const target = await prisma.user.findUnique({
+        where: { id },
+        select: {
+          stores: { select: { storeId: true } },
+          userRoles: { select: { role: { select: { name: true } } } }
+        }
+      });
+
+      if (!target) {
+        return next();
+      }
+
+      const allowed = await allowedStoreIds(req);
+
+      if (allowed !== null && id !== req.user.userId && !target.stores.some(({ storeId }) => allowed.includes(storeId))) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (manage) {
+        const { roles } = await loadAccess(req);
+
+        if (target.userRoles.some(({ role }) => !roles.has(role.name))) {
+          return res.status(403).json({ error: 'You cannot manage a user who holds a role you do not have' });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('User authorization error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches email, first name or last name
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: roleId
+ *         schema:
+ *           type: string
+ *         description: Users assigned this role
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Users assigned to this store. Without it, callers limited to some stores see the users assigned to any of them.
+ *     responses:
+ *       200:
+ *         description: Paginated list of users
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authenticateToken, authorizePermission('users:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, isActive, roleId, storeId } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const where = {};
+
+    const stores = await storeFilter(req, storeId);
+    if (stores) {
+      where.stores = { some: { storeId: stores } };
+    }
+
+    if (search) {
+      where.OR = [
+        { email: { contains: search, mode: 'insensitive' } },
+        { firstName: { contains: search, mode: 'insensitive' } },
+        { lastName: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (isActive !== undefined) {
+      where.isActive = isActive === 'true';
+    }
+
+    if (roleId) {
+      where.userRoles = { some: { roleId } };
+    }
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: userSelect,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, authorizePermission('users:read'), authorizeUserTarget(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: userSelect
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a staff account
+ *     description: Roles are granted through user_roles; the caller can only grant roles they hold, unless they are a superadmin. Callers limited to some stores must assign the new user to stores they work in, and a caller working in a single store assigns it by default.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               roleIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               storeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: A role or store the caller cannot grant
+ */
+router.post('/', authenticateToken, authorizePermission('users:create'), async (req, res) => {
+  try {
+    const { email, password, firstName, lastName, roleIds = [], storeIds } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // The legacy role column plays no part in authorization
+    if (req.body.role !== undefined) {
+      return res.status(400).json({ error: 'Roles are assigned with roleIds' });
+    }
+
+    if (!isIdList(roleIds) || (storeIds !== undefined && !isIdList(storeIds))) {
+      return res.status(400).json({ error: 'roleIds and storeIds must be arrays of IDs' });
+    }
+
+    const uniqueRoleIds = [...new Set(roleIds)];
+    const [roles, { roles: callerRoles }, allowed] = await Promise.all([
+      prisma.role.findMany({ where: { id: { in: uniqueRoleIds } } }),
+      loadAccess(req),
+      allowedStoreIds(req)
+    ]);
+
+    if (roles.length !== uniqueRoleIds.length) {
+      return res.status(400).json({ error: 'roleIds lists an unknown role' });
+    }
+
+    // Same rule as managing an existing user: nobody creates an account more powerful than theirs
+    if (!callerRoles.has(SUPERADMIN_ROLE) && roles.some(role => !callerRoles.has(role.name))) {
+      return res.status(403).json({ error: 'You cannot grant a role you do not have' });
+    }
+
+    // A user outside the caller's stores would drop out of their view, and only head office can
+    // assign stores afterwards
+    let uniqueStoreIds = storeIds === undefined ? [] : [...new Set(storeIds)];
+
+    if (allowed !== null) {
+      if (storeIds === undefined && allowed.length === 1) {
+        uniqueStoreIds = allowed;
+      }
+
+      if (uniqueStoreIds.length === 0) {
+        return res.status(400).json({ error: 'storeIds is required: assign the user to one of your stores' });
+      }
+
+      if (uniqueStoreIds.some(storeId => !allowed.includes(storeId))) {
+        return res.status(403).json({ error: 'You can only assign users to stores you work in' });
+      }
+    } else if ((await prisma.store.count({ where: { id: { in: uniqueStoreIds } } })) !== uniqueStoreIds.length) {
+      return res.status(400).json({ error: 'storeIds lists an unknown store' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        passwordHash,
+        firstName,
+        lastName,
+        userRoles: {
+          create: uniqueRoleIds.map(roleId => ({ roleId }))
+        },
+        stores: {
+          create: uniqueStoreIds.map(storeId => ({ storeId }))
+        }
+      },
+      select: userSelect
+    });
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user,
+      roleIds: uniqueRoleIds,
+      storeIds: uniqueStoreIds
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    if (error.code === 'P2002') {
+      res.status(400).json({ error: 'Email already exists' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/status:
+ *   put:
+ *     summary: Deactivate or reactivate a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User status updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: The user holds a role the caller does not have
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/status', authenticateToken, authorizePermission('users:update'), authorizeUserTarget({ manage: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean' });
+    }
+
+    if (id === req.user.userId && !isActive) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: { isActive },
+      select: userSelect
+    });
+
+    if (!isActive) {
+      await revokeAllTokenFamilies(id);
+    }
+
+    res.json({
+      message: isActive ? 'User reactivated successfully' : 'User deactivated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/password:
+ *   put:
+ *     summary: Force a password reset for a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: The user holds a role the caller does not have
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/password', authenticateToken, authorizePermission('users:update'), authorizeUserTarget({ manage: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body;
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    await prisma.user.update({
+      where: { id },
+      data: { passwordHash, failedLoginAttempts: 0, lockedUntil: null }
+    });
+
+    // Sign the user out everywhere so the old password's sessions end
+    await revokeAllTokenFamilies(id);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset user password error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Clear a login or PIN lockout
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       403:
+ *         description: The user holds a role the caller does not have
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/unlock', authenticateToken, authorizePermission('users:update'), authorizeUserTarget({ manage: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: {
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        pinFailedAttempts: 0,
+        pinLockedUntil: null
+      },
+      select: userSelect
+    });
+
+    res.json({
+      message: 'User unlocked successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    if (error.code === 'P2025') {
+      res.status(404).json({ error: 'User not found' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/login-history:
+ *   get:
+ *     summary: Login attempts for a user
+ *     description: Successful and failed password, two-factor and PIN logins with IP address, user agent and terminal
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: terminalId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Paginated login history, newest first
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/login-history', authenticateToken, authorizePermission('users:read'), authorizeUserTarget(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, success, terminalId, from, to } = req.query;
+
+    const skip = (page - 1) * limit;
+    const take = parseInt(limit);
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const where = { userId: id };
+
+    if (success !== undefined) {
+      where.success = success === 'true';
+    }
+
+    if (terminalId) {
+      where.terminalId = terminalId;
+    }
+
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = new Date(from);
+      if (to) where.createdAt.lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      prisma.loginEvent.findMany({
+        where,
+        include: {
+          terminal: {
+            select: { id: true, name: true }
+          }
+        },
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.loginEvent.count({ where })
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/stores:
+ *   get:
+ *     summary: List the stores a user works in
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Assigned stores
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/stores', authenticateToken, authorizePermission('users:read'), authorizeUserTarget(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        stores: {
+          include: { store: true },
+          orderBy: { assignedAt: 'asc' }
+        }
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      userId: id,
+      stores: user.stores.map(({ store, assignedAt }) => ({ ...store, assignedAt }))
+    });
+  } catch (error) {
+    console.error('Get user stores error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/stores:
+ *   put:
+ *     summary: Set the stores a user works in
+ *     description: Replaces the user's store assignments. Only head office (stores:all) can assign stores.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storeIds
+ *             properties:
+ *               storeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Store assignments updated
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: The user holds a role the caller does not have
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/stores', authenticateToken, authorizePermission('users:update', ALL_STORES_PERMISSION), authorizeUserTarget({ manage: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { storeIds } = req.body;
+
+    if (!Array.isArray(storeIds) || storeIds.some(storeId => typeof storeId !== 'string')) {
+      return res.status(400).json({ error: 'storeIds must be an array of store IDs' });
+    }
+
+    const uniqueIds = [...new Set(storeIds)];
+
+    const [user, storeCount] = await Promise.all([
+      prisma.user.findUnique({ where: { id }, select: { id: true } }),
+      prisma.store.count({ where: { id: { in: uniqueIds } } })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (storeCount !== uniqueIds.length) {
+      return res.status(400).json({ error: 'storeIds lists an unknown store' });
+    }
+
+    await prisma.$transaction([
+      prisma.userStore.deleteMany({ where: { userId: id, storeId: { notIn: uniqueIds } } }),
+      prisma.userStore.createMany({
+        data: uniqueIds.map(storeId => ({ userId: id, storeId })),
+        skipDuplicates: true
+      })
+    ]);
+
+    res.json({
+      message: 'User stores updated successfully',
+      userId: id,
+      storeIds: uniqueIds
+    });
+  } catch (error) {
+    console.error('Update user stores error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   get:
+ *     summary: List roles assigned to a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Assigned roles with their permissions
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/roles', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        userRoles: {
+          include: userRoleInclude
+        }
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ userId: id, roles: formatUserRoles(user.userRoles) });
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   post:
+ *     summary: Assign a role to a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roleId
+ *             properties:
+ *               roleId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Role assigned
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/roles', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { roleId } = req.body;
+
+    if (!roleId) {
+      return res.status(400).json({ error: 'roleId is required' });
+    }
+
+    const [user, role] = await Promise.all([
+      prisma.user.findUnique({ where: { id } }),
+      prisma.role.findUnique({ where: { id: roleId } })
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    await prisma.userRole.upsert({
+      where: {
+        userId_roleId: { userId: id, roleId }
+      },
+      update: {},
+      create: { userId: id, roleId }
+    });
+
+    const userRoles = await prisma.userRole.findMany({
+      where: { userId: id },
+      include: userRoleInclude
+    });
+
+    res.status(201).json({
+      message: 'Role assigned successfully',
+      roles: formatUserRoles(userRoles)
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/roles/{roleId}:
+ *   delete:
+ *     summary: Unassign a role from a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role unassigned
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/roles/:roleId', authenticateToken, authorizeRoles(SUPERADMIN_ROLE), async (req, res) => {
+  try {
+    const { id, roleId } = req.params;
+
+    const assignment = await prisma.userRole.findUnique({
+      where: {
+        userId_roleId: { userId: id, roleId }
+      },
+      include: { role: true }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({ error: 'Role not assigned to this user' });
+    }
+
+    // Never leave the system without a superadmin
+    if (assignment.role.name === SUPERADMIN_ROLE) {
+      const superadmins = await prisma.userRole.count({ where: { roleId } });
+      if (superadmins <= 1) {
+        return res.status(400).json({ error: 'Cannot remove the last superadmin' });
+      }
+    }
+
+    await prisma.userRole.delete({
+      where: {
+        userId_roleId: { userId: id, roleId }
+      }
+    });
+
+    res.json({ message: 'Role unassigned successfully' });
+  } catch (error) {
+    console.error('Unassign role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const TERMINAL_SCOPE = 'terminal';
+
+// Upper bound on what a PIN-login (terminal-scoped) token may do, whatever the user's roles grant
+const TERMINAL_PERMISSIONS = process.env.TERMINAL_PERMISSIONS
+  ? process.env.TERMINAL_PERMISSIONS.split(',').map(p => p.trim())
+  : [
+    'sales:create',
+    'sales:read',
+    'customers:create',
+    'customers:read',
+    'customers:update',
+    'products:read',
+    'categories:read',
+    'inventory:read',
+    'promotions:read',
+    'coupons:read',
+    'shifts:create',
+    'shifts:read'
+  ];
+
+// Resolve a user's role names and effective permissions through user_roles -> role_permissions
+const getUserAccess = async (userId, { scope } = {}) => {
+  const userRoles = await prisma.userRole.findMany({
+    where: { userId },
+    include: {
+      role: {
+        include: {
+          rolePermissions: {
+            include: {
+              permission: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const roles = new Set();
+  const permissions = new Set();
+
+  for (const { role } of userRoles) {
+    roles.add(role.name);
+    for (const { permission } of role.rolePermissions) {
+      permissions.add(permission.name);
+    }
+  }
+
+  if (scope === TERMINAL_SCOPE) {
+    return {
+      roles: new Set(),
+      permissions: new Set([...permissions].filter(p => TERMINAL_PERMISSIONS.includes(p)))
+    };
+  }
+
+  return { roles, permissions };
+};
+
+module.exports = { getUserAccess, TERMINAL_SCOPE, TERMINAL_PERMISSIONS };
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { optionalDate, optionalCount } = require('../utils/validation');
+const { priceSale } = require('./pricing');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+/**
+ * discount - unlocks a coupon-only promotion for the sale it is redeemed on
+ * voucher  - holds a balance that is spent like a tender until it runs out
+ */
+const COUPON_TYPES = ['discount', 'voucher'];
+
+// Voucher spend is recorded as sale payments on this method, with the code as the reference
+const VOUCHER_METHOD = 'voucher';
+
+// No 0/O or 1/I, so codes survive being read out at the counter
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+const CODE_PATTERN = /^[A-Z0-9-]{3,50}$/;
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+const generateCode = () => Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+// Why a coupon cannot be redeemed at `now`, or null when it can
+const unusableReason = (coupon, now) => {
+  if (!coupon.isActive) return 'is no longer active';
+  if (coupon.startsAt && now < coupon.startsAt) return 'is not valid yet';
+  if (coupon.expiresAt && now > coupon.expiresAt) return 'has expired';
+  if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) return 'has already been used';
+  if (coupon.type === 'voucher' && new Decimal(coupon.balance).lessThanOrEqualTo(0)) return 'has no balance left';
+  return null;
+};
+
+/**
+ * Look up and check the codes given with a sale. Returns the discount coupons (with the promotion
+ * each unlocks) and the vouchers, in the order given. A code limited per customer, or issued to one
+ * customer, needs the sale's customer.
+ */
+const resolveCoupons = async (couponCodes, { customerId } = {}) => {
+  if (couponCodes === undefined || couponCodes === null) {
+    return { discounts: [], vouchers: [] };
+  }
+
+  if (!Array.isArray(couponCodes) || couponCodes.some(code => typeof code !== 'string' || !code.trim())) {
+    throw httpError(400, 'couponCodes must be an array of codes');
+  }
+
+  const codes = [...new Set(couponCodes.map(normalizeCode))];
+  const coupons = await prisma.coupon.findMany({
+    where: { code: { in: codes } },
+    include: { promotion: true }
+  });
+  const couponsByCode = new Map(coupons.map(coupon => [coupon.code, coupon]));
+  const now = new Date();
+
+  const resolved = [];
+  for (const code of codes) {
+    const coupon = couponsByCode.get(code);
+
+    if (!coupon) {
+      throw httpError(400, `Coupon ${code} not found`);
+    }
+
+    const reason = unusableReason(coupon, now);
+    if (reason) {
+      throw httpError(400, `Coupon ${code} ${reason}`);
+    }
+
+    if (coupon.customerId && coupon.customerId !== customerId) {
+      throw httpError(400, `Coupon ${code} was issued to another customer`);
+    }
+
+    if (coupon.perCustomerLimit !== null) {
+      if (!customerId) {
+        throw httpError(400, `Coupon ${code} can only be redeemed by a known customer`);
+      }
+
+      const used = await prisma.couponRedemption.count({
+        where: { couponId: coupon.id, customerId, reversedAt: null }
+      });
+
+      if (used >= coupon.perCustomerLimit) {
+        throw httpError(400, `Coupon ${code} has already been used the maximum number of times by this customer`);
+      }
+    }
+
+    if (coupon.type === 'discount' && resolved.some(other => other.promotionId === coupon.promotionId)) {
+      throw httpError(400, `Coupon ${code} unlocks the same promotion as another coupon on this sale`);
+    }
+
+    resolved.push(coupon);
+  }
+
+  return {
+    discounts: resolved.filter(coupon => coupon.type === 'discount'),
+    vouchers: resolved.filter(coupon => coupon.type === 'voucher')
+  };
+};
+
+/**
+ * Price a cart with the coupons in `couponCodes`. Each discount coupon must actually take something
+ * off this cart, so a code is never used up for nothing. Returns the pricing, the discount coupons
+ * with the amount each gave, and the vouchers left to spend against the total.
+ */
+const priceWithCoupons = async ({ storeId, items, discountAmount, discountPercent, couponCodes, customerId }) => {
+  const resolved = await resolveCoupons(couponCodes, { customerId });
+
+  // A promotion that is no longer coupon-only already runs for everyone, so its codes are not redeemed
+  const discounts = resolved.discounts.filter(coupon => coupon.promotion.couponOnly);
+  const { vouchers } = resolved;
+
+  const pricing = await priceSale({ items, discountAmount, discountPercent }, {
+    storeId,
+    couponPromotions: discounts.map(coupon => coupon.promotion)
+  });
+
+  return {
+    pricing,
+    discounts: discounts.map((coupon) => {
+      const applied = pricing.promotions.find(promotion => promotion.promotionId === coupon.promotionId);
+
+      if (!applied) {
+        throw httpError(400, `Coupon ${coupon.code} does not apply to this sale`);
+      }
+
+      return { coupon, amount: applied.amount };
+    }),
+    vouchers
+  };
+};
+
+/**
+ * Record coupon uses ({ coupon, amount }) against a sale inside its transaction. A coupon with a
+ * redemption limit is only updated while it has uses left, and a voucher while its balance covers
+ * the amount, so two sales racing for the last use of a code or the same voucher balance cannot
+ * both succeed. Codes without a limit can be redeemed by any number of sales at once.
+ */
+const redeemCoupons = async (client, saleId, customerId, redemptions) => {
+  for (const { coupon, amount } of redemptions) {
+    const isVoucher = coupon.type === 'voucher';
+
+    const { count } = await client.coupon.updateMany({
+      where: {
+        id: coupon.id,
+        ...(coupon.maxRedemptions !== null ? { redemptionCount: { lt: coupon.maxRedemptions } } : {}),
+        ...(isVoucher ? { balance: { gte: amount } } : {})
+      },
+      data: {
+        redemptionCount: { increment: 1 },
+        ...(isVoucher ? { balance: { decrement: amount } } : {})
+      }
+    });
+
+    if (count === 0) {
+      throw httpError(409, `Coupon ${coupon.code} was used up by another sale; try again`);
+    }
+
+    // Counted while the update above holds the coupon's row, so two sales for the same customer
+    // cannot both pass the check made when the code was looked up
+    if (coupon.perCustomerLimit !== null) {
+      const used = await client.couponRedemption.count({
+        where: { couponId: coupon.id, customerId, reversedAt: null }
+      });
+
+      if (used >= coupon.perCustomerLimit) {
+        throw httpError(400, `Coupon ${coupon.code} has already been used the maximum number of times by this customer`);
+      }
+    }
+
+    await client.couponRedemption.create({
+      data: {
+        couponId: coupon.id,
+        saleId,
+        customerId: customerId || null,
+        amount
+      }
+    });
+  }
+};
+
+// Give back the uses of a cancelled sale, and the voucher balance it spent
+const releaseCoupons = async (client, sale) => {
+  const redemptions = await client.couponRedemption.findMany({
+    where: { saleId: sale.id, reversedAt: null },
+    include: { coupon: true }
+  });
+
+  for (const redemption of redemptions) {
+    await client.coupon.update({
+      where: { id: redemption.couponId },
+      data: {
+        redemptionCount: { decrement: 1 },
+        ...(redemption.coupon.type === 'voucher' ? { balance: { increment: redemption.amount } } : {})
+      }
+    });
+
+    await client.couponRedemption.update({
+      where: { id: redemption.id },
+      data: { reversedAt: new Date() }
+    });
+  }
+};
+
+/**
+ * Check a coupon as it would be saved. `existing` is the stored coupon when updating; its code,
+ * type and balance cannot be changed once issued.
+ */
+const buildCouponData = (input, existing = null) => {
+  const merged = { ...existing, ...input };
+  const data = {
+    promotionId: merged.promotionId || null,
+    customerId: merged.customerId || null,
+    maxRedemptions: optionalCount(merged.maxRedemptions, 'maxRedemptions'),
+    perCustomerLimit: optionalCount(merged.perCustomerLimit, 'perCustomerLimit'),
+    startsAt: optionalDate(merged.startsAt, 'startsAt'),
+    expiresAt: optionalDate(merged.expiresAt, 'expiresAt'),
+    isActive: merged.isActive === undefined ? true : Boolean(merged.isActive)
+  };
+
+  if (data.startsAt && data.expiresAt && data.startsAt >= data.expiresAt) {
+    throw httpError(400, 'startsAt must be before expiresAt');
+  }
+
+  if (existing) {
+    if (existing.type === 'voucher') {
+      data.promotionId = null;
+    } else if (!data.promotionId) {
+      throw httpError(400, 'A discount coupon needs a promotionId');
+    }
+    return data;
+  }
+
+  data.code = merged.code ? normalizeCode(merged.code) : generateCode();
+  data.type = merged.type;
+
+  if (!CODE_PATTERN.test(data.code)) {
+    throw httpError(400, 'Coupon codes must be 3 to 50 letters, digits or dashes');
+  }
+
+  if (!COUPON_TYPES.includes(data.type)) {
+    throw httpError(400, `type must be one of: ${COUPON_TYPES.join(', ')}`);
+  }
+
+  if (data.type === 'discount') {
+    if (!data.promotionId) {
+      throw httpError(400, 'A discount coupon needs a promotionId');
+    }
+    return data;
+  }
+
+  let balance;
+  try {
+    balance = roundMoney(merged.balance);
+  } catch (error) {
+    throw httpError(400, 'A voucher needs a balance');
+  }
+
+  if (!balance.isFinite() || balance.lessThanOrEqualTo(0)) {
+    throw httpError(400, 'A voucher balance must be greater than zero');
+  }
+
+  return {
+    ...data,
+    promotionId: null,
+    balance,
+    initialBalance: balance
+  };
+};
+
+module.exports = {
+  COUPON_TYPES,
+  VOUCHER_METHOD,
+  normalizeCode,
+  resolveCoupons,
+  priceWithCoupons,
+  redeemCoupons,
+  releaseCoupons,
+  buildCouponData
+};
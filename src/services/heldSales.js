@@ -0,0 +1,289 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { priceSale, roundMoney } = require('./pricing');
+const {
+  paymentStatusName,
+  planPayments,
+  chargeTenders,
+  voidCharges,
+  toPaymentRow,
+  reverseSalePayments
+} = require('./payments');
+const { findStatusId } = require('./statuses');
+const { transitionSale } = require('./saleStateMachine');
+const { currentShiftId } = require('./openShifts');
+const {
+  DRAFT,
+  HELD,
+  LAYAWAY,
+  COMPLETED,
+  saleInclude,
+  saleItemRows,
+  completeLayawayIfPaid
+} = require('./sales');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+// Share of a layaway's total that must be paid up front
+const LAYAWAY_MIN_DEPOSIT_PERCENT = parseFloat(process.env.LAYAWAY_MIN_DEPOSIT_PERCENT) || 10;
+
+const CANCELLED = 'cancelled';
+
+const cartTotals = (pricing) => ({
+  subtotal: pricing.subtotal,
+  totalAmount: pricing.totalAmount,
+  taxAmount: pricing.taxAmount,
+  discountAmount: pricing.discountAmount
+});
+
+const findSaleInStatus = async (id, statusName, include = {}) => {
+  const sale = await prisma.sale.findUnique({
+    where: { id },
+    include: { saleStatus: true, ...include }
+  });
+
+  if (!sale) {
+    throw httpError(404, 'Sale not found');
+  }
+
+  if (!sale.saleStatus || sale.saleStatus.name !== statusName) {
+    throw httpError(400, `Sale is not ${statusName === HELD ? 'held' : `a ${statusName}`}`);
+  }
+
+  return sale;
+};
+
+// Park a cart: prices are fixed now, but no stock is taken and no payment is recorded
+const holdSale = async ({ userId, storeId, terminalId, customerId, items, discountAmount, discountPercent, notes }) => {
+  const pricing = await priceSale({ items, discountAmount, discountPercent }, { storeId });
+
+  return prisma.$transaction(async (tx) => {
+    const sale = await tx.sale.create({
+      data: {
+        ...cartTotals(pricing),
+        customerId,
+        userId,
+        storeId,
+        terminalId,
+        paymentStatusId: await findStatusId(tx, 'paymentStatus', 'unpaid'),
+        saleStatusId: await findStatusId(tx, 'saleStatus', DRAFT),
+        notes,
+        saleItems: {
+          create: saleItemRows(pricing)
+        }
+      }
+    });
+
+    await transitionSale(tx, sale.id, HELD, { userId });
+
+    return tx.sale.findUnique({ where: { id: sale.id }, include: saleInclude });
+  });
+};
+
+// Bring a held cart back to a register. Sending `items` replaces the cart and re-prices it.
+const resumeHeldSale = async (id, { userId, terminalId, customerId, items, discountAmount, discountPercent, notes }) => {
+  const sale = await findSaleInStatus(id, HELD);
+  const pricing = items ? await priceSale({ items, discountAmount, discountPercent }, { storeId: sale.storeId }) : null;
+
+  return prisma.$transaction(async (tx) => {
+    // Conditional on the status so a cart completed or discarded elsewhere is not revived
+    const { count } = await tx.sale.updateMany({
+      where: { id, saleStatusId: sale.saleStatusId },
+      data: {
+        ...(pricing ? cartTotals(pricing) : {}),
+        userId,
+        terminalId,
+        customerId,
+        notes
+      }
+    });
+
+    if (count === 0) {
+      throw httpError(409, 'Sale is no longer held');
+    }
+
+    if (pricing) {
+      await tx.saleItem.deleteMany({ where: { saleId: id } });
+      await tx.sale.update({
+        where: { id },
+        data: {
+          saleItems: {
+            create: saleItemRows(pricing)
+          }
+        }
+      });
+    }
+
+    return tx.sale.findUnique({ where: { id }, include: saleInclude });
+  });
+};
+
+// Finalize a held cart at its held prices: take the stock, record tenders and credit the customer
+const completeHeldSale = async (id, { userId, payments, paymentMethodId }) => {
+  const sale = await findSaleInStatus(id, HELD);
+
+  const paymentPlan = payments
+    ? await chargeTenders(await planPayments(prisma, payments, sale.totalAmount))
+    : null;
+  const amountPaid = paymentPlan ? paymentPlan.amountPaid : new Decimal(0);
+  const amountPending = paymentPlan ? paymentPlan.amountPending : 0;
+  const tenderMethods = paymentPlan ? [...new Set(paymentPlan.payments.map(p => p.paymentMethodId))] : [];
+
+  try {
+    const completed = await prisma.$transaction(async (tx) => {
+      const shiftId = await currentShiftId(tx, userId, sale.storeId);
+
+      // Takes the stock and credits the customer
+      await transitionSale(tx, id, COMPLETED, {
+        from: HELD,
+        userId,
+        data: {
+          shiftId,
+          amountPaid,
+          paymentMethodId: paymentMethodId || (tenderMethods.length === 1 ? tenderMethods[0] : undefined),
+          paymentStatusId: await findStatusId(tx, 'paymentStatus', paymentStatusName(sale.totalAmount, amountPaid, amountPending))
+        }
+      });
+
+      if (paymentPlan) {
+        await tx.salePayment.createMany({
+          data: paymentPlan.payments.map(payment => ({ ...toPaymentRow(payment), saleId: id, userId, shiftId }))
+        });
+      }
+
+      return tx.sale.findUnique({ where: { id }, include: saleInclude });
+    });
+
+    return {
+      sale: completed,
+      changeDue: paymentPlan ? paymentPlan.changeDue : 0
+    };
+  } catch (error) {
+    if (paymentPlan) {
+      await voidCharges(paymentPlan.payments);
+    }
+    throw error;
+  }
+};
+
+// Throw away a parked cart; nothing was taken from stock so there is nothing to put back
+const discardHeldSale = async (id, { userId }) => {
+  await findSaleInStatus(id, HELD);
+
+  return prisma.$transaction(async (tx) => {
+    await transitionSale(tx, id, CANCELLED, {
+      from: HELD,
+      userId,
+      reason: 'discarded',
+      data: {
+        paymentStatusId: await findStatusId(tx, 'paymentStatus', CANCELLED)
+      }
+    });
+
+    return tx.sale.findUnique({ where: { id }, include: saleInclude });
+  });
+};
+
+/**
+ * Open a layaway: the goods are reserved at today's prices against a deposit, further deposits
+ * go through POST /api/sales/:id/payments and the sale completes when the balance reaches zero.
+ */
+const createLayaway = async ({ userId, storeId, terminalId, customerId, items, discountAmount, discountPercent, payments, paymentMethodId, notes }) => {
+  if (!customerId) {
+    throw httpError(400, 'A customer is required for a layaway');
+  }
+
+  const pricing = await priceSale({ items, discountAmount, discountPercent }, { storeId });
+  const { totalAmount } = pricing;
+
+  const plan = await planPayments(prisma, payments, totalAmount);
+  const minimumDeposit = roundMoney(totalAmount.times(LAYAWAY_MIN_DEPOSIT_PERCENT).dividedBy(100));
+
+  if (plan.amountApplied.lessThan(minimumDeposit)) {
+    throw httpError(400, `A deposit of at least ${minimumDeposit.toFixed(2)} is required`);
+  }
+
+  const paymentPlan = await chargeTenders(plan);
+  const tenderMethods = [...new Set(paymentPlan.payments.map(p => p.paymentMethodId))];
+
+  try {
+    const layaway = await prisma.$transaction(async (tx) => {
+      const shiftId = await currentShiftId(tx, userId, storeId);
+
+      const sale = await tx.sale.create({
+        data: {
+          ...cartTotals(pricing),
+          customerId,
+          userId,
+          storeId,
+          terminalId,
+          shiftId,
+          amountPaid: paymentPlan.amountPaid,
+          paymentMethodId: paymentMethodId || (tenderMethods.length === 1 ? tenderMethods[0] : undefined),
+          paymentStatusId: await findStatusId(tx, 'paymentStatus', paymentStatusName(totalAmount, paymentPlan.amountPaid, paymentPlan.amountPending)),
+          saleStatusId: await findStatusId(tx, 'saleStatus', DRAFT),
+          notes,
+          saleItems: {
+            create: saleItemRows(pricing)
+          },
+          payments: {
+            create: paymentPlan.payments.map(payment => ({ ...toPaymentRow(payment), userId, shiftId }))
+          }
+        }
+      });
+
+      // Reserves the items
+      await transitionSale(tx, sale.id, LAYAWAY, { userId });
+
+      // A deposit covering the whole total completes the sale straight away
+      await completeLayawayIfPaid(tx, sale.id, userId);
+
+      return tx.sale.findUnique({ where: { id: sale.id }, include: saleInclude });
+    });
+
+    return {
+      sale: layaway,
+      changeDue: paymentPlan.changeDue
+    };
+  } catch (error) {
+    await voidCharges(paymentPlan.payments);
+    throw error;
+  }
+};
+
+// Cancel a layaway: the reserved units go back on sale and the deposits are returned
+const cancelLayaway = async (id, { userId, reason }) => {
+  const sale = await findSaleInStatus(id, LAYAWAY, {
+    payments: { include: { paymentMethod: true } }
+  });
+
+  const cancelled = await prisma.$transaction(async (tx) => {
+    // Releases the reservation
+    await transitionSale(tx, id, CANCELLED, {
+      from: LAYAWAY,
+      userId,
+      reason,
+      data: {
+        paymentStatusId: await findStatusId(tx, 'paymentStatus', sale.amountPaid.isZero() ? CANCELLED : 'refunded')
+      }
+    });
+
+    return tx.sale.findUnique({ where: { id }, include: saleInclude });
+  });
+
+  return {
+    sale: cancelled,
+    ...await reverseSalePayments(id, sale.payments)
+  };
+};
+
+module.exports = {
+  LAYAWAY_MIN_DEPOSIT_PERCENT,
+  holdSale,
+  resumeHeldSale,
+  completeHeldSale,
+  discardHeldSale,
+  createLayaway,
+  cancelLayaway
+};
@@ -0,0 +1,109 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+const PIN_MAX_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS) || 5;
+const PIN_LOCKOUT_MINUTES = parseInt(process.env.PIN_LOCKOUT_MINUTES) || 15;
+
+const isAccountLocked = (user) => Boolean(user.lockedUntil && user.lockedUntil > new Date());
+
+// Every LOGIN_MAX_ATTEMPTS consecutive failures lock the account, doubling the lockout each time.
+// The counter is incremented in the database and the lock decided from the count it returns, so
+// parallel wrong guesses each count.
+const registerFailedLogin = async (user) => {
+  const { failedLoginAttempts: attempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true }
+  });
+
+  if (attempts % LOGIN_MAX_ATTEMPTS !== 0) {
+    return null;
+  }
+
+  const lockouts = attempts / LOGIN_MAX_ATTEMPTS;
+  const minutes = Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** (lockouts - 1), LOGIN_LOCKOUT_MAX_MINUTES);
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lockedUntil }
+  });
+
+  return lockedUntil;
+};
+
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil) {
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: 0, lockedUntil: null }
+  });
+};
+
+const isPinLocked = (user) => Boolean(user.pinLockedUntil && user.pinLockedUntil > new Date());
+
+// PINs are short, so PIN_MAX_ATTEMPTS failures lock the PIN (not the account) for a fixed period.
+// Counted in the database like failed logins.
+const registerFailedPin = async (user) => {
+  const { pinFailedAttempts: attempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { pinFailedAttempts: { increment: 1 } },
+    select: { pinFailedAttempts: true }
+  });
+
+  if (attempts < PIN_MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const pinLockedUntil = new Date(Date.now() + PIN_LOCKOUT_MINUTES * 60 * 1000);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { pinFailedAttempts: 0, pinLockedUntil }
+  });
+
+  return pinLockedUntil;
+};
+
+const clearFailedPins = async (user) => {
+  if (user.pinFailedAttempts === 0 && !user.pinLockedUntil) {
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { pinFailedAttempts: 0, pinLockedUntil: null }
+  });
+};
+
+const recordLoginEvent = ({ user, email, terminal, method, success, failureReason, userAgent, ipAddress }) => (
+  prisma.loginEvent.create({
+    data: {
+      userId: user ? user.id : null,
+      email: user ? user.email : email,
+      terminalId: terminal ? terminal.id : null,
+      method,
+      success,
+      failureReason,
+      ipAddress,
+      userAgent
+    }
+  })
+);
+
+module.exports = {
+  isAccountLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+  isPinLocked,
+  registerFailedPin,
+  clearFailedPins,
+  recordLoginEvent
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports implement send({ from, to, subject, text, html }); pick one with MAIL_TRANSPORT
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  },
+
+  // Writes each message as JSON under MAIL_FILE_DIR, handy for local dev and tests
+  file: {
+    send: async (message) => {
+      const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  }
+};
+
+// Both built-in transports leave reset and verification tokens in plain text, so production must
+// name a real provider; the server refuses to start otherwise
+const DEV_TRANSPORTS = ['console', 'file'];
+
+if (process.env.NODE_ENV === 'production' &&
+  (!process.env.MAIL_TRANSPORT || DEV_TRANSPORTS.includes(process.env.MAIL_TRANSPORT))) {
+  throw new Error('MAIL_TRANSPORT must name a real mail provider in production (not console or file)');
+}
+
+// Plug in a real provider (SMTP, SES, ...) without touching callers
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@cpos.local',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, registerTransport };
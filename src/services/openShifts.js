@@ -0,0 +1,18 @@
+// Kept apart from ./shifts so the payment, return and void services can look up the current shift
+// without a circular require.
+
+// The cashier's open shift, if any; takings are counted against it
+const findOpenShift = (client, userId) => client.shift.findFirst({
+  where: { userId, closedAt: null }
+});
+
+/**
+ * The shift that money taken or given back in `storeId` by `userId` belongs to: their open shift
+ * when it is in that store, otherwise none. Call it in the transaction that records the money.
+ */
+const currentShiftId = async (client, userId, storeId) => {
+  const shift = await findOpenShift(client, userId);
+  return shift && shift.storeId === storeId ? shift.id : null;
+};
+
+module.exports = { findOpenShift, currentShiftId };
@@ -0,0 +1,41 @@
+/**
+ * Payment providers (gateways) implement:
+ *   authorize({ amount, currency, token, reference }) -> { status: 'authorized' | 'pending' | 'declined', transactionId, message? }
+ *   capture({ transactionId, amount })                -> { status: 'captured', ... }
+ *   void({ transactionId })                           -> { status: 'voided', ... }
+ *   refund({ transactionId, amount })                 -> { status: 'refunded', ... }
+ *   verifyWebhook({ rawBody, headers })               -> { transactionId, status } or null when the signature is invalid
+ * Amounts are Prisma.Decimal. Providers throw on transport errors and return declines as results.
+ */
+const REQUIRED_METHODS = ['authorize', 'capture', 'void', 'refund', 'verifyWebhook'];
+
+const providers = {};
+
+// The mock sandbox approves any card, so it is never registered in production, and it needs a
+// webhook secret so its webhooks cannot be forged
+if (process.env.NODE_ENV !== 'production') {
+  if (process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    providers.mock = require('./mock');
+  } else {
+    console.warn('MOCK_PAYMENT_WEBHOOK_SECRET is not set; the mock payment provider is disabled');
+  }
+}
+
+// Add a real processor by registering its adapter at startup
+const registerProvider = (name, provider) => {
+  const missing = REQUIRED_METHODS.filter(method => !provider || typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider ${name} must implement: ${missing.join(', ')}`);
+  }
+  providers[name] = provider;
+};
+
+const getProvider = (name) => providers[name] || null;
+
+const listProviders = () => Object.keys(providers);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { httpError } = require('../../utils/httpError');
+
+/**
+ * Sandbox provider for local development and tests. Outcomes are driven by the card token:
+ *   tok_decline -> declined, tok_pending -> pending (settle it with a webhook), tok_error -> throws,
+ *   anything else -> approved.
+ * Webhooks are signed with HMAC-SHA256 of the raw body in the X-Mock-Signature header.
+ */
+// Only registered when the secret is set (see ./index); a well-known default would let anyone
+// forge webhooks that settle payments
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+const transactionId = () => `mock_${crypto.randomBytes(12).toString('hex')}`;
+
+const authorize = async ({ amount, token }) => {
+  if (token === 'tok_error') {
+    throw new Error('Mock provider unavailable');
+  }
+
+  if (token === 'tok_decline') {
+    return { status: 'declined', transactionId: transactionId(), message: 'Card declined' };
+  }
+
+  if (token === 'tok_pending') {
+    return { status: 'pending', transactionId: transactionId(), message: 'Awaiting confirmation' };
+  }
+
+  return { status: 'authorized', transactionId: transactionId(), amount };
+};
+
+const capture = async ({ transactionId: id, amount }) => ({ status: 'captured', transactionId: id, amount });
+
+const voidPayment = async ({ transactionId: id }) => ({ status: 'voided', transactionId: id });
+
+const refund = async ({ transactionId: id, amount }) => ({ status: 'refunded', transactionId: id, amount });
+
+const signWebhook = (rawBody) => crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+
+// Body: { "transactionId": "...", "status": "captured" | "failed" | "voided" | "refunded" }
+const verifyWebhook = async ({ rawBody, headers }) => {
+  const signature = headers['x-mock-signature'];
+  if (!rawBody || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signWebhook(rawBody));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw httpError(400, 'Webhook body must be valid JSON');
+  }
+
+  const { transactionId: id, status } = body || {};
+  return { transactionId: id, status };
+};
+
+module.exports = {
+  authorize,
+  capture,
+  void: voidPayment,
+  refund,
+  verifyWebhook,
+  signWebhook
+};
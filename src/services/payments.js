@@ -0,0 +1,488 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { findStatusId } = require('./statuses');
+const { getProvider } = require('./paymentProviders');
+const { currentShiftId } = require('./openShifts');
+const { HELD, completeLayawayIfPaid } = require('./sales');
+const { VOUCHER_METHOD } = require('./coupons');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+// Only cash can be over-tendered; the excess is handed back as change
+const CASH_METHOD = 'cash';
+const CLOSED_SALE_STATUSES = ['cancelled', 'refunded'];
+const CURRENCY = process.env.CURRENCY || 'USD';
+
+// Provider-driven payment row statuses; only captured payments count towards amountPaid
+const CAPTURED = 'captured';
+const PENDING = 'pending';
+
+// Statuses a webhook may set, each with the statuses it may replace. Late or out-of-order events
+// (a capture arriving after a void, say) are ignored.
+const WEBHOOK_TRANSITIONS = {
+  captured: ['pending', 'authorized'],
+  failed: ['pending', 'authorized', 'captured'],
+  voided: ['pending', 'authorized', 'captured'],
+  refunded: ['captured']
+};
+const WEBHOOK_STATUSES = Object.keys(WEBHOOK_TRANSITIONS);
+
+const paymentStatusName = (totalAmount, amountPaid, amountPending = 0) => {
+  const paid = new Decimal(amountPaid);
+  if (paid.greaterThanOrEqualTo(totalAmount) && !paid.isZero()) return 'paid';
+  if (!paid.isZero()) return 'partial';
+  return new Decimal(amountPending).isZero() ? 'unpaid' : 'pending';
+};
+
+const sumAmounts = (payments, status) => payments
+  .filter(payment => payment.status === status)
+  .reduce((sum, payment) => sum.plus(payment.amount), new Decimal(0));
+
+/**
+ * Validate tenders ({ paymentMethodId, amount, reference?, token? }) against the balance due, in order.
+ * Returns the payment rows to store plus the total applied and change due. No provider is called.
+ */
+const planPayments = async (client, tenders, balanceDue) => {
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    throw httpError(400, 'At least one payment is required');
+  }
+
+  const methodIds = [...new Set(tenders.map(tender => tender.paymentMethodId))];
+  const methods = await client.paymentMethod.findMany({
+    where: { id: { in: methodIds } }
+  });
+  const methodsById = new Map(methods.map(method => [method.id, method]));
+
+  let remaining = new Decimal(balanceDue);
+  let changeDue = new Decimal(0);
+  const payments = [];
+
+  for (const tender of tenders) {
+    const method = methodsById.get(tender.paymentMethodId);
+    if (!method || !method.isActive) {
+      throw httpError(400, `Payment method ${tender.paymentMethodId} is not available`);
+    }
+
+    if (method.name === VOUCHER_METHOD) {
+      throw httpError(400, 'Vouchers are redeemed with couponCodes');
+    }
+
+    if (method.provider && !getProvider(method.provider)) {
+      throw httpError(400, `Payment provider ${method.provider} is not configured`);
+    }
+
+    let amount;
+    try {
+      amount = new Decimal(tender.amount).toDecimalPlaces(2);
+    } catch (error) {
+      throw httpError(400, 'Payment amounts must be numbers');
+    }
+
+    if (!amount.isFinite() || amount.lessThanOrEqualTo(0)) {
+      throw httpError(400, 'Payment amounts must be greater than zero');
+    }
+
+    if (remaining.lessThanOrEqualTo(0)) {
+      throw httpError(400, 'Sale is already fully paid');
+    }
+
+    let applied = amount;
+    let change = new Decimal(0);
+
+    if (amount.greaterThan(remaining)) {
+      if (method.name !== CASH_METHOD) {
+        throw httpError(400, `${method.name} payment exceeds the balance due of ${remaining.toFixed(2)}`);
+      }
+      applied = remaining;
+      change = amount.minus(remaining);
+    }
+
+    payments.push({
+      paymentMethodId: method.id,
+      provider: method.provider,
+      token: tender.token,
+      amount: applied,
+      tendered: amount,
+      changeDue: change,
+      reference: tender.reference,
+      status: CAPTURED,
+      providerTransactionId: null
+    });
+
+    remaining = remaining.minus(applied);
+    changeDue = changeDue.plus(change);
+  }
+
+  return {
+    payments,
+    amountApplied: new Decimal(balanceDue).minus(remaining),
+    changeDue
+  };
+};
+
+/**
+ * Spend voucher balances against the balance due, in the order given and before any other tender.
+ * Returns payment rows shaped like planPayments', each carrying the voucher coupon it draws on.
+ */
+const planVoucherPayments = async (client, vouchers, balanceDue) => {
+  let remaining = new Decimal(balanceDue);
+  const payments = [];
+
+  if (vouchers.length === 0) {
+    return { payments, amountApplied: new Decimal(0) };
+  }
+
+  const method = await client.paymentMethod.findFirst({ where: { name: VOUCHER_METHOD, isActive: true } });
+  if (!method) {
+    throw httpError(400, 'Voucher payments are not enabled');
+  }
+
+  for (const coupon of vouchers) {
+    if (remaining.lessThanOrEqualTo(0)) {
+      throw httpError(400, `Sale is already fully paid before voucher ${coupon.code}`);
+    }
+
+    const amount = Decimal.min(coupon.balance, remaining);
+
+    payments.push({
+      coupon,
+      paymentMethodId: method.id,
+      provider: null,
+      amount,
+      tendered: amount,
+      changeDue: new Decimal(0),
+      reference: coupon.code,
+      status: CAPTURED,
+      providerTransactionId: null
+    });
+
+    remaining = remaining.minus(amount);
+  }
+
+  return {
+    payments,
+    amountApplied: new Decimal(balanceDue).minus(remaining)
+  };
+};
+
+// Best-effort reversal of gateway charges when the rest of a checkout fails
+const voidCharges = async (payments) => {
+  for (const payment of payments) {
+    if (!payment.provider || !payment.providerTransactionId) continue;
+
+    try {
+      await getProvider(payment.provider).void({ transactionId: payment.providerTransactionId });
+    } catch (error) {
+      console.error(`Failed to void ${payment.provider} transaction ${payment.providerTransactionId}:`, error);
+    }
+  }
+};
+
+/**
+ * Authorize and capture every gateway tender in a plan. Declines (402) or provider errors (502)
+ * void whatever was already charged in the same request, so a checkout is all-or-nothing.
+ */
+const chargeTenders = async (plan) => {
+  const charged = [];
+
+  try {
+    for (const payment of plan.payments) {
+      if (!payment.provider) continue;
+
+      const provider = getProvider(payment.provider);
+      const authorization = await provider.authorize({
+        amount: payment.amount,
+        currency: CURRENCY,
+        token: payment.token,
+        reference: payment.reference
+      });
+
+      if (authorization.status === 'declined') {
+        throw httpError(402, `Payment declined: ${authorization.message || 'declined by provider'}`);
+      }
+
+      payment.providerTransactionId = authorization.transactionId;
+      charged.push(payment);
+
+      // Asynchronous methods settle later through the provider's webhook
+      if (authorization.status === PENDING) {
+        payment.status = PENDING;
+        continue;
+      }
+
+      const captureResult = await provider.capture({
+        transactionId: authorization.transactionId,
+        amount: payment.amount
+      });
+      payment.status = captureResult.status;
+    }
+  } catch (error) {
+    await voidCharges(charged);
+
+    if (error.status) {
+      throw error;
+    }
+    console.error('Payment provider error:', error);
+    throw httpError(502, 'Payment provider error');
+  }
+
+  return {
+    ...plan,
+    amountPaid: sumAmounts(plan.payments, CAPTURED),
+    amountPending: sumAmounts(plan.payments, PENDING)
+  };
+};
+
+// Columns stored on sale_payments (drops planning-only fields such as the card token)
+const toPaymentRow = (payment) => ({
+  paymentMethodId: payment.paymentMethodId,
+  amount: payment.amount,
+  tendered: payment.tendered,
+  changeDue: payment.changeDue,
+  reference: payment.reference,
+  status: payment.status,
+  providerTransactionId: payment.providerTransactionId
+});
+
+// Add tenders to an existing sale and re-derive its payment status
+const addPayments = async (saleId, tenders, userId) => {
+  const sale = await prisma.sale.findUnique({
+    where: { id: saleId },
+    include: {
+      saleStatus: true,
+      payments: {
+        where: { status: PENDING },
+        select: { amount: true, status: true }
+      }
+    }
+  });
+
+  if (!sale) {
+    throw httpError(404, 'Sale not found');
+  }
+
+  if (sale.saleStatus && CLOSED_SALE_STATUSES.includes(sale.saleStatus.name)) {
+    throw httpError(400, `Cannot take payments on a ${sale.saleStatus.name} sale`);
+  }
+
+  if (sale.saleStatus && sale.saleStatus.name === HELD) {
+    throw httpError(400, 'Held sales are paid when they are completed');
+  }
+
+  const totalAmount = new Decimal(sale.totalAmount);
+  const pendingBefore = sumAmounts(sale.payments, PENDING);
+  const balanceDue = totalAmount.minus(sale.amountPaid).minus(pendingBefore);
+  const plan = await chargeTenders(await planPayments(prisma, tenders, balanceDue));
+  const amountPaid = new Decimal(sale.amountPaid).plus(plan.amountPaid);
+  const amountPending = pendingBefore.plus(plan.amountPending);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Optimistic check: fails if another payment landed after we read the balance
+      const { count } = await tx.sale.updateMany({
+        where: { id: saleId, amountPaid: sale.amountPaid },
+        data: {
+          amountPaid,
+          paymentStatusId: await findStatusId(tx, 'paymentStatus', paymentStatusName(totalAmount, amountPaid, amountPending))
+        }
+      });
+
+      if (count === 0) {
+        throw httpError(409, 'Sale balance changed; reload the sale and try again');
+      }
+
+      const shiftId = await currentShiftId(tx, userId, sale.storeId);
+
+      await tx.salePayment.createMany({
+        data: plan.payments.map(payment => ({ ...toPaymentRow(payment), saleId, userId, shiftId }))
+      });
+
+      // A layaway's final deposit hands over the reserved goods
+      const layawayCompleted = await completeLayawayIfPaid(tx, saleId, userId);
+
+      return {
+        payments: await tx.salePayment.findMany({
+          where: { saleId },
+          include: { paymentMethod: true },
+          orderBy: { createdAt: 'asc' }
+        }),
+        amountPaid,
+        balanceDue: totalAmount.minus(amountPaid),
+        changeDue: plan.changeDue,
+        layawayCompleted
+      };
+    });
+  } catch (error) {
+    await voidCharges(plan.payments);
+    throw error;
+  }
+};
+
+// Apply an asynchronous status change reported by a provider webhook
+const applyProviderEvent = async (providerName, { transactionId, status }) => {
+  if (!WEBHOOK_STATUSES.includes(status)) {
+    throw httpError(400, `Unsupported payment status: ${status}`);
+  }
+
+  const payment = await prisma.salePayment.findUnique({
+    where: { providerTransactionId: transactionId },
+    include: { paymentMethod: true }
+  });
+
+  if (!payment || payment.paymentMethod.provider !== providerName) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  if (!WEBHOOK_TRANSITIONS[status].includes(payment.status)) {
+    return payment;
+  }
+
+  // Captures add to amountPaid; a captured payment that later fails or is voided comes back off.
+  // Refunds are accounted for by sale returns, so they leave amountPaid alone.
+  let delta = new Decimal(0);
+  if (status === CAPTURED) {
+    delta = new Decimal(payment.amount);
+  } else if (payment.status === CAPTURED && status !== 'refunded') {
+    delta = new Decimal(payment.amount).negated();
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Conditional on the status read, so an event delivered twice at once is applied once
+    const { count } = await tx.salePayment.updateMany({
+      where: { id: payment.id, status: payment.status },
+      data: { status }
+    });
+
+    if (count === 0) {
+      return tx.salePayment.findUnique({ where: { id: payment.id } });
+    }
+
+    const sale = await tx.sale.update({
+      where: { id: payment.saleId },
+      data: { amountPaid: { increment: delta } },
+      include: {
+        payments: {
+          where: { status: PENDING },
+          select: { amount: true, status: true }
+        }
+      }
+    });
+
+    if (status !== 'refunded') {
+      await tx.sale.update({
+        where: { id: sale.id },
+        data: {
+          paymentStatusId: await findStatusId(
+            tx,
+            'paymentStatus',
+            paymentStatusName(sale.totalAmount, sale.amountPaid, sumAmounts(sale.payments, PENDING))
+          )
+        }
+      });
+    }
+
+    if (status === CAPTURED) {
+      await completeLayawayIfPaid(tx, sale.id);
+    }
+
+    return { ...payment, status };
+  });
+};
+
+// Send a refund back through the gateway that took the original payments (oldest first)
+const refundGatewayPayments = async (saleId, paymentMethodId, amount) => {
+  const payments = await prisma.salePayment.findMany({
+    where: {
+      saleId,
+      paymentMethodId,
+      status: CAPTURED,
+      providerTransactionId: { not: null }
+    },
+    include: { paymentMethod: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  let remaining = new Decimal(amount);
+  const results = [];
+
+  for (const payment of payments) {
+    if (remaining.lessThanOrEqualTo(0)) break;
+
+    const refundable = new Decimal(payment.amount).minus(payment.refundedAmount);
+    if (refundable.lessThanOrEqualTo(0)) continue;
+
+    const refundAmount = Decimal.min(refundable, remaining);
+
+    try {
+      const result = await getProvider(payment.paymentMethod.provider).refund({
+        transactionId: payment.providerTransactionId,
+        amount: refundAmount
+      });
+
+      await prisma.salePayment.update({
+        where: { id: payment.id },
+        data: { refundedAmount: { increment: refundAmount } }
+      });
+
+      results.push({ paymentId: payment.id, amount: refundAmount, status: result.status });
+      remaining = remaining.minus(refundAmount);
+    } catch (error) {
+      console.error(`Gateway refund failed for payment ${payment.id}:`, error);
+      results.push({ paymentId: payment.id, amount: refundAmount, status: 'failed', message: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Captured payments taken outside any gateway (cash, checks...) are handed back at the counter.
+// Voucher spend goes back onto the voucher when the sale is cancelled.
+const counterRefundDue = (payments) => sumAmounts(
+  payments.filter(payment => !payment.paymentMethod.provider && payment.paymentMethod.name !== VOUCHER_METHOD),
+  CAPTURED
+);
+
+/**
+ * Hand back everything taken on a sale that is being cancelled. `payments` are the sale's payment
+ * rows with their paymentMethod. Gateway payments are refunded (or voided while still pending)
+ * through their provider; refundDue is what has to be returned at the counter.
+ */
+const reverseSalePayments = async (saleId, payments) => {
+  await voidCharges(payments.filter(payment => payment.status === PENDING).map(payment => ({
+    provider: payment.paymentMethod.provider,
+    providerTransactionId: payment.providerTransactionId
+  })));
+
+  const captured = payments.filter(payment => payment.status === CAPTURED);
+  const gatewayMethodIds = [...new Set(captured.filter(p => p.paymentMethod.provider).map(p => p.paymentMethodId))];
+  const gatewayRefunds = [];
+
+  for (const methodId of gatewayMethodIds) {
+    const amount = captured
+      .filter(payment => payment.paymentMethodId === methodId)
+      .reduce((sum, payment) => sum.plus(payment.amount).minus(payment.refundedAmount), new Decimal(0));
+    gatewayRefunds.push(...await refundGatewayPayments(saleId, methodId, amount));
+  }
+
+  return {
+    gatewayRefunds,
+    refundDue: counterRefundDue(payments)
+  };
+};
+
+module.exports = {
+  CASH_METHOD,
+  CAPTURED,
+  paymentStatusName,
+  planPayments,
+  planVoucherPayments,
+  chargeTenders,
+  voidCharges,
+  toPaymentRow,
+  addPayments,
+  applyProviderEvent,
+  refundGatewayPayments,
+  counterRefundDue,
+  reverseSalePayments
+};
@@ -0,0 +1,177 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { ZERO, roundMoney, allocate } = require('../utils/money');
+const { findActivePromotions, applyPromotions } = require('./promotions');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+// How far, as a percentage of the catalog price, an offline register's price may stray and still stand
+const OFFLINE_PRICE_TOLERANCE_PERCENT = new Decimal(process.env.OFFLINE_PRICE_TOLERANCE_PERCENT || 5);
+
+const toDecimal = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return ZERO;
+  }
+
+  let decimal;
+  try {
+    decimal = new Decimal(value);
+  } catch (error) {
+    throw httpError(400, `${field} must be a number`);
+  }
+
+  if (decimal.isNegative() || !decimal.isFinite()) {
+    throw httpError(400, `${field} must be a non-negative number`);
+  }
+
+  return decimal;
+};
+
+// A discount given either as an amount or as a percentage of `base`
+const resolveDiscount = (base, amount, percent, field) => {
+  const discount = percent !== undefined && percent !== null
+    ? roundMoney(base.times(toDecimal(percent, `${field}Percent`)).dividedBy(100))
+    : roundMoney(toDecimal(amount, field));
+
+  if (discount.greaterThan(base)) {
+    throw httpError(400, `${field} cannot exceed the amount it applies to`);
+  }
+
+  return discount;
+};
+
+const withinTolerance = (price, catalogPrice) => price.minus(catalogPrice).abs()
+  .lessThanOrEqualTo(catalogPrice.times(OFFLINE_PRICE_TOLERANCE_PERCENT).dividedBy(100));
+
+/**
+ * Price a cart from catalog prices, or the store's own price where `storeId` has one. Each item is { productId, quantity, discount?, discountPercent? }.
+ * Running promotions are applied first; a line discount then applies to what the promotions left,
+ * and the order-level discount (discountAmount or discountPercent) is allocated across lines before tax.
+ * With `offline`, the cart was already rung up at a register without a connection: products
+ * deactivated since are still accepted, promotions are not re-evaluated since the register's
+ * discounts stand, and an item's own unitPrice and taxRate are kept when the tax rate matches and
+ * the price is within OFFLINE_PRICE_TOLERANCE_PERCENT of the catalog's, or always with
+ * `priceOverride`. Otherwise the line is priced from the catalog and marked `priceAccepted: false`.
+ * `couponPromotions` are coupon-only promotions unlocked by codes redeemed on the sale; they
+ * compete with the running ones.
+ */
+const priceSale = async ({ items, discountAmount, discountPercent }, { storeId, offline = false, priceOverride = false, couponPromotions = [] } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one item is required');
+  }
+
+  const productIds = [...new Set(items.map(item => item.productId))];
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds } }
+  });
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  const storePrices = storeId
+    ? await prisma.storePrice.findMany({ where: { storeId, productId: { in: productIds } } })
+    : [];
+  const storePricesByProduct = new Map(storePrices.map(storePrice => [storePrice.productId, storePrice.price]));
+
+  const lines = items.map((item) => {
+    const product = productsById.get(item.productId);
+
+    if (!product) {
+      throw httpError(400, `Product ${item.productId} not found`);
+    }
+
+    if (!product.isActive && !offline) {
+      throw httpError(400, `Product ${product.name} is not available for sale`);
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, 'Item quantities must be positive integers');
+    }
+
+    const catalogPrice = new Decimal(storePricesByProduct.get(product.id) || product.price);
+    const catalogTaxRate = new Decimal(product.taxRate);
+    const line = {
+      productId: product.id,
+      categoryId: product.categoryId,
+      name: product.name,
+      location: item.location,
+      quantity,
+      catalogPrice,
+      unitPrice: catalogPrice,
+      taxRate: catalogTaxRate
+    };
+
+    if (offline) {
+      const soldPrice = item.unitPrice !== undefined ? toDecimal(item.unitPrice, 'unitPrice') : catalogPrice;
+      const soldTaxRate = item.taxRate !== undefined ? toDecimal(item.taxRate, 'taxRate') : catalogTaxRate;
+      const priceAccepted = priceOverride || (withinTolerance(soldPrice, catalogPrice) && soldTaxRate.equals(catalogTaxRate));
+
+      Object.assign(line, {
+        productActive: product.isActive,
+        soldPrice,
+        soldTaxRate,
+        priceAccepted,
+        unitPrice: priceAccepted ? soldPrice : catalogPrice,
+        taxRate: priceAccepted ? soldTaxRate : catalogTaxRate
+      });
+    }
+
+    return { ...line, subtotal: roundMoney(line.unitPrice.times(quantity)) };
+  });
+
+  const applied = offline
+    ? lines.map(() => [])
+    : applyPromotions(lines, [...await findActivePromotions(), ...couponPromotions]);
+
+  lines.forEach((line, index) => {
+    line.promotions = applied[index];
+    line.promotionDiscount = applied[index].reduce((sum, promotion) => sum.plus(promotion.amount), ZERO);
+    line.lineDiscount = resolveDiscount(line.subtotal.minus(line.promotionDiscount), items[index].discount, items[index].discountPercent, 'discount');
+  });
+
+  const netOf = line => line.subtotal.minus(line.promotionDiscount).minus(line.lineDiscount);
+  const netBeforeOrderDiscount = lines.reduce((sum, line) => sum.plus(netOf(line)), ZERO);
+  const orderDiscount = resolveDiscount(netBeforeOrderDiscount, discountAmount, discountPercent, 'discountAmount');
+  const shares = allocate(orderDiscount, lines.map(netOf));
+
+  const pricedLines = lines.map((line, index) => {
+    const discount = line.promotionDiscount.plus(line.lineDiscount).plus(shares[index]);
+    const net = line.subtotal.minus(discount);
+    const taxAmount = roundMoney(net.times(line.taxRate).dividedBy(100));
+
+    return {
+      ...line,
+      orderDiscount: shares[index],
+      discount,
+      net,
+      taxAmount,
+      total: net.plus(taxAmount)
+    };
+  });
+
+  const sum = (field) => pricedLines.reduce((total, line) => total.plus(line[field]), ZERO);
+
+  // Each promotion once, with what it took off the whole cart
+  const promotions = new Map();
+  for (const { promotionId, name, amount } of pricedLines.flatMap(line => line.promotions)) {
+    const total = promotions.get(promotionId);
+    promotions.set(promotionId, { promotionId, name, amount: total ? total.amount.plus(amount) : amount });
+  }
+
+  return {
+    items: pricedLines,
+    promotions: [...promotions.values()],
+    subtotal: sum('subtotal'),
+    promotionDiscount: sum('promotionDiscount'),
+    discountAmount: sum('discount'),
+    taxAmount: sum('taxAmount'),
+    totalAmount: sum('total')
+  };
+};
+
+module.exports = {
+  OFFLINE_PRICE_TOLERANCE_PERCENT,
+  roundMoney,
+  allocate,
+  priceSale
+};
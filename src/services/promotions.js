@@ -0,0 +1,328 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { ZERO, roundMoney, allocate } = require('../utils/money');
+const { optionalDate, optionalCount, optionalDecimal } = require('../utils/validation');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+/**
+ * percent_off   - `value` percent off each targeted line, or off the order when nothing is targeted
+ * amount_off    - `value` off each targeted unit, or off the order when nothing is targeted
+ * buy_x_get_y   - for every `buyQuantity` targeted units bought, the next `getQuantity` cheapest are
+ *                 `value` percent off (100 makes them free)
+ * bundle_price  - every `buyQuantity` targeted units together cost `value`
+ */
+const PROMOTION_TYPES = ['percent_off', 'amount_off', 'buy_x_get_y', 'bundle_price'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Date range, days of the week and time of day, in the server's time zone (set TZ for the store's).
+// A time window ending before it starts runs past midnight.
+const isRunning = (promotion, now) => {
+  if (!promotion.isActive) return false;
+  if (promotion.startsAt && now < promotion.startsAt) return false;
+  if (promotion.endsAt && now > promotion.endsAt) return false;
+  if (promotion.daysOfWeek.length > 0 && !promotion.daysOfWeek.includes(now.getDay())) return false;
+
+  if (promotion.startTime && promotion.endTime) {
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const start = minutesOf(promotion.startTime);
+    const end = minutesOf(promotion.endTime);
+
+    return start <= end
+      ? minute >= start && minute < end
+      : minute >= start || minute < end;
+  }
+
+  return true;
+};
+
+// Promotions that may apply at `now`; the finer day and time checks happen in applyPromotions.
+// Coupon-only promotions apply only through a redeemed coupon.
+const findActivePromotions = (now = new Date()) => prisma.promotion.findMany({
+  where: {
+    isActive: true,
+    couponOnly: false,
+    AND: [
+      { OR: [{ startsAt: null }, { startsAt: { lte: now } }] },
+      { OR: [{ endsAt: null }, { endsAt: { gte: now } }] }
+    ]
+  }
+});
+
+const targets = (promotion, line) => {
+  if (promotion.productIds.length === 0 && promotion.categoryIds.length === 0) {
+    return true;
+  }
+
+  return promotion.productIds.includes(line.productId) ||
+    (line.categoryId !== null && promotion.categoryIds.includes(line.categoryId));
+};
+
+// The units of the given lines as one run per line at its remaining unit price, most expensive
+// first. Quantities come from the client, so groups are counted along the runs rather than by
+// listing every unit.
+const runsOf = (lines) => lines
+  .map((line, index) => ({ index, price: line.remaining.dividedBy(line.quantity), count: line.quantity }))
+  .sort((a, b) => b.price.comparedTo(a.price) || a.index - b.index);
+
+// Discount per line for one promotion, before capping at what is left of each line
+const discountsFor = (promotion, lines) => {
+  const value = new Decimal(promotion.value);
+  const wholeOrder = promotion.productIds.length === 0 && promotion.categoryIds.length === 0;
+  const discounts = lines.map(() => ZERO);
+
+  switch (promotion.type) {
+    case 'percent_off':
+      return lines.map(line => roundMoney(line.remaining.times(value).dividedBy(100)));
+
+    case 'amount_off': {
+      if (wholeOrder) {
+        const remaining = lines.reduce((sum, line) => sum.plus(line.remaining), ZERO);
+        return allocate(Decimal.min(value, remaining), lines.map(line => line.remaining));
+      }
+      return lines.map(line => value.times(line.quantity));
+    }
+
+    case 'buy_x_get_y': {
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const runs = runsOf(lines);
+      const units = runs.reduce((sum, run) => sum + run.count, 0);
+      const grouped = units - (units % groupSize);
+
+      // Within each full group the cheapest units are the discounted ones: how many of the first
+      // `position` units, most expensive first, that makes
+      const discountedBefore = (position) => {
+        const counted = Math.min(position, grouped);
+        return Math.floor(counted / groupSize) * promotion.getQuantity +
+          Math.max(0, (counted % groupSize) - promotion.buyQuantity);
+      };
+
+      let position = 0;
+      for (const run of runs) {
+        const discounted = discountedBefore(position + run.count) - discountedBefore(position);
+        discounts[run.index] = discounts[run.index].plus(run.price.times(discounted).times(value).dividedBy(100));
+        position += run.count;
+      }
+      return discounts.map(roundMoney);
+    }
+
+    case 'bundle_price': {
+      const size = promotion.buyQuantity;
+
+      // A bundle's parts are { index, price, count }; the saving is shared by what each part costs
+      const settle = (parts) => {
+        const gross = parts.reduce((sum, part) => sum.plus(part.price.times(part.count)), ZERO);
+
+        if (gross.greaterThan(value)) {
+          const shares = allocate(roundMoney(gross.minus(value)), parts.map(part => part.price.times(part.count)));
+          parts.forEach((part, position) => {
+            discounts[part.index] = discounts[part.index].plus(shares[position]);
+          });
+        }
+      };
+
+      let open = [];
+      let openCount = 0;
+
+      for (const run of runsOf(lines)) {
+        let count = run.count;
+
+        // Finish a bundle started by pricier lines
+        if (openCount > 0) {
+          const taken = Math.min(count, size - openCount);
+          open.push({ ...run, count: taken });
+          openCount += taken;
+          count -= taken;
+
+          if (openCount === size) {
+            settle(open);
+            open = [];
+            openCount = 0;
+          }
+        }
+
+        // Bundles made up of this line alone all save the same
+        const bundles = Math.floor(count / size);
+        if (bundles > 0) {
+          const gross = run.price.times(size);
+
+          if (gross.greaterThan(value)) {
+            discounts[run.index] = discounts[run.index].plus(roundMoney(gross.minus(value)).times(bundles));
+          }
+          count -= bundles * size;
+        }
+
+        if (count > 0) {
+          open = [{ ...run, count }];
+          openCount = count;
+        }
+      }
+      return discounts;
+    }
+
+    default:
+      return discounts;
+  }
+};
+
+/**
+ * Work out the promotion discounts for priced lines ({ productId, categoryId, quantity, subtotal }).
+ * Promotions run from the highest priority down, each on what earlier ones left of a line. A line
+ * takes any number of stackable promotions, or a single one that is not stackable. Returns, for
+ * each line, the promotions applied to it with their amounts.
+ */
+const applyPromotions = (lines, promotions, now = new Date()) => {
+  const cartSubtotal = lines.reduce((sum, line) => sum.plus(line.subtotal), ZERO);
+  const state = lines.map(line => ({ applied: [], remaining: line.subtotal, locked: false }));
+
+  const ordered = promotions
+    .filter(promotion => isRunning(promotion, now))
+    .sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt);
+
+  for (const promotion of ordered) {
+    if (promotion.minSubtotal !== null && cartSubtotal.lessThan(promotion.minSubtotal)) continue;
+
+    const eligible = lines
+      .map((line, index) => index)
+      .filter(index => (
+        targets(promotion, lines[index]) &&
+        !state[index].locked &&
+        (promotion.stackable || state[index].applied.length === 0) &&
+        state[index].remaining.greaterThan(0)
+      ));
+
+    if (eligible.length === 0) continue;
+
+    const discounts = discountsFor(promotion, eligible.map(index => ({
+      ...lines[index],
+      remaining: state[index].remaining
+    })));
+
+    eligible.forEach((index, position) => {
+      const amount = Decimal.min(discounts[position], state[index].remaining);
+
+      if (amount.greaterThan(0)) {
+        state[index].applied.push({ promotionId: promotion.id, name: promotion.name, amount });
+        state[index].remaining = state[index].remaining.minus(amount);
+        state[index].locked = !promotion.stackable;
+      }
+    });
+  }
+
+  return state.map(line => line.applied);
+};
+
+const idList = (value, field) => {
+  if (value === undefined || value === null) return [];
+
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string')) {
+    throw httpError(400, `${field} must be an array of IDs`);
+  }
+
+  return [...new Set(value)];
+};
+
+/**
+ * Check a promotion as it would be saved. `existing` is the stored promotion when updating,
+ * so a partial update is validated together with the fields it leaves unchanged.
+ */
+const buildPromotionData = (input, existing = {}) => {
+  const merged = { ...existing, ...input };
+  const data = {
+    name: merged.name,
+    description: merged.description,
+    type: merged.type,
+    value: optionalDecimal(merged.value, 'value'),
+    buyQuantity: optionalCount(merged.buyQuantity, 'buyQuantity'),
+    getQuantity: optionalCount(merged.getQuantity, 'getQuantity'),
+    productIds: idList(merged.productIds, 'productIds'),
+    categoryIds: idList(merged.categoryIds, 'categoryIds'),
+    minSubtotal: optionalDecimal(merged.minSubtotal, 'minSubtotal'),
+    startsAt: optionalDate(merged.startsAt, 'startsAt'),
+    endsAt: optionalDate(merged.endsAt, 'endsAt'),
+    daysOfWeek: merged.daysOfWeek || [],
+    startTime: merged.startTime || null,
+    endTime: merged.endTime || null,
+    priority: merged.priority === undefined ? 0 : merged.priority,
+    stackable: Boolean(merged.stackable),
+    couponOnly: Boolean(merged.couponOnly),
+    isActive: merged.isActive === undefined ? true : Boolean(merged.isActive)
+  };
+
+  if (!data.name) {
+    throw httpError(400, 'Promotion name is required');
+  }
+
+  if (!PROMOTION_TYPES.includes(data.type)) {
+    throw httpError(400, `type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+
+  if (data.type === 'buy_x_get_y' && data.value === null) {
+    data.value = new Decimal(100);
+  }
+
+  if (data.value === null) {
+    throw httpError(400, 'value is required');
+  }
+
+  if (['percent_off', 'buy_x_get_y'].includes(data.type) && data.value.greaterThan(100)) {
+    throw httpError(400, 'A percentage cannot exceed 100');
+  }
+
+  if (data.type === 'buy_x_get_y' && (!data.buyQuantity || !data.getQuantity)) {
+    throw httpError(400, 'buyQuantity and getQuantity are required for buy_x_get_y');
+  }
+
+  if (data.type === 'bundle_price') {
+    if (!data.buyQuantity || data.buyQuantity < 2) {
+      throw httpError(400, 'A bundle needs a buyQuantity of at least 2');
+    }
+
+    if (data.productIds.length === 0 && data.categoryIds.length === 0) {
+      throw httpError(400, 'A bundle must target products or categories');
+    }
+  }
+
+  if (!['buy_x_get_y', 'bundle_price'].includes(data.type)) {
+    data.buyQuantity = null;
+    data.getQuantity = null;
+  }
+
+  if (data.startsAt && data.endsAt && data.startsAt >= data.endsAt) {
+    throw httpError(400, 'startsAt must be before endsAt');
+  }
+
+  if (!Array.isArray(data.daysOfWeek) || data.daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw httpError(400, 'daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)');
+  }
+  data.daysOfWeek = [...new Set(data.daysOfWeek)].sort();
+
+  if (Boolean(data.startTime) !== Boolean(data.endTime)) {
+    throw httpError(400, 'startTime and endTime must be given together');
+  }
+
+  if (data.startTime && !(TIME_PATTERN.test(data.startTime) && TIME_PATTERN.test(data.endTime))) {
+    throw httpError(400, 'startTime and endTime must be HH:MM');
+  }
+
+  if (!Number.isInteger(data.priority)) {
+    throw httpError(400, 'priority must be an integer');
+  }
+
+  return data;
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  isRunning,
+  findActivePromotions,
+  applyPromotions,
+  buildPromotionData
+};
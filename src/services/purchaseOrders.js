@@ -0,0 +1,355 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+const { optionalDate } = require('../utils/validation');
+const { DEFAULT_LOCATION, moveStock } = require('./stock');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+/**
+ * draft              - being prepared; lines may still change
+ * sent               - placed with the supplier; waiting for the goods
+ * partially_received - some goods booked in, more expected
+ * closed             - every line received in full, or closed short by hand
+ * cancelled          - withdrawn before anything was received
+ */
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'closed', 'cancelled'];
+
+/**
+ * How receiving sets `Product.cost`:
+ * average - weighted average of the stock on hand across every store and the units received
+ * last    - the unit cost of the latest delivery
+ */
+const COST_METHODS = ['average', 'last'];
+const COST_METHOD = COST_METHODS.includes(process.env.PRODUCT_COST_METHOD) ? process.env.PRODUCT_COST_METHOD : 'average';
+
+// Ledger references for movements made by receiving
+const REFERENCE_TYPE = 'goods_receipt';
+
+const purchaseOrderInclude = {
+  supplier: { select: { id: true, code: true, name: true } },
+  store: { select: { id: true, code: true, name: true } },
+  items: {
+    include: {
+      product: { select: { id: true, name: true, sku: true } }
+    }
+  }
+};
+
+const findPurchaseOrder = (client, id) => client.purchaseOrder.findUnique({
+  where: { id },
+  include: purchaseOrderInclude
+});
+
+/**
+ * Lines where the delivery differs from the order: `over` units arrived beyond what was ordered,
+ * `short` units never arrived on an order that has been closed.
+ */
+const orderDiscrepancies = (order) => order.items
+  .map(item => ({
+    productId: item.productId,
+    ordered: item.quantity,
+    received: item.quantityReceived,
+    short: order.status === 'closed' ? Math.max(item.quantity - item.quantityReceived, 0) : 0,
+    over: Math.max(item.quantityReceived - item.quantity, 0)
+  }))
+  .filter(line => line.short > 0 || line.over > 0);
+
+// Move an order to status `to`, only if nothing else moved it since it was read
+const advanceOrder = async (client, order, to, data = {}) => {
+  const { count } = await client.purchaseOrder.updateMany({
+    where: { id: order.id, status: order.status },
+    data: { status: to, ...data }
+  });
+
+  if (count === 0) {
+    throw httpError(409, 'Purchase order was changed by another request');
+  }
+};
+
+const requireStatus = (order, ...statuses) => {
+  if (!statuses.includes(order.status)) {
+    throw httpError(400, `Purchase order is ${order.status.replace('_', ' ')}`);
+  }
+};
+
+const parseUnitCost = (value) => {
+  const cost = Number(value);
+
+  if (value === null || value === '' || !Number.isFinite(cost) || cost < 0) {
+    throw httpError(400, 'unitCost must be a non-negative amount');
+  }
+
+  return roundMoney(cost);
+};
+
+/**
+ * Check order lines ({ productId, quantity, unitCost }) and price them. A line without a unitCost
+ * is ordered at the product's current cost.
+ */
+const buildOrderItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one item is required');
+  }
+
+  if (items.some(item => !item || typeof item.productId !== 'string' || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+    throw httpError(400, 'Each item needs a productId and a positive integer quantity');
+  }
+
+  const productIds = items.map(item => item.productId);
+
+  if (new Set(productIds).size !== productIds.length) {
+    throw httpError(400, 'Each product may appear only once on a purchase order');
+  }
+
+  const products = await prisma.product.findMany({ where: { id: { in: productIds }, isActive: true } });
+  const costs = new Map(products.map(product => [product.id, product.cost]));
+
+  if (products.length !== productIds.length) {
+    throw httpError(400, 'One or more products not found');
+  }
+
+  return items.map(item => ({
+    productId: item.productId,
+    quantity: item.quantity,
+    unitCost: item.unitCost === undefined ? costs.get(item.productId) : parseUnitCost(item.unitCost)
+  }));
+};
+
+const createPurchaseOrder = async ({ userId, supplierId, storeId, location, expectedAt, notes, items }) => {
+  if (!supplierId) {
+    throw httpError(400, 'supplierId is required');
+  }
+
+  const supplier = await prisma.supplier.findUnique({ where: { id: supplierId } });
+
+  if (!supplier || !supplier.isActive) {
+    throw httpError(400, 'Supplier not found');
+  }
+
+  const lines = await buildOrderItems(items);
+
+  return prisma.purchaseOrder.create({
+    data: {
+      supplierId,
+      storeId,
+      location: location || DEFAULT_LOCATION,
+      expectedAt: optionalDate(expectedAt, 'expectedAt'),
+      notes,
+      createdById: userId,
+      items: { create: lines }
+    },
+    include: purchaseOrderInclude
+  });
+};
+
+// Change a draft; `items`, when given, replaces every line
+const updatePurchaseOrder = async (order, { location, expectedAt, notes, items }) => {
+  requireStatus(order, 'draft');
+
+  const lines = items === undefined ? null : await buildOrderItems(items);
+
+  return prisma.$transaction(async (tx) => {
+    await advanceOrder(tx, order, 'draft', {
+      location: location === undefined ? undefined : location || DEFAULT_LOCATION,
+      expectedAt: expectedAt === undefined ? undefined : optionalDate(expectedAt, 'expectedAt'),
+      notes
+    });
+
+    if (lines) {
+      await tx.purchaseOrderItem.deleteMany({ where: { purchaseOrderId: order.id } });
+      await tx.purchaseOrderItem.createMany({
+        data: lines.map(line => ({ ...line, purchaseOrderId: order.id }))
+      });
+    }
+
+    return findPurchaseOrder(tx, order.id);
+  });
+};
+
+// Place a draft with the supplier; its lines are fixed from now on
+const sendPurchaseOrder = async (order, { userId }) => {
+  requireStatus(order, 'draft');
+
+  await advanceOrder(prisma, order, 'sent', {
+    sentById: userId,
+    sentAt: new Date()
+  });
+
+  return findPurchaseOrder(prisma, order.id);
+};
+
+/**
+ * Set a product's cost after `quantity` units arrive at `unitCost`. Runs before the units are
+ * stocked, so the average weighs them against the stock already on hand. Stock below zero counts
+ * as none.
+ */
+const updateProductCost = async (client, productId, quantity, unitCost) => {
+  let cost = unitCost;
+
+  if (COST_METHOD === 'average') {
+    const [product, stock] = await Promise.all([
+      client.product.findUnique({ where: { id: productId } }),
+      client.inventory.aggregate({ where: { productId }, _sum: { quantity: true } })
+    ]);
+    const onHand = Math.max(stock._sum.quantity || 0, 0);
+
+    cost = roundMoney(new Decimal(product.cost).times(onHand)
+      .plus(new Decimal(unitCost).times(quantity))
+      .dividedBy(onHand + quantity));
+  }
+
+  await client.product.update({
+    where: { id: productId },
+    data: { cost }
+  });
+};
+
+/**
+ * Book a delivery into the order's store location. `items` lists what arrived per product
+ * ({ productId, quantity, unitCost }); a line without a unitCost arrived at the ordered cost. Units
+ * beyond what was ordered are accepted and reported as over-delivered. The order closes once every
+ * line is received in full.
+ */
+const receivePurchaseOrder = async (order, { userId, items, notes }) => {
+  requireStatus(order, 'sent', 'partially_received');
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one item is required');
+  }
+
+  const lines = new Map(order.items.map(item => [item.productId, item]));
+  const received = new Map();
+
+  for (const line of items) {
+    if (!line || !lines.has(line.productId)) {
+      throw httpError(400, 'items lists a product that is not on this purchase order');
+    }
+
+    if (received.has(line.productId)) {
+      throw httpError(400, 'Each product may appear only once on a delivery');
+    }
+
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      throw httpError(400, 'Each item needs a positive integer quantity');
+    }
+
+    const item = lines.get(line.productId);
+
+    received.set(line.productId, {
+      item,
+      quantity: line.quantity,
+      unitCost: line.unitCost === undefined ? item.unitCost : parseUnitCost(line.unitCost)
+    });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await advanceOrder(tx, order, 'partially_received');
+
+    const receipt = await tx.goodsReceipt.create({
+      data: {
+        purchaseOrderId: order.id,
+        receivedById: userId,
+        notes
+      }
+    });
+
+    for (const { item, quantity, unitCost } of received.values()) {
+      // Guard against a concurrent receipt of the same line
+      const { count } = await tx.purchaseOrderItem.updateMany({
+        where: { id: item.id, quantityReceived: item.quantityReceived },
+        data: { quantityReceived: { increment: quantity } }
+      });
+
+      if (count === 0) {
+        throw httpError(409, 'Purchase order was received concurrently; reload it and try again');
+      }
+
+      await tx.goodsReceiptItem.create({
+        data: {
+          receiptId: receipt.id,
+          purchaseOrderItemId: item.id,
+          productId: item.productId,
+          quantity,
+          unitCost
+        }
+      });
+
+      await updateProductCost(tx, item.productId, quantity, unitCost);
+
+      await moveStock(tx, {
+        storeId: order.storeId,
+        productId: item.productId,
+        location: order.location,
+        change: quantity,
+        type: 'receipt',
+        referenceType: REFERENCE_TYPE,
+        referenceId: receipt.id,
+        userId
+      });
+    }
+
+    const orderItems = await tx.purchaseOrderItem.findMany({ where: { purchaseOrderId: order.id } });
+
+    if (orderItems.every(item => item.quantityReceived >= item.quantity)) {
+      await tx.purchaseOrder.update({
+        where: { id: order.id },
+        data: {
+          status: 'closed',
+          closedById: userId,
+          closedAt: new Date()
+        }
+      });
+    }
+
+    return {
+      order: await findPurchaseOrder(tx, order.id),
+      receipt: await tx.goodsReceipt.findUnique({
+        where: { id: receipt.id },
+        include: { items: true }
+      })
+    };
+  });
+};
+
+const appendNote = (notes, label, reason) => (reason ? [notes, `${label}: ${reason}`].filter(Boolean).join('\n') : notes);
+
+// Stop waiting for the rest of a partly received order; what never arrived is reported as short
+const closePurchaseOrder = async (order, { userId, reason }) => {
+  requireStatus(order, 'partially_received');
+
+  await advanceOrder(prisma, order, 'closed', {
+    closedById: userId,
+    closedAt: new Date(),
+    notes: appendNote(order.notes, 'Closed short', reason)
+  });
+
+  return findPurchaseOrder(prisma, order.id);
+};
+
+// Withdraw an order before anything was received
+const cancelPurchaseOrder = async (order, { userId, reason }) => {
+  requireStatus(order, 'draft', 'sent');
+
+  await advanceOrder(prisma, order, 'cancelled', {
+    closedById: userId,
+    closedAt: new Date(),
+    notes: appendNote(order.notes, 'Cancelled', reason)
+  });
+
+  return findPurchaseOrder(prisma, order.id);
+};
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  purchaseOrderInclude,
+  findPurchaseOrder,
+  orderDiscrepancies,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder
+};
@@ -0,0 +1,311 @@
+const { Prisma } = require('@prisma/client');
+
+const { Decimal } = Prisma;
+
+// Receipt template settings; header and footer lines are separated by "\n" (or a literal \n in .env)
+const splitLines = (value) => (value ? value.split(/\\n|\n/) : []);
+
+const RECEIPT_CONFIG = {
+  storeName: process.env.RECEIPT_STORE_NAME || 'CPOS',
+  header: splitLines(process.env.RECEIPT_HEADER),
+  footer: splitLines(process.env.RECEIPT_FOOTER || 'Thank you for shopping with us!'),
+  width: parseInt(process.env.RECEIPT_WIDTH) || 42
+};
+
+const RECEIPT_FORMATS = ['text', 'html', 'escpos', 'pdf'];
+
+const formatMoney = (amount) => new Decimal(amount).toFixed(2);
+
+const formatDate = (date) => date.toISOString().slice(0, 16).replace('T', ' ');
+
+const personName = (person) => [person.firstName, person.lastName].filter(Boolean).join(' ') || person.email;
+
+// Blocks are the format-neutral receipt: { text, align, bold, large }, { left, right, bold } rows,
+// and { rule: true } separators. Each renderer below lays them out for its medium.
+const text = (value, options = {}) => ({ text: String(value), ...options });
+const row = (left, right, options = {}) => ({ left: String(left), right: String(right), ...options });
+const RULE = { rule: true };
+
+/**
+ * Build the receipt for a sale loaded with customer, user, terminal, saleStatus, saleItems.product
+ * and payments.paymentMethod. `printNumber` is 1 for the original and counts up for reprints.
+ */
+const buildReceipt = (sale, { printNumber = 1, config = RECEIPT_CONFIG } = {}) => {
+  const blocks = [
+    text(config.storeName, { align: 'center', bold: true, large: true }),
+    ...config.header.map(line => text(line, { align: 'center' })),
+    RULE
+  ];
+
+  if (sale.saleStatus && sale.saleStatus.name === 'cancelled') {
+    blocks.push(text('*** VOID ***', { align: 'center', bold: true, large: true }));
+  }
+
+  if (printNumber > 1) {
+    blocks.push(text(`REPRINT #${printNumber - 1}`, { align: 'center', bold: true }));
+  }
+
+  blocks.push(
+    row('Sale', sale.id.slice(0, 8).toUpperCase()),
+    row('Date', formatDate(sale.createdAt)),
+    row('Cashier', personName(sale.user))
+  );
+
+  if (sale.terminal) blocks.push(row('Register', sale.terminal.name));
+  if (sale.customer) blocks.push(row('Customer', personName(sale.customer)));
+
+  blocks.push(RULE);
+
+  for (const item of sale.saleItems) {
+    const gross = new Decimal(item.unitPrice).times(item.quantity);
+
+    blocks.push(text(item.product.name));
+    blocks.push(row(`  ${item.quantity} @ ${formatMoney(item.unitPrice)}`, formatMoney(gross)));
+
+    // Promotions by name, then whatever the cashier took off
+    let otherDiscount = new Decimal(item.discount);
+    for (const applied of item.promotions || []) {
+      blocks.push(row(`  ${applied.promotion.name}`, `-${formatMoney(applied.amount)}`));
+      otherDiscount = otherDiscount.minus(applied.amount);
+    }
+
+    if (!otherDiscount.isZero()) {
+      blocks.push(row('  Discount', `-${formatMoney(otherDiscount)}`));
+    }
+  }
+
+  blocks.push(RULE, row('Subtotal', formatMoney(sale.subtotal)));
+
+  if (!new Decimal(sale.discountAmount).isZero()) {
+    blocks.push(row('Discount', `-${formatMoney(sale.discountAmount)}`));
+  }
+
+  // Tax per rate, on the net amount of the lines charged at that rate
+  const taxByRate = new Map();
+  for (const item of sale.saleItems) {
+    const key = new Decimal(item.taxRate).toString();
+    const entry = taxByRate.get(key) || { net: new Decimal(0), tax: new Decimal(0) };
+    taxByRate.set(key, { net: entry.net.plus(item.totalPrice), tax: entry.tax.plus(item.taxAmount) });
+  }
+
+  for (const [rate, { net, tax }] of taxByRate) {
+    if (!tax.isZero()) {
+      blocks.push(row(`Tax ${rate}% on ${formatMoney(net)}`, formatMoney(tax)));
+    }
+  }
+
+  blocks.push(row('TOTAL', formatMoney(sale.totalAmount), { bold: true }), RULE);
+
+  for (const payment of sale.payments) {
+    blocks.push(row(payment.paymentMethod.name, formatMoney(payment.amount)));
+
+    if (!new Decimal(payment.changeDue).isZero()) {
+      blocks.push(row('  Tendered', formatMoney(payment.tendered)));
+      blocks.push(row('  Change', formatMoney(payment.changeDue)));
+    }
+  }
+
+  const balanceDue = new Decimal(sale.totalAmount).minus(sale.amountPaid);
+  if (balanceDue.greaterThan(0)) {
+    blocks.push(row('Balance due', formatMoney(balanceDue), { bold: true }));
+  }
+
+  if (sale.customer) {
+    blocks.push(
+      RULE,
+      row('Points earned', new Decimal(sale.totalAmount).dividedBy(10).floor().toString()),
+      row('Points balance', sale.customer.loyaltyPoints)
+    );
+  }
+
+  blocks.push(RULE, ...config.footer.map(line => text(line, { align: 'center' })));
+
+  return blocks;
+};
+
+// Break text into lines of at most `width` characters
+const wrap = (value, width) => {
+  const lines = [];
+  for (let start = 0; start < value.length; start += width) {
+    lines.push(value.slice(start, start + width));
+  }
+  return lines.length > 0 ? lines : [''];
+};
+
+// Fixed-width lines shared by the text and PDF renderers
+const layoutLines = (blocks, width) => blocks.flatMap((block) => {
+  if (block.rule) {
+    return [{ text: '-'.repeat(width) }];
+  }
+
+  if (block.left !== undefined) {
+    const right = block.right.slice(0, width);
+    const left = block.left.slice(0, Math.max(width - right.length - 1, 0));
+    return [{ text: left + ' '.repeat(width - left.length - right.length) + right, bold: block.bold }];
+  }
+
+  return wrap(block.text, width).map((line) => {
+    const padding = block.align === 'center' ? Math.floor((width - line.length) / 2) : 0;
+    return { text: ' '.repeat(padding) + line, bold: block.bold };
+  });
+});
+
+const renderText = (blocks, width = RECEIPT_CONFIG.width) => (
+  layoutLines(blocks, width).map(line => line.text.trimEnd()).join('\n') + '\n'
+);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderHtml = (blocks, { title = 'Receipt', width = RECEIPT_CONFIG.width } = {}) => {
+  const body = blocks.map((block) => {
+    if (block.rule) {
+      return '<hr>';
+    }
+
+    const classes = [block.align === 'center' && 'center', block.bold && 'bold', block.large && 'large'].filter(Boolean);
+    const attributes = classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+
+    if (block.left !== undefined) {
+      return `<div class="row${classes.length > 0 ? ` ${classes.join(' ')}` : ''}"><span>${escapeHtml(block.left)}</span><span>${escapeHtml(block.right)}</span></div>`;
+    }
+
+    return `<div${attributes}>${escapeHtml(block.text)}</div>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>',
+    `body { font-family: monospace; max-width: ${width}ch; margin: 1em auto; }`,
+    'div { white-space: pre-wrap; }',
+    '.row { display: flex; justify-content: space-between; }',
+    '.center { text-align: center; }',
+    '.bold { font-weight: bold; }',
+    '.large { font-size: 1.4em; }',
+    'hr { border: 0; border-top: 1px dashed #000; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+};
+
+// Printers take single-byte text; anything outside printable ASCII is replaced
+const toPrinterText = (value) => String(value).replace(/[^\x20-\x7e]/g, '?');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+/**
+ * ESC/POS bytes for an 80mm thermal printer: initialize, print, feed and partial cut.
+ * Large text uses double width, so it gets half the line.
+ */
+const renderEscPos = (blocks, width = RECEIPT_CONFIG.width) => {
+  const bytes = [ESC, 0x40];
+
+  for (const block of blocks) {
+    const large = Boolean(block.large);
+    const lineWidth = large ? Math.floor(width / 2) : width;
+
+    bytes.push(ESC, 0x61, block.align === 'center' ? 1 : 0); // justification
+    bytes.push(ESC, 0x45, block.bold ? 1 : 0); // emphasis
+    bytes.push(GS, 0x21, large ? 0x11 : 0x00); // character size
+
+    let lines;
+    if (block.rule) {
+      lines = ['-'.repeat(width)];
+    } else if (block.left !== undefined) {
+      lines = layoutLines([block], lineWidth).map(line => line.text);
+    } else {
+      lines = wrap(block.text, lineWidth);
+    }
+
+    for (const line of lines) {
+      bytes.push(...Buffer.from(toPrinterText(line), 'latin1'), LF);
+    }
+  }
+
+  bytes.push(ESC, 0x45, 0, GS, 0x21, 0x00, ESC, 0x61, 0);
+  bytes.push(ESC, 0x64, 4); // feed 4 lines
+  bytes.push(GS, 0x56, 0x42, 0x00); // feed to cutter and partial cut
+
+  return Buffer.from(bytes);
+};
+
+const escapePdfText = (value) => toPrinterText(value).replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Single-page PDF sized like a receipt roll, set in the built-in Courier fonts so no font
+ * files are embedded.
+ */
+const renderPdf = (blocks, width = RECEIPT_CONFIG.width) => {
+  const fontSize = 9;
+  const leading = 11;
+  const margin = 12;
+  const lines = layoutLines(blocks, width);
+  const pageWidth = Math.ceil(width * fontSize * 0.6 + margin * 2);
+  const pageHeight = lines.length * leading + margin * 2;
+
+  const content = [
+    'BT',
+    `${leading} TL`,
+    `${margin} ${pageHeight - margin - fontSize} Td`,
+    ...lines.map(line => `/${line.bold ? 'F2' : 'F1'} ${fontSize} Tf (${escapePdfText(line.text)}) Tj T*`),
+    'ET'
+  ].join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+// Render a receipt as { contentType, body } for the requested format
+const renderReceipt = (blocks, format, { title } = {}) => {
+  switch (format) {
+    case 'html':
+      return { contentType: 'text/html; charset=utf-8', body: renderHtml(blocks, { title }) };
+    case 'escpos':
+      return { contentType: 'application/octet-stream', body: renderEscPos(blocks) };
+    case 'pdf':
+      return { contentType: 'application/pdf', body: renderPdf(blocks) };
+    default:
+      return { contentType: 'text/plain; charset=utf-8', body: renderText(blocks) };
+  }
+};
+
+module.exports = {
+  RECEIPT_CONFIG,
+  RECEIPT_FORMATS,
+  buildReceipt,
+  renderReceipt
+};
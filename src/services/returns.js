@@ -0,0 +1,325 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { allocate } = require('../utils/money');
+const { restockInventory } = require('./stock');
+const { findStatusId } = require('./statuses');
+const { transitionSale } = require('./saleStateMachine');
+const { refundGatewayPayments } = require('./payments');
+const { currentShiftId } = require('./openShifts');
+const { VOUCHER_METHOD } = require('./coupons');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+// Reason codes accepted on return lines; damaged goods are not put back on the shelf by default
+const RETURN_REASONS = ['defective', 'damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'other'];
+const NO_RESTOCK_REASONS = ['defective', 'damaged'];
+const NON_RETURNABLE_STATUSES = ['draft', 'pending', 'held', 'layaway', 'cancelled'];
+
+// Payments that were actually taken for the sale
+const SETTLED_PAYMENT_STATUSES = ['captured', 'refunded'];
+
+const returnInclude = {
+  user: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true
+    }
+  },
+  refundMethod: true,
+  items: {
+    include: {
+      product: {
+        select: { id: true, name: true, sku: true }
+      }
+    }
+  }
+};
+
+const lineGross = (item) => new Decimal(item.totalPrice).plus(item.taxAmount);
+
+// Refund and tax for `units` of a line, as a share of what was actually charged for the sale so
+// order-level discounts are refunded proportionally. Callers take the difference between the
+// cumulative and previously returned units so rounding never drifts across partial returns.
+const lineRefund = (sale, saleGross, item, units) => {
+  const charged = saleGross.isZero()
+    ? new Decimal(0)
+    : new Decimal(sale.totalAmount).times(lineGross(item)).dividedBy(saleGross);
+
+  return {
+    refund: charged.times(units).dividedBy(item.quantity).toDecimalPlaces(2),
+    tax: new Decimal(item.taxAmount).times(units).dividedBy(item.quantity).toDecimalPlaces(2)
+  };
+};
+
+// 1 loyalty point per $10, matching how points are awarded at sale time
+const loyaltyPoints = (amount) => Math.floor(Math.max(Number(amount), 0) / 10);
+
+/**
+ * The payment method a return is refunded on. It defaults to the sale's method only when the sale
+ * was paid with a single tender other than a voucher; otherwise there is no one method the money
+ * came from and the cashier must choose. Voucher balances are not credited back, so a refund can
+ * never be paid out on the voucher method.
+ */
+const resolveRefundMethod = async (sale, refundMethodId) => {
+  if (!refundMethodId) {
+    const methods = new Set(sale.payments.map(payment => payment.paymentMethodId));
+    const paidByVoucher = sale.payments.some(payment => payment.paymentMethod.name === VOUCHER_METHOD);
+
+    if (methods.size > 1 || paidByVoucher) {
+      throw httpError(400, 'refundMethodId is required for sales paid with a voucher or more than one tender');
+    }
+
+    return sale.paymentMethodId;
+  }
+
+  const method = await prisma.paymentMethod.findUnique({ where: { id: refundMethodId } });
+
+  if (!method || !method.isActive) {
+    throw httpError(400, 'Refund method not found');
+  }
+
+  if (method.name === VOUCHER_METHOD) {
+    throw httpError(400, 'Refunds cannot be paid onto a voucher; choose another refund method');
+  }
+
+  return method.id;
+};
+
+const createSaleReturn = async ({ saleId, userId, items, refundMethodId, notes }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one item is required');
+  }
+
+  const sale = await prisma.sale.findUnique({
+    where: { id: saleId },
+    include: {
+      saleStatus: true,
+      saleItems: true,
+      payments: {
+        where: { status: { in: SETTLED_PAYMENT_STATUSES } },
+        select: { paymentMethodId: true, paymentMethod: { select: { name: true } } }
+      }
+    }
+  });
+
+  if (!sale) {
+    throw httpError(404, 'Sale not found');
+  }
+
+  if (sale.saleStatus && NON_RETURNABLE_STATUSES.includes(sale.saleStatus.name)) {
+    throw httpError(400, `Cannot return items from a ${sale.saleStatus.name} sale`);
+  }
+
+  const refundMethod = await resolveRefundMethod(sale, refundMethodId);
+
+  const saleItems = new Map(sale.saleItems.map(item => [item.id, item]));
+  const requested = new Map();
+
+  for (const line of items) {
+    const saleItem = saleItems.get(line.saleItemId);
+    const quantity = parseInt(line.quantity);
+
+    if (!saleItem) {
+      throw httpError(400, `Sale item ${line.saleItemId} does not belong to this sale`);
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, 'Return quantities must be positive integers');
+    }
+
+    if (!RETURN_REASONS.includes(line.reasonCode)) {
+      throw httpError(400, `reasonCode must be one of: ${RETURN_REASONS.join(', ')}`);
+    }
+
+    if (requested.has(saleItem.id)) {
+      throw httpError(400, `Sale item ${saleItem.id} is listed more than once`);
+    }
+
+    if (saleItem.returnedQuantity + quantity > saleItem.quantity) {
+      throw httpError(400, `Only ${saleItem.quantity - saleItem.returnedQuantity} units of sale item ${saleItem.id} can be returned`);
+    }
+
+    requested.set(saleItem.id, {
+      quantity,
+      reasonCode: line.reasonCode,
+      restock: typeof line.restock === 'boolean' ? line.restock : !NO_RESTOCK_REASONS.includes(line.reasonCode)
+    });
+  }
+
+  const saleReturn = await prisma.$transaction(async (tx) => {
+    // The sale is locked and read again, so concurrent returns of it are priced one after the
+    // other, each seeing the units returned and the money refunded by the ones before
+    await tx.$queryRaw`SELECT id FROM sales WHERE id = ${saleId}::uuid FOR UPDATE`;
+
+    const current = await tx.sale.findUnique({
+      where: { id: saleId },
+      select: {
+        amountPaid: true,
+        saleItems: true,
+        saleReturns: { select: { refundAmount: true } }
+      }
+    });
+    const currentItems = new Map(current.saleItems.map(item => [item.id, item]));
+    const saleGross = current.saleItems.reduce((sum, item) => sum.plus(lineGross(item)), new Decimal(0));
+
+    const lines = [...requested].map(([saleItemId, { quantity, reasonCode, restock }]) => {
+      const saleItem = currentItems.get(saleItemId);
+
+      if (saleItem.returnedQuantity + quantity > saleItem.quantity) {
+        throw httpError(409, 'Sale item was returned concurrently; reload the sale and try again');
+      }
+
+      const before = lineRefund(sale, saleGross, saleItem, saleItem.returnedQuantity);
+      const after = lineRefund(sale, saleGross, saleItem, saleItem.returnedQuantity + quantity);
+
+      return {
+        saleItem,
+        quantity,
+        reasonCode,
+        restock,
+        value: after.refund.minus(before.refund),
+        taxAmount: after.tax.minus(before.tax)
+      };
+    });
+
+    // Returned goods are valued from what the sale was charged, but no more is refunded than was
+    // actually paid for it, less earlier refunds
+    const returnedValue = lines.reduce((sum, line) => sum.plus(line.value), new Decimal(0));
+    const previouslyRefunded = current.saleReturns.reduce((sum, r) => sum.plus(r.refundAmount), new Decimal(0));
+    const refundAmount = Decimal.min(returnedValue, Decimal.max(new Decimal(current.amountPaid).minus(previouslyRefunded), 0));
+    const lineRefunds = refundAmount.equals(returnedValue)
+      ? lines.map(line => line.value)
+      : allocate(refundAmount, lines.map(line => line.value));
+    const taxAmount = lines.reduce((sum, line) => sum.plus(line.taxAmount), new Decimal(0));
+
+    for (const line of lines) {
+      await tx.saleItem.update({
+        where: { id: line.saleItem.id },
+        data: { returnedQuantity: { increment: line.quantity } }
+      });
+    }
+
+    const created = await tx.saleReturn.create({
+      data: {
+        saleId,
+        userId,
+        customerId: sale.customerId,
+        refundMethodId: refundMethod,
+        refundAmount,
+        taxAmount,
+        shiftId: await currentShiftId(tx, userId, sale.storeId),
+        notes,
+        items: {
+          create: lines.map((line, index) => ({
+            saleItemId: line.saleItem.id,
+            productId: line.saleItem.productId,
+            quantity: line.quantity,
+            reasonCode: line.reasonCode,
+            restocked: line.restock,
+            location: line.saleItem.location,
+            refundAmount: lineRefunds[index],
+            taxAmount: line.taxAmount
+          }))
+        }
+      },
+      include: returnInclude
+    });
+
+    // Restocked after the return exists so the stock movements can reference it
+    for (const line of lines.filter(l => l.restock)) {
+      await restockInventory(tx, sale.storeId, line.saleItem.productId, line.quantity, line.saleItem.location, {
+        type: 'return',
+        referenceType: 'return',
+        referenceId: created.id,
+        userId,
+        reason: line.reasonCode
+      });
+    }
+
+    // The customer was credited with the sale total, so their totals go down by the goods' value
+    if (sale.customerId) {
+      const customer = await tx.customer.findUnique({ where: { id: sale.customerId } });
+      const returnedBefore = current.saleItems.reduce(
+        (sum, item) => sum.plus(lineRefund(sale, saleGross, item, item.returnedQuantity).refund),
+        new Decimal(0)
+      );
+      const remainingBefore = new Decimal(sale.totalAmount).minus(returnedBefore);
+      const pointsToReverse = loyaltyPoints(remainingBefore) - loyaltyPoints(remainingBefore.minus(returnedValue));
+      const totalPurchases = Decimal.max(new Decimal(customer.totalPurchases).minus(returnedValue), 0);
+
+      await tx.customer.update({
+        where: { id: sale.customerId },
+        data: {
+          totalPurchases,
+          loyaltyPoints: Math.max(customer.loyaltyPoints - pointsToReverse, 0)
+        }
+      });
+    }
+
+    const fullyReturned = current.saleItems.every(item => {
+      const line = requested.get(item.id);
+      return item.returnedQuantity + (line ? line.quantity : 0) === item.quantity;
+    });
+
+    const paymentStatusId = await findStatusId(tx, 'paymentStatus', fullyReturned ? 'refunded' : 'partially_refunded');
+
+    if (fullyReturned) {
+      // Units were restocked line by line above, so the transition has no stock side effects
+      await transitionSale(tx, saleId, 'refunded', { userId, reason: 'returned', data: { paymentStatusId } });
+    } else {
+      await tx.sale.update({
+        where: { id: saleId },
+        data: { paymentStatusId }
+      });
+    }
+
+    return created;
+  });
+
+  // Card refunds go back through the gateway after the return is committed
+  if (saleReturn.refundMethod && saleReturn.refundMethod.provider) {
+    saleReturn.gatewayRefunds = await refundGatewayPayments(saleId, saleReturn.refundMethodId, saleReturn.refundAmount);
+  }
+
+  return saleReturn;
+};
+
+const formatMoney = (amount) => new Decimal(amount).toFixed(2);
+
+// Plain-text return receipt for the register printer
+const buildReturnReceipt = (saleReturn) => {
+  const lines = [
+    'RETURN RECEIPT',
+    `Return: ${saleReturn.id}`,
+    `Original sale: ${saleReturn.saleId}`,
+    `Date: ${saleReturn.createdAt.toISOString()}`,
+    ''
+  ];
+
+  for (const item of saleReturn.items) {
+    lines.push(`${item.quantity} x ${item.product.name} (${item.reasonCode})`);
+    lines.push(`  Refund ${formatMoney(item.refundAmount)}${item.restocked ? '' : '  [not restocked]'}`);
+  }
+
+  lines.push(
+    '',
+    `Tax refunded: ${formatMoney(saleReturn.taxAmount)}`,
+    `TOTAL REFUND: ${formatMoney(saleReturn.refundAmount)}`
+  );
+
+  if (saleReturn.refundMethod) {
+    lines.push(`Refunded to: ${saleReturn.refundMethod.name}`);
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  RETURN_REASONS,
+  returnInclude,
+  createSaleReturn,
+  buildReturnReceipt
+};
@@ -0,0 +1,214 @@
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const {
+  deductStock,
+  restockInventory,
+  reserveStock,
+  releaseStock,
+  fulfilReservation
+} = require('./stock');
+const { findStatusId } = require('./statuses');
+const { releaseCoupons } = require('./coupons');
+
+const { Decimal } = Prisma;
+
+// Helpers take a Prisma client or transaction client so they run inside the caller's transaction
+
+// Sales written before statuses were enforced may have none; they had already taken their stock
+const LEGACY_STATUS = 'completed';
+
+/**
+ * Every allowed sale status change. `manual` transitions may be made with PUT /api/sales/:id/status;
+ * the others belong to the workflow endpoint named in `via`, or happen as a sale is created.
+ */
+const TRANSITIONS = [
+  { from: 'draft', to: 'held' },
+  { from: 'draft', to: 'layaway' },
+  { from: 'draft', to: 'pending' },
+  { from: 'draft', to: 'completed' },
+  { from: 'held', to: 'completed', via: 'POST /api/sales/held/:id/complete' },
+  { from: 'held', to: 'cancelled', via: 'DELETE /api/sales/held/:id' },
+  { from: 'layaway', to: 'completed', via: 'POST /api/sales/:id/payments' },
+  { from: 'layaway', to: 'cancelled', via: 'POST /api/sales/layaways/:id/cancel' },
+  { from: 'pending', to: 'completed', manual: true },
+  { from: 'pending', to: 'cancelled', via: 'POST /api/sales/:id/void' },
+  { from: 'completed', to: 'refunded', via: 'POST /api/sales/:saleId/returns' },
+  { from: 'completed', to: 'cancelled', via: 'POST /api/sales/:id/void' }
+];
+
+// What a sale in each status holds against inventory. Side effects run when a transition moves
+// a sale between these, so pending -> completed, for example, touches nothing.
+const STOCK_STATES = {
+  draft: 'none',
+  held: 'none',
+  layaway: 'reserved',
+  pending: 'taken',
+  completed: 'taken',
+  refunded: 'taken',
+  cancelled: 'none'
+};
+
+// Stock movements made by a status change reference the sale, and the user and reason behind the change
+const saleMovement = (sale, type, { userId, reason }) => ({
+  type,
+  referenceType: 'sale',
+  referenceId: sale.id,
+  userId,
+  reason
+});
+
+// Record where each line's stock came from so returns and voids put it back in the same place
+const takeStock = async (client, sale, change) => {
+  for (const item of sale.saleItems) {
+    const location = await deductStock(
+      client,
+      sale.storeId,
+      item.productId,
+      item.quantity,
+      item.location === null ? undefined : item.location,
+      saleMovement(sale, 'sale', change),
+      { allowOversell: change.allowOversell }
+    );
+
+    if (location !== item.location) {
+      await client.saleItem.update({ where: { id: item.id }, data: { location } });
+    }
+  }
+};
+
+const reserveItems = async (client, sale) => {
+  for (const item of sale.saleItems) {
+    const location = await reserveStock(client, sale.storeId, item.productId, item.quantity, item.location === null ? undefined : item.location);
+
+    if (location !== item.location) {
+      await client.saleItem.update({ where: { id: item.id }, data: { location } });
+    }
+  }
+};
+
+const fulfilItems = async (client, sale, change) => {
+  for (const item of sale.saleItems) {
+    await fulfilReservation(client, sale.storeId, item.productId, item.quantity, item.location, saleMovement(sale, 'sale', change));
+  }
+};
+
+const releaseItems = async (client, sale) => {
+  for (const item of sale.saleItems) {
+    await releaseStock(client, sale.storeId, item.productId, item.quantity, item.location);
+  }
+};
+
+// Units already returned were restocked by the return
+const restockItems = async (client, sale, change) => {
+  for (const item of sale.saleItems) {
+    const quantity = item.quantity - item.returnedQuantity;
+
+    if (quantity > 0) {
+      await restockInventory(client, sale.storeId, item.productId, quantity, item.location, saleMovement(sale, 'sale_void', change));
+    }
+  }
+};
+
+const creditCustomer = async (client, sale) => {
+  if (!sale.customerId) return;
+
+  await client.customer.update({
+    where: { id: sale.customerId },
+    data: {
+      totalPurchases: {
+        increment: sale.totalAmount
+      },
+      loyaltyPoints: {
+        increment: sale.totalAmount.dividedBy(10).floor().toNumber() // 1 point per $10 spent
+      }
+    }
+  });
+};
+
+const debitCustomer = async (client, sale) => {
+  if (!sale.customerId) return;
+
+  const customer = await client.customer.findUnique({ where: { id: sale.customerId } });
+
+  await client.customer.update({
+    where: { id: sale.customerId },
+    data: {
+      totalPurchases: Decimal.max(customer.totalPurchases.minus(sale.totalAmount), 0),
+      loyaltyPoints: Math.max(customer.loyaltyPoints - sale.totalAmount.dividedBy(10).floor().toNumber(), 0)
+    }
+  });
+};
+
+const EFFECTS = {
+  'none>taken': [takeStock, creditCustomer],
+  'none>reserved': [reserveItems],
+  'reserved>taken': [fulfilItems, creditCustomer],
+  'reserved>none': [releaseItems],
+  'taken>none': [restockItems, debitCustomer, releaseCoupons]
+};
+
+const findTransition = (from, to) => TRANSITIONS.find(transition => transition.from === from && transition.to === to);
+
+/**
+ * Move a sale to status `to`, running the inventory and customer side effects of the change and
+ * recording it in the status history. `from` (a name or list) asserts the current status; `data`
+ * is written in the same update. Taking stock fails when a line is not available, unless
+ * `allowOversell` is set. The update is conditional on the status read, so concurrent
+ * transitions of one sale fail with 409 instead of applying their side effects twice.
+ */
+const transitionSale = async (client, saleId, to, { from, userId, reason, allowOversell = false, data = {} } = {}) => {
+  const sale = await client.sale.findUnique({
+    where: { id: saleId },
+    include: { saleStatus: true, saleItems: true }
+  });
+
+  if (!sale) {
+    throw httpError(404, 'Sale not found');
+  }
+
+  const current = sale.saleStatus ? sale.saleStatus.name : LEGACY_STATUS;
+  const expected = from ? [].concat(from) : null;
+
+  if (expected && !expected.includes(current)) {
+    throw httpError(409, `Sale is no longer ${expected.join(' or ')}`);
+  }
+
+  if (!findTransition(current, to)) {
+    throw httpError(400, `Cannot move a ${current} sale to ${to}`);
+  }
+
+  const { count } = await client.sale.updateMany({
+    where: { id: saleId, saleStatusId: sale.saleStatusId },
+    data: {
+      ...data,
+      saleStatusId: await findStatusId(client, 'saleStatus', to)
+    }
+  });
+
+  if (count === 0) {
+    throw httpError(409, 'Sale status changed; reload the sale and try again');
+  }
+
+  for (const effect of EFFECTS[`${STOCK_STATES[current]}>${STOCK_STATES[to]}`] || []) {
+    await effect(client, sale, { userId, reason, allowOversell });
+  }
+
+  await client.saleStatusHistory.create({
+    data: {
+      saleId,
+      fromStatus: current,
+      toStatus: to,
+      userId,
+      reason
+    }
+  });
+
+  return { from: current, to };
+};
+
+module.exports = {
+  LEGACY_STATUS,
+  TRANSITIONS,
+  findTransition,
+  transitionSale
+};
@@ -0,0 +1,72 @@
+const { transitionSale } = require('./saleStateMachine');
+
+const DRAFT = 'draft';
+const HELD = 'held';
+const LAYAWAY = 'layaway';
+const COMPLETED = 'completed';
+
+const saleInclude = {
+  customer: true,
+  paymentMethod: true,
+  paymentStatus: true,
+  saleStatus: true,
+  terminal: {
+    select: { id: true, name: true }
+  },
+  saleItems: {
+    include: {
+      product: true,
+      promotions: {
+        include: {
+          promotion: { select: { id: true, name: true } }
+        }
+      }
+    }
+  },
+  payments: {
+    include: { paymentMethod: true },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+// Sale item rows for a priced cart, with the promotions applied to each line. The location is the
+// one requested until stock is taken.
+const saleItemRows = (pricing) => pricing.items.map(line => ({
+  productId: line.productId,
+  quantity: line.quantity,
+  unitPrice: line.unitPrice,
+  discount: line.discount,
+  taxRate: line.taxRate,
+  taxAmount: line.taxAmount,
+  totalPrice: line.net,
+  location: line.location,
+  promotions: {
+    create: line.promotions.map(({ promotionId, amount }) => ({ promotionId, amount }))
+  }
+}));
+
+// Complete a layaway once its deposits cover the total; the state machine hands over the
+// reserved units and credits the customer. Returns true when this call completed the sale.
+const completeLayawayIfPaid = async (client, saleId, userId) => {
+  const sale = await client.sale.findUnique({
+    where: { id: saleId },
+    include: { saleStatus: true }
+  });
+
+  if (!sale || !sale.saleStatus || sale.saleStatus.name !== LAYAWAY) return false;
+  if (sale.amountPaid.lessThan(sale.totalAmount)) return false;
+
+  await transitionSale(client, saleId, COMPLETED, { from: LAYAWAY, userId, reason: 'paid_in_full' });
+
+  return true;
+};
+
+module.exports = {
+  DRAFT,
+  HELD,
+  LAYAWAY,
+  COMPLETED,
+  saleInclude,
+  saleItemRows,
+  completeLayawayIfPaid
+};
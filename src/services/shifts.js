@@ -0,0 +1,316 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { ZERO, roundMoney } = require('../utils/money');
+const { CASH_METHOD, CAPTURED } = require('./payments');
+const { VOUCHER_METHOD } = require('./coupons');
+const { findOpenShift } = require('./openShifts');
+
+const prisma = new PrismaClient();
+const { Decimal } = Prisma;
+
+const MOVEMENT_TYPES = ['paid_in', 'paid_out', 'no_sale'];
+
+const toAmount = (value, field) => {
+  let amount;
+  try {
+    amount = roundMoney(value);
+  } catch (error) {
+    throw httpError(400, `${field} must be a number`);
+  }
+
+  if (!amount.isFinite() || amount.isNegative()) {
+    throw httpError(400, `${field} must be a non-negative number`);
+  }
+
+  return amount;
+};
+
+const openShift = async ({ userId, storeId, terminalId, openingFloat, notes }) => {
+  const float = toAmount(openingFloat === undefined ? 0 : openingFloat, 'openingFloat');
+
+  if (await findOpenShift(prisma, userId)) {
+    throw httpError(400, 'You already have an open shift; close it first');
+  }
+
+  try {
+    return await prisma.shift.create({
+      data: {
+        userId,
+        storeId,
+        terminalId,
+        openingFloat: float,
+        notes
+      }
+    });
+  } catch (error) {
+    // Two opens racing past the check above hit the one-open-shift-per-cashier index
+    if (error.code === 'P2002') {
+      throw httpError(400, 'You already have an open shift; close it first');
+    }
+    throw error;
+  }
+};
+
+const recordCashMovement = async (shift, { userId, type, amount, reason }) => {
+  if (shift.closedAt) {
+    throw httpError(400, 'Shift is closed');
+  }
+
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw httpError(400, `type must be one of: ${MOVEMENT_TYPES.join(', ')}`);
+  }
+
+  const value = type === 'no_sale' ? ZERO : toAmount(amount, 'amount');
+
+  if (type !== 'no_sale') {
+    if (value.isZero()) {
+      throw httpError(400, 'amount must be greater than zero');
+    }
+
+    if (!reason) {
+      throw httpError(400, 'A reason is required for paid-ins and paid-outs');
+    }
+  }
+
+  return prisma.shiftCashMovement.create({
+    data: {
+      shiftId: shift.id,
+      userId,
+      type,
+      amount: value,
+      reason
+    }
+  });
+};
+
+const countsTowardsDrawer = method => !method.provider && method.name !== VOUCHER_METHOD;
+
+/**
+ * What was taken and given back per payment method on the shift: captured payments, refunds paid
+ * out by returns, and counter payments handed back on voids, each recorded against the shift when
+ * it happened. Cash also carries the float and the paid-ins and paid-outs. `expected` is what the
+ * drawer (or the provider, for gateway methods) should show.
+ */
+const buildShiftReport = async (client, shift) => {
+  const [payments, returns, voids, movements, sales, cashMethod] = await Promise.all([
+    client.salePayment.findMany({
+      where: { shiftId: shift.id, status: CAPTURED },
+      include: { paymentMethod: true }
+    }),
+    client.saleReturn.findMany({
+      where: { shiftId: shift.id, refundMethodId: { not: null } },
+      include: { refundMethod: true }
+    }),
+    client.saleVoid.findMany({
+      where: { shiftId: shift.id },
+      include: {
+        sale: {
+          include: {
+            payments: {
+              where: { status: CAPTURED },
+              include: { paymentMethod: true }
+            }
+          }
+        }
+      }
+    }),
+    client.shiftCashMovement.findMany({ where: { shiftId: shift.id } }),
+    client.sale.aggregate({
+      where: { shiftId: shift.id },
+      _count: true,
+      _sum: { totalAmount: true }
+    }),
+    client.paymentMethod.findUnique({ where: { name: CASH_METHOD } })
+  ]);
+
+  const methods = new Map();
+  const methodRow = (method) => {
+    if (!methods.has(method.id)) {
+      methods.set(method.id, {
+        paymentMethodId: method.id,
+        name: method.name,
+        payments: 0,
+        taken: ZERO,
+        refunded: ZERO,
+        expected: ZERO
+      });
+    }
+    return methods.get(method.id);
+  };
+
+  for (const payment of payments) {
+    const row = methodRow(payment.paymentMethod);
+    row.payments += 1;
+    row.taken = row.taken.plus(payment.amount);
+  }
+
+  for (const saleReturn of returns) {
+    const row = methodRow(saleReturn.refundMethod);
+    row.refunded = row.refunded.plus(saleReturn.refundAmount);
+  }
+
+  // Gateway payments on a voided sale are refunded by the provider, not from the drawer
+  for (const payment of voids.flatMap(saleVoid => saleVoid.sale.payments)) {
+    if (!countsTowardsDrawer(payment.paymentMethod)) continue;
+
+    const row = methodRow(payment.paymentMethod);
+    row.refunded = row.refunded.plus(payment.amount);
+  }
+
+  const sumMovements = type => movements
+    .filter(movement => movement.type === type)
+    .reduce((sum, movement) => sum.plus(movement.amount), ZERO);
+
+  const cash = {
+    openingFloat: new Decimal(shift.openingFloat),
+    paidIn: sumMovements('paid_in'),
+    paidOut: sumMovements('paid_out'),
+    noSaleOpens: movements.filter(movement => movement.type === 'no_sale').length
+  };
+
+  if (cashMethod) {
+    methodRow(cashMethod);
+  }
+
+  for (const row of methods.values()) {
+    row.expected = row.taken.minus(row.refunded);
+
+    if (cashMethod && row.paymentMethodId === cashMethod.id) {
+      row.expected = row.expected.plus(cash.openingFloat).plus(cash.paidIn).minus(cash.paidOut);
+    }
+  }
+
+  return {
+    sales: {
+      count: sales._count,
+      total: sales._sum.totalAmount || ZERO
+    },
+    cash,
+    methods: [...methods.values()].sort((a, b) => a.name.localeCompare(b.name))
+  };
+};
+
+/**
+ * X report for an open shift, computed up to now; Z report for a closed one, with the expected
+ * and counted amounts stored when it was closed.
+ */
+const getShiftReport = async (shift) => {
+  const report = await buildShiftReport(prisma, shift);
+
+  if (!shift.closedAt) {
+    return { type: 'X', generatedAt: new Date(), ...report };
+  }
+
+  const counts = await prisma.shiftCount.findMany({
+    where: { shiftId: shift.id },
+    include: { paymentMethod: true }
+  });
+  const rowsByMethod = new Map(report.methods.map(row => [row.paymentMethodId, row]));
+
+  // Methods counted at closing that had no takings still appear, with nothing expected
+  const methods = counts.map(count => ({
+    ...(rowsByMethod.get(count.paymentMethodId) || {
+      paymentMethodId: count.paymentMethodId,
+      name: count.paymentMethod.name,
+      payments: 0,
+      taken: ZERO,
+      refunded: ZERO
+    }),
+    expected: count.expected,
+    counted: count.counted,
+    variance: count.variance
+  }));
+
+  return {
+    type: 'Z',
+    generatedAt: new Date(),
+    ...report,
+    methods: methods.sort((a, b) => a.name.localeCompare(b.name)),
+    cashVariance: shift.cashVariance
+  };
+};
+
+/**
+ * Close a shift with the cash counted in the drawer, plus optional counts for other counter
+ * methods (checks, card slips). Expected and counted amounts per method are stored so the Z
+ * report stays as it was at closing.
+ */
+const closeShift = async (shift, { userId, countedCash, counts = [], notes }) => {
+  if (shift.closedAt) {
+    throw httpError(400, 'Shift is already closed');
+  }
+
+  if (countedCash === undefined || countedCash === null) {
+    throw httpError(400, 'countedCash is required');
+  }
+
+  if (!Array.isArray(counts) || counts.some(count => !count || typeof count.paymentMethodId !== 'string')) {
+    throw httpError(400, 'counts must be an array of { paymentMethodId, amount }');
+  }
+
+  const cashCounted = toAmount(countedCash, 'countedCash');
+
+  const counted = new Map(counts.map(count => [count.paymentMethodId, toAmount(count.amount, 'counts.amount')]));
+  const countedMethods = await prisma.paymentMethod.findMany({ where: { id: { in: [...counted.keys()] } } });
+
+  if (countedMethods.length !== counted.size) {
+    throw httpError(400, 'counts lists an unknown payment method');
+  }
+
+  const closedAt = new Date();
+
+  return prisma.$transaction(async (tx) => {
+    const report = await buildShiftReport(tx, shift);
+
+    // A method counted without any takings was expected to hold nothing
+    const rows = [
+      ...report.methods,
+      ...countedMethods
+        .filter(method => !report.methods.some(row => row.paymentMethodId === method.id))
+        .map(method => ({ paymentMethodId: method.id, name: method.name, expected: ZERO }))
+    ];
+    const cashRow = report.methods.find(row => row.name === CASH_METHOD);
+    const expectedCash = cashRow ? cashRow.expected : new Decimal(shift.openingFloat);
+
+    if (cashRow) {
+      counted.set(cashRow.paymentMethodId, cashCounted);
+    }
+
+    const { count } = await tx.shift.updateMany({
+      where: { id: shift.id, closedAt: null },
+      data: {
+        closedAt,
+        closedById: userId,
+        expectedCash,
+        countedCash: cashCounted,
+        cashVariance: cashCounted.minus(expectedCash),
+        notes: notes === undefined ? shift.notes : notes
+      }
+    });
+
+    if (count === 0) {
+      throw httpError(409, 'Shift was closed by another request');
+    }
+
+    await tx.shiftCount.createMany({
+      data: rows.map(row => ({
+        shiftId: shift.id,
+        paymentMethodId: row.paymentMethodId,
+        expected: row.expected,
+        counted: counted.has(row.paymentMethodId) ? counted.get(row.paymentMethodId) : null,
+        variance: counted.has(row.paymentMethodId) ? counted.get(row.paymentMethodId).minus(row.expected) : null
+      }))
+    });
+
+    return tx.shift.findUnique({ where: { id: shift.id } });
+  });
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  findOpenShift,
+  openShift,
+  recordCashMovement,
+  getShiftReport,
+  closeShift
+};
@@ -0,0 +1,9 @@
+// Status rows are seeded lookup tables; code refers to them by name
+const findStatusId = async (client, model, name) => {
+  const status = await client[model].findUnique({ where: { name } });
+  return status ? status.id : undefined;
+};
+
+module.exports = {
+  findStatusId
+};
@@ -0,0 +1,277 @@
+const { httpError } = require('../utils/httpError');
+
+// Helpers take a Prisma client or transaction client so they run inside the caller's transaction.
+// Stock is held per store; `location` is an area within the store, 'default' when none is given.
+//
+// Every change to an inventory row's quantity goes through this module and is written to the
+// stock_movements ledger in the same transaction. `movement` describes the change:
+// { type, referenceType, referenceId, userId, reason }.
+
+/**
+ * sale            - taken by a sale (or handed over when a layaway completes)
+ * sale_void       - put back when a sale that had taken stock is voided or cancelled
+ * return          - restocked by a return
+ * adjustment      - added or removed by hand
+ * count           - set to a counted quantity
+ * transfer_out    - dispatched on a transfer
+ * transfer_in     - received from a transfer
+ * transfer_return - put back when a transfer in transit is cancelled
+ * receipt         - received from a supplier
+ * opening         - stock on hand before the ledger started, recorded by reconciliation
+ */
+const MOVEMENT_TYPES = [
+  'sale',
+  'sale_void',
+  'return',
+  'adjustment',
+  'count',
+  'transfer_out',
+  'transfer_in',
+  'transfer_return',
+  'receipt',
+  'opening'
+];
+
+const DEFAULT_LOCATION = 'default';
+
+const available = (inventory) => inventory.quantity - inventory.reservedQuantity;
+
+// Sale lines recorded before every row had a location carry none; their stock is at 'default'
+const locationOrDefault = (location) => location || DEFAULT_LOCATION;
+
+const recordMovement = (client, inventory, change, movement) => client.stockMovement.create({
+  data: {
+    productId: inventory.productId,
+    storeId: inventory.storeId,
+    location: inventory.location,
+    type: movement.type,
+    quantity: change,
+    quantityBefore: inventory.quantity - change,
+    quantityAfter: inventory.quantity,
+    referenceType: movement.referenceType,
+    referenceId: movement.referenceId,
+    userId: movement.userId,
+    reason: movement.reason
+  }
+});
+
+// Apply `change` to a row and record it. The update returns the row as it stands after the
+// change, under its lock, so concurrent changes each see their own before and after.
+const applyChange = async (client, inventory, change, movement, data = {}) => {
+  const updated = await client.inventory.update({
+    where: { id: inventory.id },
+    data: {
+      ...data,
+      quantity: { increment: change },
+      lastUpdated: new Date()
+    }
+  });
+
+  await recordMovement(client, updated, change, movement);
+
+  return updated;
+};
+
+const findRow = (client, storeId, productId, location) => client.inventory.findUnique({
+  where: {
+    productId_storeId_location: { productId, storeId, location: locationOrDefault(location) }
+  }
+});
+
+// The store's row at `location`, or the one with the most unreserved units when no location is given
+const pickInventory = async (client, storeId, productId, location) => {
+  if (location !== undefined) {
+    const inventory = await findRow(client, storeId, productId, location);
+
+    if (!inventory) {
+      throw httpError(400, `Product ${productId} is not stocked at location ${location}`);
+    }
+    return inventory;
+  }
+
+  const rows = await client.inventory.findMany({ where: { productId, storeId } });
+  return rows.reduce((best, row) => (!best || available(row) > available(best) ? row : best), null);
+};
+
+/**
+ * Change the quantity at a store location by `change` (negative to take stock out). The row is
+ * created when missing. With `requireAvailable`, the change is refused when it would leave fewer
+ * units than are reserved; the check runs on the locked row, so concurrent takes cannot both pass it.
+ */
+const moveStock = async (client, { storeId, productId, location, change, requireAvailable = false, ...movement }) => {
+  const existing = await findRow(client, storeId, productId, location);
+
+  if (!existing && requireAvailable) {
+    throw httpError(400, `Product ${productId} is not stocked at location ${locationOrDefault(location)}`);
+  }
+
+  if (!existing) {
+    const created = await client.inventory.create({
+      data: { productId, storeId, location: locationOrDefault(location), quantity: change }
+    });
+    await recordMovement(client, created, change, movement);
+    return created;
+  }
+
+  const inventory = await applyChange(client, existing, change, movement);
+
+  if (requireAvailable && available(inventory) < 0) {
+    throw httpError(400, `Not enough stock of product ${productId} at location ${inventory.location}`);
+  }
+
+  return inventory;
+};
+
+/**
+ * Adjust the quantity at a store location by hand: `add` or `subtract` units (never below zero),
+ * or `set` it to a counted quantity. The row is created when missing; nothing is recorded when the
+ * quantity does not change. The update is conditional on the quantity read, so a sale taking stock
+ * in between fails the adjustment with 409 instead of being overwritten.
+ */
+const adjustStock = async (client, { storeId, productId, location, operation, quantity, ...movement }) => {
+  const existing = await findRow(client, storeId, productId, location);
+  const before = existing ? existing.quantity : 0;
+
+  let after;
+  switch (operation) {
+    case 'add':
+      after = before + quantity;
+      break;
+    case 'subtract':
+      after = Math.max(0, before - quantity);
+      break;
+    case 'set':
+      after = quantity;
+      break;
+    default:
+      throw httpError(400, 'Valid operation is required (add, subtract, set)');
+  }
+
+  if (!existing) {
+    const created = await client.inventory.create({
+      data: { productId, storeId, location: locationOrDefault(location), quantity: after }
+    });
+    if (after !== 0) {
+      await recordMovement(client, created, after, movement);
+    }
+    return created;
+  }
+
+  if (after === before) {
+    return existing;
+  }
+
+  const { count } = await client.inventory.updateMany({
+    where: { id: existing.id, quantity: before },
+    data: {
+      quantity: after,
+      lastUpdated: new Date()
+    }
+  });
+
+  if (count === 0) {
+    throw httpError(409, 'Stock changed while it was being adjusted; try again');
+  }
+
+  const inventory = { ...existing, quantity: after };
+  await recordMovement(client, inventory, after - before, movement);
+
+  return inventory;
+};
+
+// Take stock from the given location, or from the location holding the most unreserved units.
+// Like moveStock's requireAvailable, the take is refused when it would leave fewer units than are
+// reserved, checked on the locked row. With `allowOversell` (goods that have already left the
+// store) it goes through regardless, but only what is on hand is taken, so the quantity never
+// goes below zero; the ledger shows the units actually taken. The location used is returned, or
+// null when the store has no inventory rows for the product.
+const deductStock = async (client, storeId, productId, quantity, location, movement, { allowOversell = false } = {}) => {
+  const inventory = await pickInventory(client, storeId, productId, location);
+
+  if (!inventory) {
+    if (!allowOversell) {
+      throw httpError(400, `Product ${productId} is not stocked in this store`);
+    }
+    return null;
+  }
+
+  if (allowOversell) {
+    // Locked so the quantity on hand cannot change before it is taken
+    const [locked] = await client.$queryRaw`
+      SELECT quantity FROM inventory WHERE id = ${inventory.id}::uuid FOR UPDATE`;
+    const taken = Math.min(quantity, locked.quantity);
+
+    if (taken > 0) {
+      await applyChange(client, inventory, -taken, movement);
+    }
+    return inventory.location;
+  }
+
+  const updated = await applyChange(client, inventory, -quantity, movement);
+
+  if (available(updated) < 0) {
+    throw httpError(400, `Not enough stock of product ${productId} at location ${inventory.location}`);
+  }
+
+  return inventory.location;
+};
+
+// Put stock back at a location, creating the inventory row if it no longer exists
+const restockInventory = async (client, storeId, productId, quantity, location, movement) => {
+  await moveStock(client, { storeId, productId, location, change: quantity, ...movement });
+};
+
+// Set units aside for a layaway: they stay on hand but are no longer available to other sales.
+// The quantity on hand does not change, so nothing is written to the ledger.
+// The availability check and the increment are one statement, so concurrent reservations cannot
+// both take the last units.
+const reserveStock = async (client, storeId, productId, quantity, location) => {
+  const inventory = await pickInventory(client, storeId, productId, location);
+
+  const reserved = inventory && await client.$executeRaw`
+    UPDATE inventory
+    SET reserved_quantity = reserved_quantity + ${quantity}, last_updated = CURRENT_TIMESTAMP
+    WHERE id = ${inventory.id}::uuid AND quantity - reserved_quantity >= ${quantity}`;
+
+  if (!reserved) {
+    throw httpError(400, `Not enough stock of product ${productId} to reserve ${quantity} units`);
+  }
+
+  return inventory.location;
+};
+
+// Return reserved units to available stock (layaway cancelled)
+const releaseStock = async (client, storeId, productId, quantity, location) => {
+  await client.inventory.updateMany({
+    where: { productId, storeId, location: locationOrDefault(location) },
+    data: {
+      reservedQuantity: { decrement: quantity },
+      lastUpdated: new Date()
+    }
+  });
+};
+
+// Hand reserved units to the customer (layaway completed)
+const fulfilReservation = async (client, storeId, productId, quantity, location, movement) => {
+  const inventory = await findRow(client, storeId, productId, location);
+
+  if (!inventory) {
+    return;
+  }
+
+  await applyChange(client, inventory, -quantity, movement, {
+    reservedQuantity: { decrement: quantity }
+  });
+};
+
+module.exports = {
+  DEFAULT_LOCATION,
+  MOVEMENT_TYPES,
+  moveStock,
+  adjustStock,
+  deductStock,
+  restockInventory,
+  reserveStock,
+  releaseStock,
+  fulfilReservation
+};
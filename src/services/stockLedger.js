@@ -0,0 +1,170 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Inventory quantities are kept in step with the stock_movements ledger by the helpers in ./stock.
+// Rows can still drift from it: stock loaded before the ledger existed, or changed by hand in the
+// database. Reconciliation finds those rows and brings them back in line with the ledger.
+
+const rowKey = ({ productId, storeId, location }) => `${productId}|${storeId}|${location}`;
+
+const movementWhere = (row) => ({
+  productId: row.productId,
+  storeId: row.storeId,
+  location: row.location
+});
+
+const KEY_FIELDS = ['productId', 'storeId', 'location'];
+
+/**
+ * Stock a row held before the ledger started that no `opening` movement records yet. The first
+ * movement's `quantityBefore` is what was on hand when the ledger took over; a row with no
+ * movements at all still holds only pre-ledger stock.
+ */
+const missingOpening = (row, { first, hasOpening }) => {
+  if (hasOpening) return 0;
+  return first ? first.quantityBefore : row.quantity;
+};
+
+// The row's balance according to the ledger, counting stock it held before the ledger started
+const ledgerBalance = (row, ledger) => ledger.sum + missingOpening(row, ledger);
+
+/**
+ * Inventory rows (matching `where`) out of line with the ledger. `opening` is stock a row held
+ * before the ledger existed that is not recorded yet; it becomes an `opening` movement when
+ * reconciled. `difference` is what the row holds beyond (or short of) its ledger balance.
+ */
+const findDrift = async (where = {}) => {
+  const scope = { storeId: where.storeId, productId: where.productId };
+
+  const [rows, sums, openings, firsts] = await Promise.all([
+    prisma.inventory.findMany({
+      where,
+      include: {
+        product: { select: { id: true, name: true, sku: true } },
+        store: { select: { id: true, code: true, name: true } }
+      },
+      orderBy: [{ storeId: 'asc' }, { productId: 'asc' }]
+    }),
+    prisma.stockMovement.groupBy({
+      by: KEY_FIELDS,
+      where: scope,
+      _sum: { quantity: true }
+    }),
+    prisma.stockMovement.groupBy({
+      by: KEY_FIELDS,
+      where: { ...scope, type: 'opening' }
+    }),
+    prisma.stockMovement.findMany({
+      where: scope,
+      distinct: KEY_FIELDS,
+      orderBy: { createdAt: 'asc' },
+      select: { productId: true, storeId: true, location: true, quantityBefore: true }
+    })
+  ]);
+
+  const totals = new Map(sums.map(sum => [rowKey(sum), sum._sum.quantity]));
+  const opened = new Set(openings.map(rowKey));
+  const earliest = new Map(firsts.map(first => [rowKey(first), first]));
+
+  return rows
+    .map((row) => {
+      const key = rowKey(row);
+      const ledger = { sum: totals.get(key) || 0, first: earliest.get(key), hasOpening: opened.has(key) };
+      const ledgerQuantity = ledgerBalance(row, ledger);
+
+      return {
+        inventoryId: row.id,
+        productId: row.productId,
+        product: row.product,
+        storeId: row.storeId,
+        store: row.store,
+        location: row.location,
+        quantity: row.quantity,
+        ledgerQuantity,
+        difference: row.quantity - ledgerQuantity,
+        opening: missingOpening(row, ledger)
+      };
+    })
+    .filter(line => line.difference !== 0 || line.opening !== 0);
+};
+
+/**
+ * Bring one row in line with the ledger: record the stock it held before the ledger as an
+ * `opening` movement, then reset the row to its ledger balance if it still differs. The ledger and
+ * the row are re-read in the transaction, and the row is only written if its quantity is still the
+ * one read, so a sale landing in between leaves the row for the next run instead of being
+ * overwritten. Returns false when the row was skipped.
+ */
+const reconcileRow = (line, { userId, reason }) => prisma.$transaction(async (tx) => {
+  const row = await tx.inventory.findUnique({ where: { id: line.inventoryId } });
+
+  if (!row) {
+    return false;
+  }
+
+  const [sum, first, opening] = await Promise.all([
+    tx.stockMovement.aggregate({ where: movementWhere(row), _sum: { quantity: true } }),
+    tx.stockMovement.findFirst({ where: movementWhere(row), orderBy: { createdAt: 'asc' } }),
+    tx.stockMovement.findFirst({ where: { ...movementWhere(row), type: 'opening' } })
+  ]);
+  const ledger = { sum: sum._sum.quantity || 0, first, hasOpening: Boolean(opening) };
+  const unrecorded = missingOpening(row, ledger);
+  const target = ledgerBalance(row, ledger);
+
+  if (unrecorded === 0 && target === row.quantity) {
+    return false;
+  }
+
+  // Locks the row, and fails if it changed since it was read
+  const { count } = await tx.inventory.updateMany({
+    where: { id: row.id, quantity: row.quantity },
+    data: {
+      quantity: target,
+      lastUpdated: new Date()
+    }
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  if (unrecorded !== 0) {
+    await tx.stockMovement.create({
+      data: {
+        ...movementWhere(row),
+        type: 'opening',
+        quantity: unrecorded,
+        quantityBefore: 0,
+        quantityAfter: unrecorded,
+        referenceType: 'reconciliation',
+        userId,
+        reason
+      }
+    });
+  }
+
+  return true;
+});
+
+// Reconcile every drifted row matching `where`; returns the rows fixed and those left for a later run
+const reconcileInventory = async (where, { userId, reason }) => {
+  const drift = await findDrift(where);
+  const reconciled = [];
+  const skipped = [];
+
+  for (const line of drift) {
+    if (await reconcileRow(line, { userId, reason })) {
+      reconciled.push(line);
+    } else {
+      skipped.push(line);
+    }
+  }
+
+  return { reconciled, skipped };
+};
+
+module.exports = {
+  findDrift,
+  reconcileInventory
+};
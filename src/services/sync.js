@@ -0,0 +1,322 @@
+const { PrismaClient } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { priceSale } = require('./pricing');
+const { paymentStatusName, planPayments, toPaymentRow } = require('./payments');
+const { findStatusId } = require('./statuses');
+const { transitionSale } = require('./saleStateMachine');
+const { currentShiftId } = require('./openShifts');
+const { DRAFT, COMPLETED, saleItemRows } = require('./sales');
+
+const prisma = new PrismaClient();
+
+// Lets the pushing user's register prices stand however far they are from the catalog
+const PRICE_OVERRIDE_PERMISSION = 'sales:price_override';
+
+// Offline sales that need a manager's look before they count are recorded as pending
+const HELD_FOR_REVIEW = 'pending';
+
+const PULL_LIMIT = 500;
+const MAX_PULL_LIMIT = 1000;
+const PUSH_BATCH_LIMIT = 100;
+
+// Rows stamped in the last few seconds may belong to transactions that have not committed yet.
+// Pulls stop short of them so the cursor never moves past a row the terminal has not seen.
+const SETTLE_MS = 5000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// What a terminal keeps a copy of, and the column each is ordered by. Store-scoped feeds only
+// carry the rows of the stores the caller works in.
+const FEEDS = {
+  categories: { model: 'category', timestamp: 'updatedAt' },
+  products: { model: 'product', timestamp: 'updatedAt' },
+  prices: { model: 'storePrice', timestamp: 'updatedAt', storeScoped: true },
+  promotions: { model: 'promotion', timestamp: 'updatedAt' },
+  customers: { model: 'customer', timestamp: 'updatedAt' },
+  inventory: { model: 'inventory', timestamp: 'lastUpdated', storeScoped: true },
+  deleted: { model: 'deletedRecord', timestamp: 'deletedAt' }
+};
+
+// The cursor is opaque to clients: the (timestamp, id) of the last row sent for each feed
+const encodeCursor = (positions) => Buffer.from(JSON.stringify(positions)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (!cursor) return {};
+
+  let positions;
+  try {
+    positions = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError(400, 'Invalid sync cursor');
+  }
+
+  const valid = positions && typeof positions === 'object' && Object.entries(positions).every(([feed, position]) => (
+    FEEDS[feed] &&
+    Array.isArray(position) &&
+    !Number.isNaN(Date.parse(position[0])) &&
+    typeof position[1] === 'string'
+  ));
+
+  if (!valid) {
+    throw httpError(400, 'Invalid sync cursor');
+  }
+
+  return positions;
+};
+
+/**
+ * Everything changed since `since`, oldest first, up to `limit` rows per feed. Deactivated products
+ * and categories come through as updates with isActive false; deleted customers are listed in
+ * `deleted`. Keep pulling with the returned cursor while `hasMore` is true. `storeIds` limits
+ * store prices and inventory to those stores; null sends every store's.
+ */
+const pullChanges = async ({ since, limit, storeIds = null }) => {
+  const positions = decodeCursor(since);
+  const take = Math.min(parseInt(limit) || PULL_LIMIT, MAX_PULL_LIMIT);
+  const until = new Date(Date.now() - SETTLE_MS);
+
+  const changes = {};
+  const next = { ...positions };
+  let hasMore = false;
+
+  for (const [feed, { model, timestamp, storeScoped }] of Object.entries(FEEDS)) {
+    const position = positions[feed];
+    const after = position
+      ? {
+        OR: [
+          { [timestamp]: { gt: new Date(position[0]) } },
+          { [timestamp]: new Date(position[0]), id: { gt: position[1] } }
+        ]
+      }
+      : {};
+    const inStores = storeScoped && storeIds !== null ? { storeId: { in: storeIds } } : {};
+
+    const rows = await prisma[model].findMany({
+      where: { AND: [after, inStores, { [timestamp]: { lte: until } }] },
+      orderBy: [{ [timestamp]: 'asc' }, { id: 'asc' }],
+      take: take + 1
+    });
+
+    if (rows.length > take) {
+      rows.pop();
+      hasMore = true;
+    }
+
+    if (rows.length > 0) {
+      const last = rows[rows.length - 1];
+      next[feed] = [last[timestamp].toISOString(), last.id];
+    }
+
+    changes[feed] = rows;
+  }
+
+  return {
+    cursor: encodeCursor(next),
+    hasMore,
+    changes
+  };
+};
+
+const parseClientTime = (value) => {
+  const time = new Date(value);
+
+  if (value === undefined || value === null || Number.isNaN(time.getTime())) {
+    throw httpError(400, 'createdAt must be a valid timestamp');
+  }
+
+  return time;
+};
+
+/**
+ * Record a sale rung up while the register was offline. Register prices close to the catalog's
+ * stand, since the customer has already paid them, as do any prices pushed by a user holding
+ * PRICE_OVERRIDE_PERMISSION. Other lines are recorded at the catalog price and, like sales of
+ * products deactivated since, leave the sale pending for review instead of completed. Conflicts
+ * are reported rather than rejecting the sale. Resolves to { conflicts, held }.
+ */
+const recordOfflineSale = async (offlineSale, { userId, storeId, terminalId, priceOverride = false }) => {
+  const { id, customerId, items, discountAmount, discountPercent, payments, paymentMethodId, notes } = offlineSale;
+  const conflicts = [];
+
+  let createdAt = parseClientTime(offlineSale.createdAt);
+  const now = new Date();
+
+  if (createdAt > now) {
+    conflicts.push({ type: 'clock_skew', clientTime: createdAt });
+    createdAt = now;
+  }
+
+  const pricing = await priceSale({ items, discountAmount, discountPercent }, { storeId, offline: true, priceOverride });
+  const { totalAmount } = pricing;
+  let held = false;
+
+  for (const line of pricing.items) {
+    if (!line.priceAccepted) {
+      held = true;
+      conflicts.push({
+        type: 'price_rejected',
+        productId: line.productId,
+        soldAt: line.soldPrice,
+        soldTaxRate: line.soldTaxRate,
+        catalogPrice: line.catalogPrice,
+        taxRate: line.taxRate
+      });
+    } else if (!line.unitPrice.equals(line.catalogPrice)) {
+      conflicts.push({ type: 'price_changed', productId: line.productId, soldAt: line.unitPrice, catalogPrice: line.catalogPrice });
+    }
+
+    if (!line.productActive) {
+      held = true;
+      conflicts.push({ type: 'product_inactive', productId: line.productId });
+    }
+  }
+
+  let customer = null;
+  if (customerId) {
+    customer = await prisma.customer.findUnique({ where: { id: customerId }, select: { id: true } });
+
+    if (!customer) {
+      conflicts.push({ type: 'customer_missing', customerId });
+    }
+  }
+
+  const paymentPlan = payments ? await planPayments(prisma, payments, totalAmount) : null;
+
+  if (paymentPlan && paymentPlan.payments.some(payment => payment.provider)) {
+    throw httpError(400, 'Gateway payments cannot be taken offline');
+  }
+
+  const amountPaid = paymentPlan ? paymentPlan.amountApplied : 0;
+  const tenderMethods = paymentPlan ? [...new Set(paymentPlan.payments.map(p => p.paymentMethodId))] : [];
+
+  await prisma.$transaction(async (tx) => {
+    // The takings land in the drawer of whoever pushes the sale
+    const shiftId = await currentShiftId(tx, userId, storeId);
+
+    await tx.sale.create({
+      data: {
+        id,
+        customerId: customer ? customer.id : null,
+        userId,
+        storeId,
+        terminalId,
+        shiftId,
+        subtotal: pricing.subtotal,
+        totalAmount,
+        taxAmount: pricing.taxAmount,
+        discountAmount: pricing.discountAmount,
+        amountPaid,
+        paymentMethodId: paymentMethodId || (tenderMethods.length === 1 ? tenderMethods[0] : undefined),
+        paymentStatusId: await findStatusId(tx, 'paymentStatus', paymentStatusName(totalAmount, amountPaid)),
+        saleStatusId: await findStatusId(tx, 'saleStatus', DRAFT),
+        notes,
+        createdAt,
+        syncedAt: now,
+        saleItems: {
+          create: saleItemRows(pricing)
+        },
+        payments: {
+          create: paymentPlan ? paymentPlan.payments.map(payment => ({ ...toPaymentRow(payment), userId, shiftId, createdAt })) : []
+        }
+      }
+    });
+
+    // The goods have left the store, so what is on hand is taken even when it does not cover the
+    // sale; pending sales hold stock too
+    await transitionSale(tx, id, held ? HELD_FOR_REVIEW : COMPLETED, { userId, reason: 'offline_sync', allowOversell: true });
+
+    // Units the ledger could not take because they were not on hand
+    const taken = await tx.stockMovement.groupBy({
+      by: ['productId'],
+      where: { referenceType: 'sale', referenceId: id, type: 'sale' },
+      _sum: { quantity: true }
+    });
+    const takenByProduct = new Map(taken.map(row => [row.productId, -row._sum.quantity]));
+    const soldByProduct = new Map();
+
+    for (const line of pricing.items) {
+      soldByProduct.set(line.productId, (soldByProduct.get(line.productId) || 0) + line.quantity);
+    }
+
+    for (const [productId, quantity] of soldByProduct) {
+      const shortfall = quantity - (takenByProduct.get(productId) || 0);
+
+      if (shortfall > 0) {
+        conflicts.push({ type: 'oversold', productId, shortfall });
+      }
+    }
+
+    const soldFrom = await tx.saleItem.findMany({
+      where: { saleId: id },
+      select: { productId: true, location: true },
+      distinct: ['productId', 'location']
+    });
+
+    for (const { productId, location } of soldFrom) {
+      const inventory = await tx.inventory.findFirst({ where: { productId, storeId, location } });
+
+      // Units set aside for layaways were sold
+      if (inventory && inventory.quantity < inventory.reservedQuantity) {
+        conflicts.push({ type: 'oversold', productId, location, available: inventory.quantity - inventory.reservedQuantity });
+      }
+    }
+  });
+
+  return { conflicts, held };
+};
+
+/**
+ * Record a batch of offline sales in order and report on each one: `created` (with any conflicts),
+ * `held` when it was recorded as pending for review, `duplicate` when the id was already synced,
+ * `rejected` when the sale cannot be recorded as sent, or `failed` when it should be pushed again later.
+ */
+const pushSales = async (sales, context) => {
+  if (!Array.isArray(sales) || sales.length === 0) {
+    throw httpError(400, 'At least one sale is required');
+  }
+
+  if (sales.length > PUSH_BATCH_LIMIT) {
+    throw httpError(400, `At most ${PUSH_BATCH_LIMIT} sales can be pushed at once`);
+  }
+
+  const results = [];
+
+  for (const offlineSale of sales) {
+    const id = offlineSale && offlineSale.id;
+
+    if (typeof id !== 'string' || !UUID_PATTERN.test(id)) {
+      results.push({ id, status: 'rejected', error: 'Each sale needs a client-generated UUID id' });
+      continue;
+    }
+
+    try {
+      const existing = await prisma.sale.findUnique({ where: { id }, select: { id: true } });
+
+      if (existing) {
+        results.push({ id, status: 'duplicate' });
+        continue;
+      }
+
+      const { conflicts, held } = await recordOfflineSale(offlineSale, context);
+      results.push({ id, status: held ? 'held' : 'created', conflicts });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        // The same sale pushed twice at once
+        results.push({ id, status: 'duplicate' });
+      } else if (error.status) {
+        results.push({ id, status: 'rejected', error: error.message });
+      } else {
+        console.error('Sync sale error:', error);
+        results.push({ id, status: 'failed', error: 'Internal server error' });
+      }
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  PRICE_OVERRIDE_PERMISSION,
+  pullChanges,
+  pushSales
+};
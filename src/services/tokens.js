@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { TERMINAL_SCOPE } = require('./access');
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const TERMINAL_TOKEN_EXPIRES_IN = process.env.TERMINAL_TOKEN_EXPIRES_IN || '12h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh tokens are opaque; only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, familyId, claims = {}, expiresIn = ACCESS_TOKEN_EXPIRES_IN) => jwt.sign(
+  { userId: user.id, email: user.email, familyId, ...claims },
+  process.env.JWT_SECRET,
+  { expiresIn }
+);
+
+const createRefreshToken = async (client, familyId) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await client.refreshToken.create({
+    data: {
+      familyId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return token;
+};
+
+// Start a new token family for a successful login
+const issueTokens = async (user, { userAgent, ipAddress } = {}) => {
+  const family = await prisma.tokenFamily.create({
+    data: {
+      userId: user.id,
+      userAgent,
+      ipAddress
+    }
+  });
+
+  const refreshToken = await createRefreshToken(prisma, family.id);
+
+  return {
+    accessToken: signAccessToken(user, family.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// PIN logins get a narrowly-scoped access token bound to the terminal and no refresh token
+const issueTerminalToken = async (user, terminal, { userAgent, ipAddress } = {}) => {
+  const family = await prisma.tokenFamily.create({
+    data: {
+      userId: user.id,
+      terminalId: terminal.id,
+      userAgent,
+      ipAddress
+    }
+  });
+
+  return {
+    accessToken: signAccessToken(
+      user,
+      family.id,
+      { scope: TERMINAL_SCOPE, terminalId: terminal.id },
+      TERMINAL_TOKEN_EXPIRES_IN
+    ),
+    expiresIn: TERMINAL_TOKEN_EXPIRES_IN
+  };
+};
+
+const revokeTokenFamily = (familyId) => prisma.tokenFamily.updateMany({
+  where: { id: familyId, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+const revokeAllTokenFamilies = (userId) => prisma.tokenFamily.updateMany({
+  where: { userId, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+const revokeTerminalTokenFamilies = (terminalId) => prisma.tokenFamily.updateMany({
+  where: { terminalId, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+// Exchange a refresh token for a new pair; presenting a used token revokes the whole family
+const rotateRefreshToken = async (token) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      family: {
+        include: { user: true }
+      }
+    }
+  });
+
+  if (!stored || stored.family.revokedAt) {
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  if (stored.usedAt) {
+    await revokeTokenFamily(stored.familyId);
+    throw httpError(401, 'Refresh token reuse detected; session revoked');
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw httpError(401, 'Refresh token expired');
+  }
+
+  const { user } = stored.family;
+  if (!user.isActive) {
+    throw httpError(401, 'Account is inactive');
+  }
+
+  const refreshToken = await prisma.$transaction(async (tx) => {
+    // Guard against two concurrent refreshes with the same token
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw httpError(401, 'Invalid refresh token');
+    }
+
+    await tx.tokenFamily.update({
+      where: { id: stored.familyId },
+      data: { lastUsedAt: new Date() }
+    });
+
+    return createRefreshToken(tx, stored.familyId);
+  });
+
+  return {
+    accessToken: signAccessToken(user, stored.familyId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// True when the family an access token belongs to is still live
+const isTokenFamilyActive = async (familyId) => {
+  if (!familyId) {
+    return false;
+  }
+
+  const family = await prisma.tokenFamily.findUnique({
+    where: { id: familyId },
+    select: { revokedAt: true }
+  });
+
+  return Boolean(family && !family.revokedAt);
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  issueTerminalToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllTokenFamilies,
+  revokeTerminalTokenFamilies,
+  isTokenFamilyActive
+};
@@ -0,0 +1,270 @@
+const { PrismaClient } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { DEFAULT_LOCATION, moveStock } = require('./stock');
+
+const prisma = new PrismaClient();
+
+/**
+ * pending    - created; nothing has moved yet
+ * in_transit - dispatched: taken out of the source location, not yet at the destination
+ * received   - booked into the destination location, with any discrepancies recorded per line
+ * cancelled  - withdrawn; goods already dispatched went back to the source location
+ */
+const TRANSFER_STATUSES = ['pending', 'in_transit', 'received', 'cancelled'];
+
+// Ledger references for movements made by transfers
+const REFERENCE_TYPE = 'transfer';
+
+const transferInclude = {
+  fromStore: { select: { id: true, code: true, name: true } },
+  toStore: { select: { id: true, code: true, name: true } },
+  items: {
+    include: {
+      product: { select: { id: true, name: true, sku: true } }
+    }
+  }
+};
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+const findTransfer = (client, id) => client.stockTransfer.findUnique({
+  where: { id },
+  include: transferInclude
+});
+
+/**
+ * Lines where what arrived differs from what was sent: `short` units never arrived, `over` units
+ * arrived beyond what was sent, `damaged` units arrived unsellable. Empty until the transfer is
+ * received.
+ */
+const transferDiscrepancies = (transfer) => transfer.items
+  .filter(item => item.quantityReceived !== null)
+  .map((item) => {
+    const damaged = item.quantityDamaged || 0;
+    const arrived = item.quantityReceived + damaged;
+
+    return {
+      productId: item.productId,
+      sent: item.quantity,
+      received: item.quantityReceived,
+      damaged,
+      short: Math.max(item.quantity - arrived, 0),
+      over: Math.max(arrived - item.quantity, 0)
+    };
+  })
+  .filter(line => line.damaged > 0 || line.short > 0 || line.over > 0);
+
+// Move a transfer to status `to`, only if nothing else moved it since it was read
+const advanceTransfer = async (client, transfer, to, data) => {
+  const { count } = await client.stockTransfer.updateMany({
+    where: { id: transfer.id, status: transfer.status },
+    data: { status: to, ...data }
+  });
+
+  if (count === 0) {
+    throw httpError(409, 'Transfer was changed by another request');
+  }
+};
+
+const requireStatus = (transfer, status) => {
+  if (transfer.status !== status) {
+    throw httpError(400, `Transfer is ${transfer.status.replace('_', ' ')}`);
+  }
+};
+
+const createTransfer = async ({ userId, fromStoreId, fromLocation, toStoreId, toLocation, items, notes }) => {
+  const from = fromLocation || DEFAULT_LOCATION;
+  const to = toLocation || DEFAULT_LOCATION;
+
+  if (!toStoreId) {
+    throw httpError(400, 'toStoreId is required');
+  }
+
+  if (fromStoreId === toStoreId && from === to) {
+    throw httpError(400, 'Source and destination must differ');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'At least one item is required');
+  }
+
+  if (items.some(item => !item || typeof item.productId !== 'string' || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+    throw httpError(400, 'Each item needs a productId and a positive integer quantity');
+  }
+
+  const productIds = items.map(item => item.productId);
+
+  if (new Set(productIds).size !== productIds.length) {
+    throw httpError(400, 'Each product may appear only once on a transfer');
+  }
+
+  const [destination, productCount] = await Promise.all([
+    prisma.store.findUnique({ where: { id: toStoreId } }),
+    prisma.product.count({ where: { id: { in: productIds } } })
+  ]);
+
+  if (!destination || !destination.isActive) {
+    throw httpError(400, 'Destination store not found');
+  }
+
+  if (productCount !== productIds.length) {
+    throw httpError(400, 'One or more products not found');
+  }
+
+  return prisma.stockTransfer.create({
+    data: {
+      fromStoreId,
+      fromLocation: from,
+      toStoreId,
+      toLocation: to,
+      notes,
+      createdById: userId,
+      items: {
+        create: items.map(item => ({
+          productId: item.productId,
+          quantity: item.quantity
+        }))
+      }
+    },
+    include: transferInclude
+  });
+};
+
+// Take the goods out of the source location; they are in transit until received
+const dispatchTransfer = async (transfer, { userId }) => {
+  requireStatus(transfer, 'pending');
+
+  return prisma.$transaction(async (tx) => {
+    await advanceTransfer(tx, transfer, 'in_transit', {
+      dispatchedById: userId,
+      dispatchedAt: new Date()
+    });
+
+    for (const item of transfer.items) {
+      await moveStock(tx, {
+        storeId: transfer.fromStoreId,
+        productId: item.productId,
+        location: transfer.fromLocation,
+        change: -item.quantity,
+        requireAvailable: true,
+        type: 'transfer_out',
+        referenceType: REFERENCE_TYPE,
+        referenceId: transfer.id,
+        userId
+      });
+    }
+
+    return findTransfer(tx, transfer.id);
+  });
+};
+
+/**
+ * Book the goods into the destination location. `items` gives what arrived per product
+ * ({ productId, quantityReceived, quantityDamaged, notes }); lines left out arrived in full.
+ * Only sellable units are added to stock. Damaged and missing units stay on the transfer line
+ * as discrepancies.
+ */
+const receiveTransfer = async (transfer, { userId, items = [] }) => {
+  requireStatus(transfer, 'in_transit');
+
+  if (!Array.isArray(items)) {
+    throw httpError(400, 'items must be an array');
+  }
+
+  const lines = new Map(transfer.items.map(item => [item.productId, item]));
+  const counts = new Map();
+
+  for (const line of items) {
+    if (!line || !lines.has(line.productId)) {
+      throw httpError(400, 'items lists a product that is not on this transfer');
+    }
+
+    const quantityReceived = line.quantityReceived === undefined ? lines.get(line.productId).quantity : line.quantityReceived;
+    const quantityDamaged = line.quantityDamaged === undefined ? 0 : line.quantityDamaged;
+
+    if (!isCount(quantityReceived) || !isCount(quantityDamaged)) {
+      throw httpError(400, 'quantityReceived and quantityDamaged must be non-negative integers');
+    }
+
+    counts.set(line.productId, { quantityReceived, quantityDamaged, notes: line.notes });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await advanceTransfer(tx, transfer, 'received', {
+      receivedById: userId,
+      receivedAt: new Date()
+    });
+
+    for (const item of transfer.items) {
+      const count = counts.get(item.productId) || { quantityReceived: item.quantity, quantityDamaged: 0 };
+
+      await tx.stockTransferItem.update({
+        where: { id: item.id },
+        data: {
+          quantityReceived: count.quantityReceived,
+          quantityDamaged: count.quantityDamaged,
+          notes: count.notes
+        }
+      });
+
+      if (count.quantityReceived > 0) {
+        await moveStock(tx, {
+          storeId: transfer.toStoreId,
+          productId: item.productId,
+          location: transfer.toLocation,
+          change: count.quantityReceived,
+          type: 'transfer_in',
+          referenceType: REFERENCE_TYPE,
+          referenceId: transfer.id,
+          userId
+        });
+      }
+    }
+
+    return findTransfer(tx, transfer.id);
+  });
+};
+
+// Withdraw a transfer; goods already dispatched are put back at the source location
+const cancelTransfer = async (transfer, { userId, reason }) => {
+  if (!['pending', 'in_transit'].includes(transfer.status)) {
+    throw httpError(400, `Transfer is ${transfer.status}`);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await advanceTransfer(tx, transfer, 'cancelled', {
+      cancelledById: userId,
+      cancelledAt: new Date(),
+      notes: reason ? [transfer.notes, `Cancelled: ${reason}`].filter(Boolean).join('\n') : transfer.notes
+    });
+
+    if (transfer.status === 'in_transit') {
+      for (const item of transfer.items) {
+        await moveStock(tx, {
+          storeId: transfer.fromStoreId,
+          productId: item.productId,
+          location: transfer.fromLocation,
+          change: item.quantity,
+          type: 'transfer_return',
+          referenceType: REFERENCE_TYPE,
+          referenceId: transfer.id,
+          userId,
+          reason
+        });
+      }
+    }
+
+    return findTransfer(tx, transfer.id);
+  });
+};
+
+module.exports = {
+  TRANSFER_STATUSES,
+  transferInclude,
+  findTransfer,
+  transferDiscrepancies,
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+const { httpError } = require('../utils/httpError');
+
+const prisma = new PrismaClient();
+
+const CHALLENGE_PURPOSE = 'two_factor';
+const SETUP_CHALLENGE_PURPOSE = 'two_factor_setup';
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Names of roles that must use 2FA, in addition to roles flagged requires_two_factor
+const REQUIRED_ROLE_NAMES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+// Required when any role assigned through user_roles enforces it
+const isTwoFactorRequired = async (user) => {
+  const enforcedRoles = await prisma.userRole.count({
+    where: {
+      userId: user.id,
+      role: {
+        OR: [
+          { requiresTwoFactor: true },
+          { name: { in: REQUIRED_ROLE_NAMES } }
+        ]
+      }
+    }
+  });
+
+  return enforcedRoles > 0;
+};
+
+// Short-lived token proving the password step passed; never accepted as an access token
+const signChallengeToken = (user, purpose = CHALLENGE_PURPOSE) => jwt.sign(
+  { userId: user.id, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== purpose) {
+      throw new Error('Wrong challenge purpose');
+    }
+    return payload;
+  } catch (error) {
+    throw httpError(401, 'Invalid or expired challenge token');
+  }
+};
+
+// Recovery codes are shown once; only hashes are kept
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code))
+  };
+};
+
+// Check a TOTP code (rejecting replays of an already used step) or consume a recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    if (typeof recoveryCode !== 'string') {
+      throw httpError(400, 'recoveryCode must be a string');
+    }
+
+    const hash = hashToken(recoveryCode.trim().toLowerCase());
+    if (!user.totpRecoveryCodes.includes(hash)) {
+      throw httpError(401, 'Invalid recovery code');
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpRecoveryCodes: user.totpRecoveryCodes.filter(h => h !== hash)
+      }
+    });
+
+    return { method: 'recovery_code' };
+  }
+
+  const step = verifyCode(user.totpSecret, code);
+  if (step === null || (user.totpLastUsedStep !== null && step <= user.totpLastUsedStep)) {
+    throw httpError(401, 'Invalid authentication code');
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpLastUsedStep: step }
+  });
+
+  return { method: 'totp' };
+};
+
+module.exports = {
+  CHALLENGE_PURPOSE,
+  SETUP_CHALLENGE_PURPOSE,
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  verifySecondFactor
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { hashToken } = require('./tokens');
+const { httpError } = require('../utils/httpError');
+
+const prisma = new PrismaClient();
+
+const PASSWORD_RESET = 'password_reset';
+const EMAIL_VERIFICATION = 'email_verification';
+
+const TOKEN_TTL_MINUTES = {
+  [PASSWORD_RESET]: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  [EMAIL_VERIFICATION]: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60
+};
+
+// Issue a fresh token, invalidating any outstanding one for the same purpose
+const createUserToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, purpose, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+      }
+    })
+  ]);
+
+  return token;
+};
+
+// Mark a token used and return its user id; fails if unknown, expired or already used
+const consumeUserToken = async (token, purpose) => {
+  const tokenHash = hashToken(token || '');
+
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      tokenHash,
+      purpose,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw httpError(400, 'Invalid or expired token');
+  }
+
+  const { userId } = await prisma.userToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true }
+  });
+
+  return userId;
+};
+
+module.exports = {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  createUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,196 @@
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { httpError } = require('../utils/httpError');
+const { getUserAccess } = require('./access');
+const {
+  isAccountLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+  isPinLocked,
+  registerFailedPin,
+  clearFailedPins,
+  recordLoginEvent
+} = require('./loginAudit');
+const { findStatusId } = require('./statuses');
+const { ALL_STORES_PERMISSION } = require('../middleware/storeAccess');
+const { counterRefundDue, reverseSalePayments } = require('./payments');
+const { saleInclude } = require('./sales');
+const { LEGACY_STATUS, transitionSale } = require('./saleStateMachine');
+const { currentShiftId } = require('./openShifts');
+
+const prisma = new PrismaClient();
+
+const VOID_REASONS = ['cashier_error', 'customer_request', 'duplicate', 'price_error', 'payment_issue', 'test_transaction', 'other'];
+const VOIDABLE_STATUSES = ['pending', 'completed'];
+const APPROVAL_PERMISSION = 'sales:void';
+
+const CANCELLED = 'cancelled';
+
+const personSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  email: true
+};
+
+const isFilledString = value => typeof value === 'string' && value !== '';
+
+/**
+ * Check a manager's credentials given alongside a void: { email, password } or { userId, pin }.
+ * The approver must work in the sale's store, or in every store. Failures count towards the
+ * approver's own login or PIN lockout and are kept in their login history.
+ */
+const verifyManagerApproval = async (approval, { storeId, requesterId, terminalId, userAgent, ipAddress }) => {
+  const byPin = Boolean(approval && approval.pin);
+  const complete = byPin
+    ? isFilledString(approval.userId) && (isFilledString(approval.pin) || typeof approval.pin === 'number')
+    : Boolean(approval) && isFilledString(approval.email) && isFilledString(approval.password);
+
+  if (!complete) {
+    throw httpError(400, 'Manager approval requires email and password, or userId and PIN');
+  }
+
+  const method = byPin ? 'pin' : 'password';
+  const audit = {
+    method: `approval_${method}`,
+    terminal: terminalId ? { id: terminalId } : null,
+    email: approval.email,
+    userAgent,
+    ipAddress
+  };
+
+  const approver = await prisma.user.findUnique({
+    where: byPin ? { id: approval.userId } : { email: approval.email }
+  });
+
+  if (!approver || !approver.isActive || (byPin && !approver.pinHash)) {
+    await recordLoginEvent({ ...audit, user: approver, success: false, failureReason: 'invalid_credentials' });
+    throw httpError(403, 'Invalid manager credentials');
+  }
+
+  if (byPin ? isPinLocked(approver) : isAccountLocked(approver)) {
+    await recordLoginEvent({ ...audit, user: approver, success: false, failureReason: 'locked' });
+    throw httpError(423, 'Manager account is locked after too many failed attempts');
+  }
+
+  const valid = byPin
+    ? await bcrypt.compare(String(approval.pin), approver.pinHash)
+    : await bcrypt.compare(approval.password, approver.passwordHash);
+
+  if (!valid) {
+    await (byPin ? registerFailedPin(approver) : registerFailedLogin(approver));
+    await recordLoginEvent({ ...audit, user: approver, success: false, failureReason: `invalid_${method}` });
+    throw httpError(403, 'Invalid manager credentials');
+  }
+
+  await (byPin ? clearFailedPins(approver) : clearFailedLogins(approver));
+
+  const [{ permissions }, assignment] = await Promise.all([
+    getUserAccess(approver.id),
+    prisma.userStore.findUnique({
+      where: { userId_storeId: { userId: approver.id, storeId } }
+    })
+  ]);
+
+  if (!permissions.has(APPROVAL_PERMISSION)) {
+    await recordLoginEvent({ ...audit, user: approver, success: false, failureReason: 'not_authorized' });
+    throw httpError(403, 'Approver is not allowed to void sales');
+  }
+
+  if (!assignment && !permissions.has(ALL_STORES_PERMISSION)) {
+    await recordLoginEvent({ ...audit, user: approver, success: false, failureReason: 'wrong_store' });
+    throw httpError(403, 'Approver does not work in this sale\'s store');
+  }
+
+  if (approver.id === requesterId) {
+    await recordLoginEvent({ ...audit, user: approver, success: false, failureReason: 'self_approval' });
+    throw httpError(403, 'A void must be approved by someone other than the requester');
+  }
+
+  await recordLoginEvent({ ...audit, user: approver, success: true });
+
+  return { approver, method };
+};
+
+// Cancel a sale with a manager's approval: stock goes back where it was taken from, the customer's
+// totals and points are reversed, and the payments are refunded or flagged for the counter
+const voidSale = async (saleId, { reasonCode, notes, approval, requesterId, terminalId, userAgent, ipAddress }) => {
+  if (!VOID_REASONS.includes(reasonCode)) {
+    throw httpError(400, `reasonCode must be one of: ${VOID_REASONS.join(', ')}`);
+  }
+
+  const sale = await prisma.sale.findUnique({
+    where: { id: saleId },
+    include: {
+      saleStatus: true,
+      saleReturns: { select: { id: true } },
+      payments: { include: { paymentMethod: true } }
+    }
+  });
+
+  if (!sale) {
+    throw httpError(404, 'Sale not found');
+  }
+
+  // Sales recorded before statuses existed have none and count as completed, as in the state machine
+  const status = sale.saleStatus ? sale.saleStatus.name : LEGACY_STATUS;
+
+  if (!VOIDABLE_STATUSES.includes(status)) {
+    throw httpError(400, `Cannot void a ${status} sale`);
+  }
+
+  if (sale.saleReturns.length > 0) {
+    throw httpError(400, 'Sale has returns; return the remaining items instead of voiding it');
+  }
+
+  const { approver, method } = await verifyManagerApproval(approval, { storeId: sale.storeId, requesterId, terminalId, userAgent, ipAddress });
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Puts the stock back and reverses the customer's totals, once
+    await transitionSale(tx, saleId, CANCELLED, {
+      from: status,
+      userId: requesterId,
+      reason: `void:${reasonCode}`,
+      data: {
+        paymentStatusId: await findStatusId(tx, 'paymentStatus', sale.amountPaid.isZero() ? CANCELLED : 'refunded')
+      }
+    });
+
+    const saleVoid = await tx.saleVoid.create({
+      data: {
+        saleId,
+        requestedById: requesterId,
+        approvedById: approver.id,
+        terminalId,
+        reasonCode,
+        approvalMethod: method,
+        notes,
+        refundDue: counterRefundDue(sale.payments),
+        shiftId: await currentShiftId(tx, requesterId, sale.storeId)
+      },
+      include: {
+        requestedBy: { select: personSelect },
+        approvedBy: { select: personSelect }
+      }
+    });
+
+    return {
+      saleVoid,
+      sale: await tx.sale.findUnique({ where: { id: saleId }, include: saleInclude })
+    };
+  });
+
+  // Gateway payments are refunded after the void is committed, as with returns
+  const { gatewayRefunds, refundDue } = await reverseSalePayments(saleId, sale.payments);
+
+  return {
+    ...result,
+    gatewayRefunds,
+    refundDue
+  };
+};
+
+module.exports = {
+  VOID_REASONS,
+  voidSale
+};
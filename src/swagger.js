@@ -35,6 +35,57 @@ const swaggerDefinition = {
         bearerFormat: 'JWT'
       }
     },
+    responses: {
+      BadRequestError: {
+        description: 'Invalid request',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+          }
+        }
+      },
+      UnauthorizedError: {
+        description: 'Unauthorized - Invalid or missing token',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+          }
+        }
+      },
+      ForbiddenError: {
+        description: 'Forbidden - Missing required role or permission',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+          }
+        }
+      },
+      NotFoundError: {
+        description: 'Resource not found',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+          }
+        }
+      },
+      IdempotencyKeyReused: {
+        description: 'Idempotency-Key was already used for a different request',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+          }
+        }
+      }
+    },
+    parameters: {
+      IdempotencyKey: {
+        in: 'header',
+        name: 'Idempotency-Key',
+        required: false,
+        schema: { type: 'string', maxLength: 255 },
+        description: 'Unique key for this request. Retries with the same key and body replay the first response (with Idempotent-Replayed: true) instead of running again.'
+      }
+    },
     schemas: {
       User: {
         type: 'object',
@@ -102,6 +153,11 @@ const swaggerDefinition = {
             format: 'uuid',
             description: 'Category ID'
           },
+          supplierId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'Supplier the product is usually bought from'
+          },
           price: {
             type: 'number',
             format: 'decimal',
@@ -110,7 +166,7 @@ const swaggerDefinition = {
           cost: {
             type: 'number',
             format: 'decimal',
-            description: 'Product cost'
+            description: 'Product cost, updated as purchase orders are received'
           },
           taxRate: {
             type: 'number',
@@ -291,6 +347,69 @@ const swaggerDefinition = {
           }
         }
       },
+      StockMovement: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid',
+            description: 'Unique identifier for the movement'
+          },
+          productId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'Product ID'
+          },
+          storeId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'Store holding the stock'
+          },
+          location: {
+            type: 'string',
+            description: 'Inventory location within the store'
+          },
+          type: {
+            type: 'string',
+            enum: ['sale', 'sale_void', 'return', 'adjustment', 'count', 'transfer_out', 'transfer_in', 'transfer_return', 'receipt', 'opening'],
+            description: 'What changed the stock'
+          },
+          quantity: {
+            type: 'integer',
+            description: 'Units added (positive) or taken out (negative)'
+          },
+          quantityBefore: {
+            type: 'integer',
+            description: 'Quantity on hand before the movement'
+          },
+          quantityAfter: {
+            type: 'integer',
+            description: 'Quantity on hand after the movement'
+          },
+          referenceType: {
+            type: 'string',
+            description: 'Kind of document behind the movement (sale, return, transfer, ...)'
+          },
+          referenceId: {
+            type: 'string',
+            description: 'ID of the document behind the movement'
+          },
+          userId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'User who made the change'
+          },
+          reason: {
+            type: 'string',
+            description: 'Reason given for the change'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the movement was recorded'
+          }
+        }
+      },
       Error: {
         type: 'object',
         properties: {
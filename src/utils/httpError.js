@@ -0,0 +1,11 @@
+// Error carrying an HTTP status so route handlers can map service failures to responses
+const httpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,41 @@
+const { Prisma } = require('@prisma/client');
+
+const { Decimal } = Prisma;
+
+const ZERO = new Decimal(0);
+
+// All money is rounded to cents, half up, at line level; header totals are sums of rounded lines
+const roundMoney = (value) => new Decimal(value).toDecimalPlaces(2, Decimal.ROUND_HALF_UP);
+
+// Split `amount` across lines in proportion to `weights` using the largest remainder method,
+// so the shares always add up to exactly `amount` in cents
+const allocate = (amount, weights) => {
+  const totalCents = amount.times(100).toNumber();
+  const totalWeight = weights.reduce((sum, weight) => sum.plus(weight), ZERO);
+
+  if (totalCents === 0 || totalWeight.isZero()) {
+    return weights.map(() => ZERO);
+  }
+
+  const exact = weights.map(weight => weight.times(totalCents).dividedBy(totalWeight));
+  const cents = exact.map(share => share.floor().toNumber());
+  let remaining = totalCents - cents.reduce((sum, c) => sum + c, 0);
+
+  const byRemainder = exact
+    .map((share, index) => ({ index, remainder: share.minus(share.floor()) }))
+    .sort((a, b) => b.remainder.comparedTo(a.remainder) || a.index - b.index);
+
+  for (const { index } of byRemainder) {
+    if (remaining === 0) break;
+    cents[index] += 1;
+    remaining -= 1;
+  }
+
+  return cents.map(c => new Decimal(c).dividedBy(100));
+};
+
+module.exports = {
+  ZERO,
+  roundMoney,
+  allocate
+};
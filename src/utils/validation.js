@@ -0,0 +1,51 @@
+const { Prisma } = require('@prisma/client');
+const { httpError } = require('./httpError');
+
+const { Decimal } = Prisma;
+
+// Optional request fields: a missing or empty value is null, anything else must parse or the
+// request fails with 400 naming `field`
+
+const optionalDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${field} must be a valid date`);
+  }
+
+  return date;
+};
+
+const optionalCount = (value, field) => {
+  if (value === undefined || value === null) return null;
+
+  if (!Number.isInteger(value) || value < 1) {
+    throw httpError(400, `${field} must be a positive integer`);
+  }
+
+  return value;
+};
+
+const optionalDecimal = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  let decimal;
+  try {
+    decimal = new Decimal(value);
+  } catch (error) {
+    throw httpError(400, `${field} must be a number`);
+  }
+
+  if (!decimal.isFinite() || decimal.isNegative()) {
+    throw httpError(400, `${field} must be a non-negative number`);
+  }
+
+  return decimal;
+};
+
+module.exports = {
+  optionalDate,
+  optionalCount,
+  optionalDecimal
+};
@@ -0,0 +1,48 @@
+// In-memory stand-in for @prisma/client. Every `new PrismaClient()` in src returns the same
+// client, whose model methods are jest.fn()s created on first use, so a test can stub
+// `prisma.sale.findUnique` and have every module see it. $transaction runs the callback with
+// the same client.
+const actual = jest.requireActual('@prisma/client');
+
+const MODEL_METHODS = [
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'create', 'createMany', 'update', 'updateMany', 'upsert', 'delete', 'deleteMany',
+  'count', 'aggregate', 'groupBy'
+];
+
+const createModel = () => Object.fromEntries(MODEL_METHODS.map(method => [method, jest.fn()]));
+
+const createClient = () => {
+  const models = {};
+  let proxy;
+  const client = {
+    $transaction: jest.fn(async (work) => (typeof work === 'function' ? work(proxy) : Promise.all(work))),
+    $executeRaw: jest.fn(),
+    $queryRaw: jest.fn(),
+    $connect: jest.fn(),
+    $disconnect: jest.fn()
+  };
+
+  proxy = new Proxy(client, {
+    get(target, property) {
+      if (property in target || typeof property !== 'string' || property === 'then') {
+        return target[property];
+      }
+      if (!models[property]) {
+        models[property] = createModel();
+      }
+      return models[property];
+    }
+  });
+
+  return proxy;
+};
+
+const mockClient = createClient();
+
+module.exports = {
+  ...actual,
+  Prisma: actual.Prisma,
+  PrismaClient: jest.fn(() => mockClient),
+  mockClient
+};
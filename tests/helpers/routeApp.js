@@ -0,0 +1,27 @@
+const express = require('express');
+
+// Mount a router the way src/app.js does, for supertest. Tests mock the auth, store and
+// idempotency middleware so requests reach the handler as an authenticated user.
+const routeApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+// Factories for jest.mock: pass-through middleware with a fixed req.user
+const mockAuthMiddleware = (user = { userId: 'user-1' }) => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { ...user };
+    next();
+  },
+  authorizeRoles: () => (req, res, next) => next(),
+  authorizePermission: () => (req, res, next) => next(),
+  loadAccess: async () => ({ roles: new Set(), permissions: new Set() })
+});
+
+const mockIdempotencyMiddleware = () => ({
+  idempotent: () => (req, res, next) => next()
+});
+
+module.exports = { routeApp, mockAuthMiddleware, mockIdempotencyMiddleware };
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { routeApp } = require('../helpers/routeApp');
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { mockClient } = require('@prisma/client');
+const { signChallengeToken, SETUP_CHALLENGE_PURPOSE } = require('../../src/services/twoFactor');
+const authRouter = require('../../src/routes/auth');
+
+const app = routeApp('/api/auth', authRouter);
+
+describe('POST /api/auth/pin-login', () => {
+  beforeEach(() => {
+    mockClient.terminal.findUnique.mockResolvedValue(null);
+    mockClient.loginEvent.create.mockResolvedValue({});
+  });
+
+  it('is rate limited per IP after repeated failures', async () => {
+    const attempt = () => request(app)
+      .post('/api/auth/pin-login')
+      .set('X-Terminal-Token', 'unknown')
+      .send({ userId: 'user-1', pin: '0000' });
+
+    for (let i = 0; i < 5; i++) {
+      expect((await attempt()).status).toBe(401);
+    }
+
+    expect((await attempt()).status).toBe(429);
+  });
+});
+
+describe('POST /api/auth/2fa/enable', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = {
+      id: 'user-1',
+      email: 'manager@example.com',
+      isActive: true,
+      totpEnabledAt: null,
+      totpSecret: 'JBSWY3DPEHPK3PXP',
+      failedLoginAttempts: 0,
+      lockedUntil: null
+    };
+
+    mockClient.user.findUnique.mockImplementation(async () => ({ ...stored }));
+    mockClient.user.update.mockImplementation(async ({ data }) => {
+      for (const [field, value] of Object.entries(data)) {
+        stored[field] = value && value.increment !== undefined ? stored[field] + value.increment : value;
+      }
+      return { ...stored };
+    });
+    mockClient.loginEvent.create.mockResolvedValue({});
+  });
+
+  const enable = () => request(app)
+    .post('/api/auth/2fa/enable')
+    .send({ challengeToken: signChallengeToken(stored, SETUP_CHALLENGE_PURPOSE), code: 'wrong' });
+
+  it('counts wrong codes from a setup challenge towards the lockout', async () => {
+    const response = await enable();
+
+    expect(response.status).toBe(401);
+    expect(stored.failedLoginAttempts).toBe(1);
+    expect(mockClient.loginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ success: false, method: 'two_factor' })
+    }));
+  });
+
+  it('locks the account on the last allowed wrong code', async () => {
+    stored.failedLoginAttempts = 4;
+
+    const response = await enable();
+
+    expect(response.status).toBe(423);
+    expect(stored.lockedUntil).toBeInstanceOf(Date);
+  });
+
+  it('refuses a locked account before checking the code', async () => {
+    stored.lockedUntil = new Date(Date.now() + 60000);
+
+    const response = await enable();
+
+    expect(response.status).toBe(423);
+    expect(stored.failedLoginAttempts).toBe(0);
+  });
+});
@@ -0,0 +1,50 @@
+const request = require('supertest');
+const { routeApp } = require('../helpers/routeApp');
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+jest.mock('../../src/middleware/auth', () => require('../helpers/routeApp').mockAuthMiddleware());
+jest.mock('../../src/middleware/idempotency', () => require('../helpers/routeApp').mockIdempotencyMiddleware());
+jest.mock('../../src/middleware/storeAccess', () => ({
+  ...jest.requireActual('../../src/middleware/storeAccess'),
+  resolveStoreId: jest.fn(),
+  authorizeSaleStore: () => (req, res, next) => next()
+}));
+
+const { resolveStoreId } = require('../../src/middleware/storeAccess');
+const { paymentStatusName } = require('../../src/services/payments');
+const salesRouter = require('../../src/routes/sales');
+
+const app = routeApp('/api/sales', salesRouter);
+
+describe('sale payment status', () => {
+  it('is derived from what has been paid', () => {
+    expect(paymentStatusName('10.00', '0')).toBe('unpaid');
+    expect(paymentStatusName('10.00', '0', '10.00')).toBe('pending');
+    expect(paymentStatusName('10.00', '4.00')).toBe('partial');
+    expect(paymentStatusName('10.00', '10.00')).toBe('paid');
+    expect(paymentStatusName('10.00', '12.00')).toBe('paid');
+  });
+
+  it('never treats a zero payment as paid', () => {
+    expect(paymentStatusName('0.00', '0')).toBe('unpaid');
+  });
+
+  it('rejects a paymentStatusId when creating a sale', async () => {
+    const response = await request(app)
+      .post('/api/sales')
+      .send({ items: [{ productId: 'product-1', quantity: 1 }], paymentStatusId: 'paid-status' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/derived/);
+    expect(resolveStoreId).not.toHaveBeenCalled();
+  });
+
+  it('rejects a paymentStatusId when changing a sale status', async () => {
+    const response = await request(app)
+      .put('/api/sales/sale-1/status')
+      .send({ paymentStatusId: 'paid-status' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/derived/);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { routeApp } = require('../helpers/routeApp');
+
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+jest.mock('../../src/middleware/auth', () => ({
+  ...require('../helpers/routeApp').mockAuthMiddleware(),
+  loadAccess: jest.fn()
+}));
+jest.mock('../../src/middleware/storeAccess', () => ({
+  ...jest.requireActual('../../src/middleware/storeAccess'),
+  allowedStoreIds: jest.fn(),
+  storeFilter: jest.fn(async () => null)
+}));
+
+const { mockClient } = require('@prisma/client');
+const { loadAccess } = require('../../src/middleware/auth');
+const { allowedStoreIds } = require('../../src/middleware/storeAccess');
+const usersRouter = require('../../src/routes/users');
+
+const app = routeApp('/api/users', usersRouter);
+
+const newUser = (body = {}) => request(app)
+  .post('/api/users')
+  .send({ email: 'cashier@example.com', password: 'long-enough', ...body });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  loadAccess.mockResolvedValue({ roles: new Set(['manager']), permissions: new Set() });
+  allowedStoreIds.mockResolvedValue(['store-1']);
+  mockClient.role.findMany.mockResolvedValue([]);
+  mockClient.store.count.mockResolvedValue(0);
+  mockClient.user.create.mockImplementation(async ({ data }) => ({ id: 'user-2', email: data.email }));
+});
+
+describe('POST /api/users', () => {
+  it('rejects the legacy role field', async () => {
+    const response = await newUser({ role: 'admin' });
+
+    expect(response.status).toBe(400);
+    expect(mockClient.user.create).not.toHaveBeenCalled();
+  });
+
+  it('writes the given roles to user_roles', async () => {
+    mockClient.role.findMany.mockResolvedValue([{ id: 'role-manager', name: 'manager' }]);
+
+    const response = await newUser({ roleIds: ['role-manager'] });
+
+    expect(response.status).toBe(201);
+    const { data } = mockClient.user.create.mock.calls[0][0];
+    expect(data.role).toBeUndefined();
+    expect(data.userRoles).toEqual({ create: [{ roleId: 'role-manager' }] });
+  });
+
+  it('refuses to grant a role the caller does not hold', async () => {
+    mockClient.role.findMany.mockResolvedValue([{ id: 'role-superadmin', name: 'superadmin' }]);
+
+    const response = await newUser({ roleIds: ['role-superadmin'] });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('puts a new user in the store of a caller who works in one', async () => {
+    const response = await newUser();
+
+    expect(response.status).toBe(201);
+    expect(mockClient.user.create.mock.calls[0][0].data.stores).toEqual({ create: [{ storeId: 'store-1' }] });
+  });
+
+  it('requires a store the caller works in when they work in several', async () => {
+    allowedStoreIds.mockResolvedValue(['store-1', 'store-2']);
+
+    expect((await newUser()).status).toBe(400);
+    expect((await newUser({ storeIds: ['store-3'] })).status).toBe(403);
+    expect((await newUser({ storeIds: ['store-2'] })).status).toBe(201);
+  });
+
+  it('lets head office create a user without stores', async () => {
+    allowedStoreIds.mockResolvedValue(null);
+
+    const response = await newUser();
+
+    expect(response.status).toBe(201);
+    expect(mockClient.user.create.mock.calls[0][0].data.stores).toEqual({ create: [] });
+  });
+});
+
+describe('GET /api/users', () => {
+  it('filters by assigned role', async () => {
+    mockClient.user.findMany.mockResolvedValue([]);
+    mockClient.user.count.mockResolvedValue(0);
+
+    await request(app).get('/api/users').query({ roleId: 'role-manager' });
+
+    expect(mockClient.user.findMany.mock.calls[0][0].where).toEqual(expect.objectContaining({
+      userRoles: { some: { roleId: 'role-manager' } }
+    }));
+  });
+});
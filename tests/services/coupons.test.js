@@ -0,0 +1,140 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+
+const { mockClient, Prisma } = require('@prisma/client');
+const { priceWithCoupons, redeemCoupons } = require('../../src/services/coupons');
+
+const { Decimal } = Prisma;
+
+const coupon = (overrides = {}) => ({
+  id: 'coupon-1',
+  code: 'SAVE10',
+  type: 'discount',
+  promotionId: 'promotion-1',
+  customerId: null,
+  maxRedemptions: null,
+  perCustomerLimit: null,
+  redemptionCount: 0,
+  balance: null,
+  isActive: true,
+  startsAt: null,
+  expiresAt: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient.coupon.updateMany.mockResolvedValue({ count: 1 });
+  mockClient.couponRedemption.count.mockResolvedValue(0);
+});
+
+describe('redeemCoupons', () => {
+  const amount = new Decimal('5.00');
+
+  it('does not guard the count of a code without a redemption limit', async () => {
+    await redeemCoupons(mockClient, 'sale-1', null, [{ coupon: coupon({ redemptionCount: 41 }), amount }]);
+
+    expect(mockClient.coupon.updateMany).toHaveBeenCalledWith({
+      where: { id: 'coupon-1' },
+      data: { redemptionCount: { increment: 1 } }
+    });
+    expect(mockClient.couponRedemption.create).toHaveBeenCalled();
+  });
+
+  it('only redeems a limited code while it has uses left', async () => {
+    await redeemCoupons(mockClient, 'sale-1', null, [{ coupon: coupon({ maxRedemptions: 3, redemptionCount: 1 }), amount }]);
+
+    expect(mockClient.coupon.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'coupon-1', redemptionCount: { lt: 3 } }
+    }));
+  });
+
+  it('fails with 409 when another sale took the last use', async () => {
+    mockClient.coupon.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(redeemCoupons(mockClient, 'sale-1', null, [{ coupon: coupon({ maxRedemptions: 1 }), amount }]))
+      .rejects.toMatchObject({ status: 409 });
+    expect(mockClient.couponRedemption.create).not.toHaveBeenCalled();
+  });
+
+  it('only spends a voucher while its balance covers the amount', async () => {
+    const voucher = coupon({ type: 'voucher', promotionId: null, balance: new Decimal('20.00') });
+
+    await redeemCoupons(mockClient, 'sale-1', null, [{ coupon: voucher, amount }]);
+
+    expect(mockClient.coupon.updateMany).toHaveBeenCalledWith({
+      where: { id: 'coupon-1', balance: { gte: amount } },
+      data: { redemptionCount: { increment: 1 }, balance: { decrement: amount } }
+    });
+  });
+
+  it('refuses a customer who has reached the per-customer limit', async () => {
+    mockClient.couponRedemption.count.mockResolvedValue(2);
+
+    await expect(redeemCoupons(mockClient, 'sale-1', 'customer-1', [{ coupon: coupon({ perCustomerLimit: 2 }), amount }]))
+      .rejects.toMatchObject({ status: 400 });
+    expect(mockClient.couponRedemption.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('priceWithCoupons', () => {
+  const promotion = (overrides = {}) => ({
+    id: 'promotion-1',
+    name: '10% off',
+    type: 'percent_off',
+    value: '10',
+    buyQuantity: null,
+    getQuantity: null,
+    productIds: [],
+    categoryIds: [],
+    minSubtotal: null,
+    isActive: true,
+    startsAt: null,
+    endsAt: null,
+    daysOfWeek: [],
+    startTime: null,
+    endTime: null,
+    stackable: false,
+    priority: 0,
+    createdAt: new Date(0),
+    couponOnly: true,
+    ...overrides
+  });
+
+  const cart = { items: [{ productId: 'product-1', quantity: 1 }], couponCodes: ['save10'] };
+
+  beforeEach(() => {
+    mockClient.product.findMany.mockResolvedValue([
+      { id: 'product-1', name: 'Coffee', categoryId: null, price: '10.00', taxRate: '0', isActive: true }
+    ]);
+    mockClient.storePrice.findMany.mockResolvedValue([]);
+  });
+
+  it('redeems a code that unlocks a coupon-only promotion', async () => {
+    mockClient.coupon.findMany.mockResolvedValue([coupon({ promotion: promotion() })]);
+    mockClient.promotion.findMany.mockResolvedValue([]);
+
+    const { pricing, discounts } = await priceWithCoupons(cart);
+
+    expect(pricing.totalAmount.toFixed(2)).toBe('9.00');
+    expect(discounts).toHaveLength(1);
+    expect(discounts[0].amount.toFixed(2)).toBe('1.00');
+  });
+
+  it('does not redeem a code whose promotion now runs for everyone', async () => {
+    const running = promotion({ couponOnly: false });
+    mockClient.coupon.findMany.mockResolvedValue([coupon({ promotion: running })]);
+    mockClient.promotion.findMany.mockResolvedValue([running]);
+
+    const { pricing, discounts } = await priceWithCoupons(cart);
+
+    expect(pricing.totalAmount.toFixed(2)).toBe('9.00');
+    expect(discounts).toEqual([]);
+  });
+
+  it('refuses a code that takes nothing off the cart', async () => {
+    mockClient.coupon.findMany.mockResolvedValue([coupon({ promotion: promotion({ productIds: ['product-2'] }) })]);
+    mockClient.promotion.findMany.mockResolvedValue([]);
+
+    await expect(priceWithCoupons(cart)).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+
+const { mockClient } = require('@prisma/client');
+const { registerFailedLogin, registerFailedPin } = require('../../src/services/loginAudit');
+
+// A user row whose counters the mocked update increments the way the database would
+let stored;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  stored = { id: 'user-1', failedLoginAttempts: 0, lockedUntil: null, pinFailedAttempts: 0, pinLockedUntil: null };
+
+  mockClient.user.update.mockImplementation(async ({ data }) => {
+    for (const [field, value] of Object.entries(data)) {
+      stored[field] = value && value.increment !== undefined ? stored[field] + value.increment : value;
+    }
+    return { ...stored };
+  });
+});
+
+describe('registerFailedLogin', () => {
+  it('locks the account on the fifth consecutive failure', async () => {
+    const user = { ...stored };
+    const results = [];
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      results.push(await registerFailedLogin(user));
+    }
+
+    expect(results.slice(0, 4)).toEqual([null, null, null, null]);
+    expect(results[4]).toBeInstanceOf(Date);
+    expect(stored.lockedUntil).toEqual(results[4]);
+  });
+
+  it('counts parallel failures read from the same stale row', async () => {
+    const staleUser = { ...stored };
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => registerFailedLogin(staleUser)));
+
+    expect(stored.failedLoginAttempts).toBe(5);
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(mockClient.user.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { failedLoginAttempts: { increment: 1 } }
+    }));
+  });
+
+  it('doubles the lockout on each further round of failures', async () => {
+    stored.failedLoginAttempts = 9;
+
+    const lockedUntil = await registerFailedLogin({ ...stored });
+
+    const minutes = Math.round((lockedUntil - Date.now()) / 60000);
+    expect(minutes).toBe(30);
+  });
+});
+
+describe('registerFailedPin', () => {
+  it('locks the PIN and resets the counter on the fifth failure', async () => {
+    stored.pinFailedAttempts = 4;
+
+    const pinLockedUntil = await registerFailedPin({ ...stored, pinFailedAttempts: 0 });
+
+    expect(pinLockedUntil).toBeInstanceOf(Date);
+    expect(stored.pinFailedAttempts).toBe(0);
+    expect(stored.pinLockedUntil).toEqual(pinLockedUntil);
+  });
+
+  it('counts parallel wrong PINs so a burst still locks', async () => {
+    const staleUser = { ...stored };
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => registerFailedPin(staleUser)));
+
+    expect(results.filter(Boolean).length).toBeGreaterThanOrEqual(1);
+    expect(stored.pinLockedUntil).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,42 @@
+describe('mailer', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.resetModules();
+    jest.restoreAllMocks();
+  });
+
+  const loadMailer = (env) => {
+    delete process.env.MAIL_TRANSPORT;
+    Object.assign(process.env, env);
+    return require('../../src/services/mailer');
+  };
+
+  it('logs mail to the console by default outside production', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { sendMail } = loadMailer({ NODE_ENV: 'development' });
+
+    await sendMail({ to: 'user@example.com', subject: 'Reset', text: 'token' });
+
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('user@example.com'));
+  });
+
+  it('refuses to start in production without a mail transport', () => {
+    expect(() => loadMailer({ NODE_ENV: 'production' })).toThrow(/MAIL_TRANSPORT/);
+  });
+
+  it.each(['console', 'file'])('refuses the %s transport in production', (transport) => {
+    expect(() => loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: transport })).toThrow(/MAIL_TRANSPORT/);
+  });
+
+  it('sends through a registered transport in production', async () => {
+    const { sendMail, registerTransport } = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp' });
+    const send = jest.fn();
+    registerTransport('smtp', { send });
+
+    await sendMail({ to: 'user@example.com', subject: 'Reset', text: 'token' });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'user@example.com' }));
+  });
+});
@@ -0,0 +1,68 @@
+describe('payment providers', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.resetModules();
+    jest.restoreAllMocks();
+  });
+
+  const loadProviders = (env) => {
+    Object.assign(process.env, env);
+    return require('../../src/services/paymentProviders');
+  };
+
+  it('registers the mock provider outside production when the webhook secret is set', () => {
+    const { getProvider } = loadProviders({ NODE_ENV: 'test', MOCK_PAYMENT_WEBHOOK_SECRET: 'secret' });
+
+    expect(getProvider('mock')).not.toBeNull();
+  });
+
+  it('skips the mock provider with a warning when the webhook secret is missing', () => {
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { getProvider } = loadProviders({ NODE_ENV: 'test' });
+
+    expect(getProvider('mock')).toBeNull();
+    expect(warn).toHaveBeenCalled();
+  });
+
+  it('never registers the mock provider in production', () => {
+    const { getProvider } = loadProviders({ NODE_ENV: 'production', MOCK_PAYMENT_WEBHOOK_SECRET: 'secret' });
+
+    expect(getProvider('mock')).toBeNull();
+  });
+
+  describe('mock webhooks', () => {
+    let mock;
+
+    beforeEach(() => {
+      mock = loadProviders({ NODE_ENV: 'test', MOCK_PAYMENT_WEBHOOK_SECRET: 'secret' }).getProvider('mock');
+    });
+
+    const signed = (body) => {
+      const rawBody = Buffer.from(body);
+      return { rawBody, headers: { 'x-mock-signature': mock.signWebhook(rawBody) } };
+    };
+
+    it('returns the event for a correctly signed body', async () => {
+      const event = await mock.verifyWebhook(signed(JSON.stringify({ transactionId: 'mock_1', status: 'captured' })));
+
+      expect(event).toEqual({ transactionId: 'mock_1', status: 'captured' });
+    });
+
+    it('returns null for a bad signature', async () => {
+      const event = await mock.verifyWebhook({
+        rawBody: Buffer.from('{}'),
+        headers: { 'x-mock-signature': 'forged' }
+      });
+
+      expect(event).toBeNull();
+    });
+
+    it('rejects a signed body that is not JSON with a 400', async () => {
+      await expect(mock.verifyWebhook(signed('not json'))).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+
+const { mockClient } = require('@prisma/client');
+const { priceSale } = require('../../src/services/pricing');
+
+const product = (overrides = {}) => ({
+  id: 'product-1',
+  name: 'Coffee',
+  categoryId: 'category-1',
+  price: '10.00',
+  taxRate: '10.00',
+  isActive: true,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient.product.findMany.mockResolvedValue([product()]);
+  mockClient.storePrice.findMany.mockResolvedValue([]);
+  mockClient.promotion.findMany.mockResolvedValue([]);
+});
+
+describe('priceSale', () => {
+  const price = (items, order = {}) => priceSale({ items, ...order }, { storeId: 'store-1' });
+
+  it('prices from the catalog, ignoring prices and tax rates sent with the items', async () => {
+    const { items, subtotal, taxAmount, totalAmount } = await price([
+      { productId: 'product-1', quantity: 2, unitPrice: '0.01', taxRate: '0' }
+    ]);
+
+    expect(items[0].unitPrice.toString()).toBe('10');
+    expect(items[0].taxRate.toString()).toBe('10');
+    expect(subtotal.toFixed(2)).toBe('20.00');
+    expect(taxAmount.toFixed(2)).toBe('2.00');
+    expect(totalAmount.toFixed(2)).toBe('22.00');
+  });
+
+  it('uses the store\'s own price where it has one', async () => {
+    mockClient.storePrice.findMany.mockResolvedValue([{ productId: 'product-1', price: '8.50' }]);
+
+    const { totalAmount } = await price([{ productId: 'product-1', quantity: 2 }]);
+
+    expect(mockClient.storePrice.findMany).toHaveBeenCalledWith({
+      where: { storeId: 'store-1', productId: { in: ['product-1'] } }
+    });
+    expect(totalAmount.toFixed(2)).toBe('18.70');
+  });
+
+  it('rejects inactive and unknown products', async () => {
+    mockClient.product.findMany.mockResolvedValue([product({ isActive: false })]);
+
+    await expect(price([{ productId: 'product-1', quantity: 1 }])).rejects.toMatchObject({ status: 400 });
+    await expect(price([{ productId: 'product-2', quantity: 1 }])).rejects.toMatchObject({ status: 400 });
+  });
+
+  it.each([0, -1, 1.5, 'two'])('rejects a quantity of %p', async (quantity) => {
+    await expect(price([{ productId: 'product-1', quantity }])).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('applies running promotions before line and order discounts, and taxes what is left', async () => {
+    mockClient.promotion.findMany.mockResolvedValue([{
+      id: 'promotion-1',
+      name: '10% off',
+      type: 'percent_off',
+      value: '10',
+      buyQuantity: null,
+      getQuantity: null,
+      productIds: [],
+      categoryIds: [],
+      minSubtotal: null,
+      isActive: true,
+      startsAt: null,
+      endsAt: null,
+      stackable: false,
+      priority: 0,
+      daysOfWeek: [],
+      startTime: null,
+      endTime: null,
+      createdAt: new Date(0)
+    }]);
+
+    const pricing = await price(
+      [{ productId: 'product-1', quantity: 10, discount: '5' }],
+      { discountPercent: '10' }
+    );
+
+    // 100 less 10 promotion, less 5 line discount, less 10% of the remaining 85
+    expect(pricing.promotions).toEqual([expect.objectContaining({ promotionId: 'promotion-1' })]);
+    expect(pricing.promotionDiscount.toFixed(2)).toBe('10.00');
+    expect(pricing.discountAmount.toFixed(2)).toBe('23.50');
+    expect(pricing.taxAmount.toFixed(2)).toBe('7.65');
+    expect(pricing.totalAmount.toFixed(2)).toBe('84.15');
+  });
+
+  it('rejects a discount larger than what it applies to', async () => {
+    await expect(price([{ productId: 'product-1', quantity: 1 }], { discountAmount: '10.01' }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(price([{ productId: 'product-1', quantity: 1, discount: '-1' }]))
+      .rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('priceSale offline', () => {
+  const offline = (item, options = {}) => priceSale(
+    { items: [{ productId: 'product-1', quantity: 2, ...item }] },
+    { storeId: 'store-1', offline: true, ...options }
+  );
+
+  it('keeps a register price within the tolerance', async () => {
+    const { items, totalAmount } = await offline({ unitPrice: '9.60' });
+
+    expect(items[0].priceAccepted).toBe(true);
+    expect(items[0].unitPrice.toString()).toBe('9.6');
+    expect(totalAmount.toFixed(2)).toBe('21.12');
+  });
+
+  it('prices a line from the catalog when the register price is out of bounds', async () => {
+    const { items, totalAmount } = await offline({ unitPrice: '0' });
+
+    expect(items[0].priceAccepted).toBe(false);
+    expect(items[0].soldPrice.toString()).toBe('0');
+    expect(items[0].unitPrice.toString()).toBe('10');
+    expect(totalAmount.toFixed(2)).toBe('22.00');
+  });
+
+  it('does not accept a different tax rate', async () => {
+    const { items } = await offline({ taxRate: '0' });
+
+    expect(items[0].priceAccepted).toBe(false);
+    expect(items[0].taxRate.toString()).toBe('10');
+  });
+
+  it('keeps any register price for a caller allowed to override prices', async () => {
+    const { items, totalAmount } = await offline({ unitPrice: '0', taxRate: '0' }, { priceOverride: true });
+
+    expect(items[0].priceAccepted).toBe(true);
+    expect(totalAmount.toFixed(2)).toBe('0.00');
+  });
+
+  it('accepts a product deactivated since but flags it', async () => {
+    mockClient.product.findMany.mockResolvedValue([product({ isActive: false })]);
+
+    const { items } = await offline({});
+
+    expect(items[0].productActive).toBe(false);
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+
+const { Prisma } = require('@prisma/client');
+const { applyPromotions } = require('../../src/services/promotions');
+
+const { Decimal } = Prisma;
+
+const line = (productId, quantity, price) => ({
+  productId,
+  categoryId: null,
+  quantity,
+  subtotal: new Decimal(price).times(quantity)
+});
+
+const promotion = (overrides) => ({
+  id: 'promotion-1',
+  name: 'Promotion',
+  value: '100',
+  buyQuantity: null,
+  getQuantity: null,
+  productIds: [],
+  categoryIds: [],
+  minSubtotal: null,
+  isActive: true,
+  startsAt: null,
+  endsAt: null,
+  daysOfWeek: [],
+  startTime: null,
+  endTime: null,
+  stackable: false,
+  priority: 0,
+  createdAt: new Date(0),
+  ...overrides
+});
+
+const amounts = (applied) => applied.map(promotions => (
+  promotions.reduce((sum, { amount }) => sum.plus(amount), new Decimal(0)).toFixed(2)
+));
+
+describe('applyPromotions', () => {
+  describe('buy_x_get_y', () => {
+    const buyTwoGetOneFree = promotion({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+    it('discounts the cheapest unit of each full group', () => {
+      const applied = applyPromotions([line('a', 2, '10.00'), line('b', 2, '4.00')], [buyTwoGetOneFree]);
+
+      // The only full group is a, a, b and its cheapest unit, b, is free
+      expect(amounts(applied)).toEqual(['0.00', '4.00']);
+    });
+
+    it('counts groups across a huge quantity without listing units', () => {
+      const applied = applyPromotions([line('a', 3e9, '1.00')], [buyTwoGetOneFree]);
+
+      expect(amounts(applied)).toEqual(['1000000000.00']);
+    });
+  });
+
+  describe('bundle_price', () => {
+    const threeForTen = promotion({ type: 'bundle_price', value: '10.00', buyQuantity: 3 });
+
+    it('prices every full bundle at the bundle price', () => {
+      const applied = applyPromotions([line('a', 7, '5.00')], [threeForTen]);
+
+      // Two bundles of 15.00 sold for 10.00; the seventh unit is full price
+      expect(amounts(applied)).toEqual(['10.00']);
+    });
+
+    it('shares a bundle that spans lines by what each contributes', () => {
+      const applied = applyPromotions([line('a', 2, '6.00'), line('b', 1, '4.00')], [threeForTen]);
+
+      expect(amounts(applied)).toEqual(['4.50', '1.50']);
+    });
+
+    it('counts bundles across a huge quantity without listing units', () => {
+      const applied = applyPromotions([line('a', 3e9, '5.00')], [threeForTen]);
+
+      expect(amounts(applied)).toEqual(['5000000000.00']);
+    });
+  });
+});
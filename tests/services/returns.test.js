@@ -0,0 +1,99 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+jest.mock('../../src/services/saleStateMachine', () => ({
+  ...jest.requireActual('../../src/services/saleStateMachine'),
+  transitionSale: jest.fn()
+}));
+jest.mock('../../src/services/stock', () => ({ restockInventory: jest.fn() }));
+
+const { mockClient, Prisma } = require('@prisma/client');
+const { createSaleReturn } = require('../../src/services/returns');
+
+const { Decimal } = Prisma;
+
+const saleItems = (returned = {}) => [
+  { id: 'item-1', productId: 'product-1', quantity: 2, returnedQuantity: returned['item-1'] || 0, totalPrice: new Decimal(40), taxAmount: new Decimal(0), location: null },
+  { id: 'item-2', productId: 'product-2', quantity: 1, returnedQuantity: returned['item-2'] || 0, totalPrice: new Decimal(60), taxAmount: new Decimal(0), location: null }
+];
+
+const sale = {
+  id: 'sale-1',
+  storeId: 'store-1',
+  customerId: null,
+  totalAmount: new Decimal(100),
+  paymentMethodId: 'cash',
+  saleStatus: { name: 'completed' },
+  saleItems: saleItems(),
+  payments: [{ paymentMethodId: 'cash', paymentMethod: { name: 'cash' } }]
+};
+
+// What the return sees once it holds the sale's lock
+const lockedSale = ({ amountPaid = 100, returned, refunds = [] } = {}) => ({
+  amountPaid: new Decimal(amountPaid),
+  saleItems: saleItems(returned),
+  saleReturns: refunds.map(amount => ({ refundAmount: new Decimal(amount) }))
+});
+
+const returnLines = lines => createSaleReturn({
+  saleId: 'sale-1',
+  userId: 'user-1',
+  items: lines.map(([saleItemId, quantity]) => ({ saleItemId, quantity, reasonCode: 'changed_mind' }))
+});
+
+const refundOf = saleReturn => saleReturn.refundAmount.toFixed(2);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient.saleReturn.create.mockImplementation(async ({ data }) => ({ id: 'return-1', refundMethod: null, ...data }));
+  mockClient.saleItem.update.mockResolvedValue({});
+  mockClient.sale.update.mockResolvedValue({});
+});
+
+const withLockedSale = (locked) => {
+  mockClient.sale.findUnique
+    .mockResolvedValueOnce(sale)
+    .mockResolvedValueOnce(locked);
+};
+
+describe('createSaleReturn refunds', () => {
+  it('refunds a proportional share of a sale paid in full', async () => {
+    withLockedSale(lockedSale());
+
+    const saleReturn = await returnLines([['item-1', 1]]);
+
+    expect(refundOf(saleReturn)).toBe('20.00');
+    expect(mockClient.$queryRaw).toHaveBeenCalled();
+  });
+
+  it('refunds nothing for a sale nothing was paid for', async () => {
+    withLockedSale(lockedSale({ amountPaid: 0 }));
+
+    const saleReturn = await returnLines([['item-1', 2], ['item-2', 1]]);
+
+    expect(refundOf(saleReturn)).toBe('0.00');
+    expect(saleReturn.items.create.map(item => item.refundAmount.toFixed(2))).toEqual(['0.00', '0.00']);
+  });
+
+  it('caps the refund at the amount paid, spread across the lines', async () => {
+    withLockedSale(lockedSale({ amountPaid: 50 }));
+
+    const saleReturn = await returnLines([['item-1', 2], ['item-2', 1]]);
+
+    expect(refundOf(saleReturn)).toBe('50.00');
+    expect(saleReturn.items.create.map(item => item.refundAmount.toFixed(2))).toEqual(['20.00', '30.00']);
+  });
+
+  it('counts refunds committed since the sale was first read', async () => {
+    withLockedSale(lockedSale({ returned: { 'item-2': 1 }, refunds: [90] }));
+
+    const saleReturn = await returnLines([['item-1', 2]]);
+
+    expect(refundOf(saleReturn)).toBe('10.00');
+  });
+
+  it('rejects units returned by a concurrent return', async () => {
+    withLockedSale(lockedSale({ returned: { 'item-1': 2 }, refunds: [40] }));
+
+    await expect(returnLines([['item-1', 1]])).rejects.toMatchObject({ status: 409 });
+    expect(mockClient.saleReturn.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+
+const { mockClient } = require('@prisma/client');
+const { deductStock } = require('../../src/services/stock');
+
+const movement = { type: 'sale', referenceType: 'sale', referenceId: 'sale-1', userId: 'user-1' };
+
+const row = (quantity, reservedQuantity = 0) => ({
+  id: 'inventory-1',
+  productId: 'product-1',
+  storeId: 'store-1',
+  location: 'default',
+  quantity,
+  reservedQuantity
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient.inventory.update.mockImplementation(async ({ data }) => ({
+    ...row(5),
+    quantity: 5 + data.quantity.increment
+  }));
+});
+
+describe('deductStock', () => {
+  it('refuses to take more than is available', async () => {
+    mockClient.inventory.findUnique.mockResolvedValue(row(5));
+
+    await expect(deductStock(mockClient, 'store-1', 'product-1', 6, 'default', movement))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('refuses units reserved for layaways', async () => {
+    mockClient.inventory.findUnique.mockResolvedValue(row(5, 4));
+    mockClient.inventory.update.mockResolvedValue(row(3, 4));
+
+    await expect(deductStock(mockClient, 'store-1', 'product-1', 2, 'default', movement))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  describe('with allowOversell', () => {
+    it('takes only what is on hand so the quantity never goes below zero', async () => {
+      mockClient.inventory.findUnique.mockResolvedValue(row(5));
+      mockClient.$queryRaw.mockResolvedValue([{ quantity: 2 }]);
+      mockClient.inventory.update.mockResolvedValue(row(0));
+
+      const location = await deductStock(mockClient, 'store-1', 'product-1', 3, 'default', movement, { allowOversell: true });
+
+      expect(location).toBe('default');
+      expect(mockClient.inventory.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ quantity: { increment: -2 } })
+      }));
+      expect(mockClient.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ quantity: -2, quantityBefore: 2, quantityAfter: 0 })
+      });
+    });
+
+    it('records nothing when nothing is on hand', async () => {
+      mockClient.inventory.findUnique.mockResolvedValue(row(0));
+      mockClient.$queryRaw.mockResolvedValue([{ quantity: 0 }]);
+
+      await deductStock(mockClient, 'store-1', 'product-1', 3, 'default', movement, { allowOversell: true });
+
+      expect(mockClient.inventory.update).not.toHaveBeenCalled();
+      expect(mockClient.stockMovement.create).not.toHaveBeenCalled();
+    });
+
+    it('takes nothing when the store has no row for the product', async () => {
+      mockClient.inventory.findMany.mockResolvedValue([]);
+
+      const location = await deductStock(mockClient, 'store-1', 'product-1', 3, undefined, movement, { allowOversell: true });
+
+      expect(location).toBeNull();
+      expect(mockClient.inventory.update).not.toHaveBeenCalled();
+    });
+  });
+});
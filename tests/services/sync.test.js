@@ -0,0 +1,107 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+jest.mock('../../src/services/saleStateMachine', () => ({
+  ...jest.requireActual('../../src/services/saleStateMachine'),
+  transitionSale: jest.fn()
+}));
+
+const { mockClient } = require('@prisma/client');
+const { transitionSale } = require('../../src/services/saleStateMachine');
+const { pushSales } = require('../../src/services/sync');
+
+const SALE_ID = '7d9c2a4e-1b3f-4c5d-8e6f-0a1b2c3d4e5f';
+
+const offlineSale = (item = {}) => ({
+  id: SALE_ID,
+  createdAt: '2026-01-01T10:00:00Z',
+  items: [{ productId: 'product-1', quantity: 1, ...item }]
+});
+
+const context = { userId: 'user-1', storeId: 'store-1', terminalId: 'terminal-1' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockClient.sale.findUnique.mockResolvedValue(null);
+  mockClient.sale.create.mockResolvedValue({ id: SALE_ID });
+  mockClient.product.findMany.mockResolvedValue([
+    { id: 'product-1', name: 'Coffee', categoryId: null, price: '10.00', taxRate: '0', isActive: true }
+  ]);
+  mockClient.storePrice.findMany.mockResolvedValue([]);
+  mockClient.shift.findFirst.mockResolvedValue(null);
+  mockClient.paymentStatus.findUnique.mockResolvedValue({ id: 'payment-status' });
+  mockClient.saleStatus.findUnique.mockResolvedValue({ id: 'sale-status' });
+  mockClient.saleItem.findMany.mockResolvedValue([]);
+  mockClient.stockMovement.groupBy.mockResolvedValue([{ productId: 'product-1', _sum: { quantity: -1 } }]);
+});
+
+describe('pushSales pricing', () => {
+  it('completes a sale whose register prices are within bounds', async () => {
+    const [result] = await pushSales([offlineSale({ unitPrice: '9.80' })], context);
+
+    expect(result.status).toBe('created');
+    expect(result.conflicts).toEqual([expect.objectContaining({ type: 'price_changed' })]);
+    expect(transitionSale).toHaveBeenCalledWith(expect.anything(), SALE_ID, 'completed', expect.anything());
+  });
+
+  it('holds a sale with an out-of-bound price for review at the catalog price', async () => {
+    const [result] = await pushSales([offlineSale({ unitPrice: '0' })], context);
+
+    expect(result.status).toBe('held');
+    expect(result.conflicts).toEqual([expect.objectContaining({ type: 'price_rejected' })]);
+    expect(transitionSale).toHaveBeenCalledWith(expect.anything(), SALE_ID, 'pending', expect.anything());
+
+    const { data } = mockClient.sale.create.mock.calls[0][0];
+    expect(data.totalAmount.toFixed(2)).toBe('10.00');
+  });
+
+  it('lets a caller allowed to override prices complete at the register price', async () => {
+    const [result] = await pushSales([offlineSale({ unitPrice: '0' })], { ...context, priceOverride: true });
+
+    expect(result.status).toBe('created');
+    expect(mockClient.sale.create.mock.calls[0][0].data.totalAmount.toFixed(2)).toBe('0.00');
+  });
+
+  it('holds a sale of a product deactivated since', async () => {
+    mockClient.product.findMany.mockResolvedValue([
+      { id: 'product-1', name: 'Coffee', categoryId: null, price: '10.00', taxRate: '0', isActive: false }
+    ]);
+
+    const [result] = await pushSales([offlineSale()], context);
+
+    expect(result.status).toBe('held');
+    expect(result.conflicts).toEqual([expect.objectContaining({ type: 'product_inactive' })]);
+  });
+});
+
+describe('pushSales oversold stock', () => {
+  beforeEach(() => {
+    mockClient.saleItem.findMany.mockResolvedValue([{ productId: 'product-1', location: 'default' }]);
+    mockClient.inventory.findFirst.mockResolvedValue({ quantity: 0, reservedQuantity: 0 });
+  });
+
+  it('reports the units the ledger could not take as a shortfall', async () => {
+    mockClient.stockMovement.groupBy.mockResolvedValue([{ productId: 'product-1', _sum: { quantity: -1 } }]);
+
+    const [result] = await pushSales([offlineSale({ quantity: 3 })], context);
+
+    expect(result.status).toBe('created');
+    expect(result.conflicts).toEqual([{ type: 'oversold', productId: 'product-1', shortfall: 2 }]);
+    expect(transitionSale).toHaveBeenCalledWith(expect.anything(), SALE_ID, 'completed', expect.objectContaining({ allowOversell: true }));
+  });
+
+  it('reports the whole line when nothing was on hand', async () => {
+    mockClient.stockMovement.groupBy.mockResolvedValue([]);
+
+    const [result] = await pushSales([offlineSale({ quantity: 2 })], context);
+
+    expect(result.conflicts).toEqual([{ type: 'oversold', productId: 'product-1', shortfall: 2 }]);
+  });
+
+  it('reports nothing when the stock covered the sale', async () => {
+    mockClient.stockMovement.groupBy.mockResolvedValue([{ productId: 'product-1', _sum: { quantity: -2 } }]);
+    mockClient.inventory.findFirst.mockResolvedValue({ quantity: 5, reservedQuantity: 0 });
+
+    const [result] = await pushSales([offlineSale({ quantity: 2 })], context);
+
+    expect(result.conflicts).toEqual([]);
+  });
+});
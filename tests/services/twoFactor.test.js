@@ -0,0 +1,45 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+
+const { mockClient } = require('@prisma/client');
+const { isTwoFactorRequired, verifySecondFactor } = require('../../src/services/twoFactor');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('isTwoFactorRequired', () => {
+  it('is decided by the roles assigned in user_roles, not the legacy role column', async () => {
+    mockClient.userRole.count.mockResolvedValue(0);
+
+    await expect(isTwoFactorRequired({ id: 'user-1', role: 'admin' })).resolves.toBe(false);
+
+    expect(mockClient.userRole.count).toHaveBeenCalledWith({
+      where: {
+        userId: 'user-1',
+        role: { OR: [{ requiresTwoFactor: true }, { name: { in: [] } }] }
+      }
+    });
+  });
+
+  it('is required when an assigned role enforces it', async () => {
+    mockClient.userRole.count.mockResolvedValue(1);
+
+    await expect(isTwoFactorRequired({ id: 'user-1' })).resolves.toBe(true);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  const user = { id: 'user-1', totpSecret: 'JBSWY3DPEHPK3PXP', totpLastUsedStep: null, totpRecoveryCodes: [] };
+
+  it('rejects a recovery code that is not a string with a 400', async () => {
+    await expect(verifySecondFactor(user, { recoveryCode: { code: 'abcde-12345' } }))
+      .rejects.toMatchObject({ status: 400 });
+
+    expect(mockClient.user.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown recovery code with a 401', async () => {
+    await expect(verifySecondFactor(user, { recoveryCode: 'abcde-12345' }))
+      .rejects.toMatchObject({ status: 401 });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('@prisma/client', () => require('../helpers/prismaMock'));
+jest.mock('../../src/services/access', () => ({ getUserAccess: jest.fn() }));
+
+const bcrypt = require('bcryptjs');
+const { mockClient } = require('@prisma/client');
+const { getUserAccess } = require('../../src/services/access');
+const { voidSale } = require('../../src/services/voids');
+
+const passwordHash = bcrypt.hashSync('manager-password', 4);
+
+const approver = {
+  id: 'manager-1',
+  email: 'manager@example.com',
+  isActive: true,
+  passwordHash,
+  failedLoginAttempts: 0,
+  lockedUntil: null
+};
+
+const voidWith = approval => voidSale('sale-1', {
+  reasonCode: 'cashier_error',
+  approval,
+  requesterId: 'cashier-1'
+});
+
+// Stands in for the void itself once the approval has been accepted
+const reachedVoid = new Error('void transaction reached');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+
+  mockClient.sale.findUnique.mockResolvedValue({
+    id: 'sale-1',
+    storeId: 'store-1',
+    saleStatus: { name: 'completed' },
+    saleReturns: [],
+    payments: []
+  });
+  mockClient.user.findUnique.mockResolvedValue(approver);
+  mockClient.userStore.findUnique.mockResolvedValue({ userId: approver.id, storeId: 'store-1' });
+  mockClient.loginEvent.create.mockResolvedValue({});
+  mockClient.$transaction.mockImplementation(async () => { throw reachedVoid; });
+  getUserAccess.mockResolvedValue({ roles: new Set(['manager']), permissions: new Set(['sales:void']) });
+});
+
+describe('voidSale approval', () => {
+  it('accepts a manager of the sale\'s store', async () => {
+    await expect(voidWith({ email: approver.email, password: 'manager-password' })).rejects.toBe(reachedVoid);
+
+    expect(mockClient.userStore.findUnique).toHaveBeenCalledWith({
+      where: { userId_storeId: { userId: approver.id, storeId: 'store-1' } }
+    });
+  });
+
+  it('rejects a manager who does not work in the sale\'s store', async () => {
+    mockClient.userStore.findUnique.mockResolvedValue(null);
+
+    await expect(voidWith({ email: approver.email, password: 'manager-password' }))
+      .rejects.toMatchObject({ status: 403 });
+
+    expect(mockClient.$transaction).not.toHaveBeenCalled();
+    expect(mockClient.loginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ success: false, failureReason: 'wrong_store' })
+    }));
+  });
+
+  it('accepts a head office manager in any store', async () => {
+    mockClient.userStore.findUnique.mockResolvedValue(null);
+    getUserAccess.mockResolvedValue({ roles: new Set(), permissions: new Set(['sales:void', 'stores:all']) });
+
+    await expect(voidWith({ email: approver.email, password: 'manager-password' })).rejects.toBe(reachedVoid);
+  });
+
+  it.each([
+    ['a non-string password', { email: approver.email, password: { $gt: '' } }],
+    ['a non-string email', { email: ['manager@example.com'], password: 'manager-password' }],
+    ['a non-string userId with a PIN', { userId: { id: 'manager-1' }, pin: '1234' }]
+  ])('rejects %s with a 400', async (description, approval) => {
+    await expect(voidWith(approval)).rejects.toMatchObject({ status: 400 });
+
+    expect(mockClient.user.findUnique).not.toHaveBeenCalled();
+  });
+});